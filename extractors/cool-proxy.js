@@ -0,0 +1,36 @@
+/**
+ * cool-proxy - http://www.cool-proxy.net/proxies/http_proxy_list/
+ * cool-proxy base64 encodes and rot13's their ips
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+var str_rot13 = function(str) {
+    return (str + '')
+    .replace(/[a-z]/gi, function(s) {
+        return String.fromCharCode(s.charCodeAt(0) + (s.toLowerCase() < 'n' ? 13 : -13));
+    });
+};
+
+module.exports = {
+    name: 'cool-proxy',
+    hosts: ['cool-proxy.net'],
+    parse: function($, data, fetch) {
+        var ips = [];
+
+        $('#main table tr').each(function (index) {
+            var a = $(this);
+
+            var ip = a.find('td:nth-child(1)').text().trim();
+            var port = a.find('td:nth-child(2)').text().trim();
+            var parts = new RegExp(/str_rot13\(\"(.+)\"\)/).exec(ip);
+            if (parts) {
+                ip = Buffer.from(str_rot13(parts[1]), 'base64').toString();
+                ips.push({ip: ip, port: port, protocol: 'http'});
+            }
+        });
+
+        return ips;
+    }
+};
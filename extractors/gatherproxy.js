@@ -0,0 +1,67 @@
+/**
+ * gatherproxy - http://gatherproxy.com/proxylist/country/ and http://www.gatherproxy.com/sockslist
+ * gatherproxy writes the ip out with javascript and hex encodes the port. The socks list has the
+ * country and socks version in the table instead. The country lists are paged with a .pagenavi of page links.
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const url = require('url');
+
+module.exports = {
+    name: 'gatherproxy',
+    hosts: ['gatherproxy.com'],
+    parse: function($, data, fetch) {
+        var ips = [];
+        // the country is only given in the url we requested, e.g. ?Country=china
+        var country = url.parse(data.url, true).query.Country || null;
+        var socks = /sockslist/i.test(data.url);
+
+        $('#tblproxy tr').each(function (index) {
+            var a = $(this);
+
+            var ip = a.find('td:nth-child(2)').text().trim();
+            // the header rows
+            if (!ip)
+                return;
+            var parts = new RegExp(/\(\'(.+)\'\)/).exec(ip);
+            if (parts) {
+                ip = parts[1];
+            }
+            var port = a.find('td:nth-child(3)').text().trim();
+            parts = new RegExp(/\(\'(.+)\'\)/).exec(port);
+            if (parts) {
+                port = parseInt(parts[1], 16);
+            }
+            if (socks) {
+                ips.push({
+                    ip: ip,
+                    port: port,
+                    country: a.find('td:nth-child(4)').text().trim(),
+                    protocol: a.find('td:nth-child(6)').text().trim()
+                });
+            }
+            else {
+                ips.push({
+                    ip: ip,
+                    port: port,
+                    protocol: 'http',
+                    anonymity: a.find('td:nth-child(4)').text().trim(),
+                    country: country
+                });
+            }
+        });
+
+        return ips;
+    },
+    pages: function($) {
+        var count = null;
+        $('.pagenavi a, .pagenavi span').each(function() {
+            var page = parseInt($(this).text().trim(), 10);
+            if (page > count)
+                count = page;
+        });
+        return count;
+    }
+};
@@ -0,0 +1,92 @@
+/**
+ * hidemyass - http://proxylist.hidemyass.com/
+ * Hidemyass is pretty tricky as they obfuscate the ip's using a few dirty techniques.. pretty clever but
+ * we can bypass that with a little work.
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+module.exports = {
+    name: 'hidemyass',
+    hosts: ['hidemyass.com'],
+    parse: function($, data, fetch) {
+        var ips = [];
+
+        $('#listable>tbody>tr').each(function (index) {
+            var a = $(this);
+
+            // grab the style information for each row
+            var style = a.find('td:nth-child(2)>span>style').text();
+            var port = a.find('td:nth-child(3)').text().trim();
+
+            // determine which style classes are visible and which are hidden
+            var styles = style.match(/\.([a-zA-Z0-9-_]+)\{display\:([\w]+)/ig) || [];
+
+            if (!styles.length) {
+                fetch.log('c:bgRed', 'Warning, they may have changed their non-js html');
+            }
+
+            var classes = {};
+
+            for (var key in styles) {
+                var re = /\.([a-zA-Z0-9-_]+)\{display\:([\w]+)/ig;
+                var visible = re.exec(styles[key]);
+
+                if (visible) {
+                    var className = visible[1];
+                    var displayType = visible[2];
+                    classes[className] = (displayType.toLowerCase() == 'inline');
+                }
+            }
+
+            var contents = a.find("td:nth-child(2)>span").html();
+            contents = contents.replace(/\s\s+/gm, '');
+            contents = contents.replace(/\r?\n|\r/gm, '');
+            contents = contents.replace(/(<style>.+<\/style>)/ig, "");
+
+            var contentsHtml = contents.split('>');
+            var ip = '';
+            for (key = 0; key < contentsHtml.length; key += 2) {
+                var current = contentsHtml[key];
+                var nextHtml = contentsHtml[key + 1];
+                var next = nextHtml ? nextHtml.split('<')[0] : undefined;
+                var reC = /class=\"(.+)\"/ig;
+                var clsHtml = reC.exec(current);
+                var cls = clsHtml ? clsHtml[1] : undefined;
+
+                if (current[0] != '<') {
+                    var parts = current.split('<');
+                    ip += String(parts[0]);
+                }
+                //  inline
+                if (current.indexOf('inline') > -1) {
+                    ip += next;
+                }
+                // class
+                if (cls) {
+                    if (classes[cls] || cls.match(/^[0-9]+$/)) {
+                        ip += next;
+                    }
+                }
+
+            }
+            // the obfuscation changes now and then, show what we made of it
+            if (fetch.verbose && !fetch.validateIpAddress(ip)) {
+                fetch.log('c:bgRed bold', 'invalid ip address: ' + ip);
+                fetch.log(styles);
+                fetch.log(contents);
+            }
+
+            ips.push({
+                ip: ip,
+                port: port,
+                country: a.find('td:nth-child(4)').text().trim(),
+                protocol: a.find('td:nth-child(7)').text().trim(),
+                anonymity: a.find('td:nth-child(8)').text().trim()
+            });
+        });
+
+        return ips;
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * httptunnel - http://www.httptunnel.ge/ProxyListForFree.aspx
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+module.exports = {
+    name: 'httptunnel',
+    hosts: ['httptunnel.ge'],
+    parse: function($, data, fetch) {
+        var ips = [];
+
+        $('#ctl00_ContentPlaceHolder1_GridViewNEW tr').each(function (index) {
+            var a = $(this);
+
+            var ip = a.find('td:nth-child(1) a').text().trim();
+            var port;
+            [ip, port] = ip.split(':');
+            if (fetch.validateIpAddress(ip)) {
+                ips.push(ip + ':' + port);
+            }
+        });
+
+        return ips;
+    }
+};
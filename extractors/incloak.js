@@ -0,0 +1,30 @@
+/**
+ * incloak - http://incloak.com/proxy-list/
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+module.exports = {
+    name: 'incloak',
+    hosts: ['incloak.com'],
+    parse: function($, data, fetch) {
+        var ips = [];
+
+        $('table.proxy__t>tbody>tr').each(function (index) {
+            var a = $(this);
+
+            var ip = a.find('td:nth-child(1)').text().trim();
+            var port = a.find('td:nth-child(2)').text().trim();
+            ips.push({
+                ip: ip,
+                port: port,
+                country: a.find('td:nth-child(3)').text().trim(),
+                protocol: a.find('td:nth-child(5)').text().trim(),
+                anonymity: a.find('td:nth-child(6)').text().trim()
+            });
+        });
+
+        return ips;
+    }
+};
@@ -0,0 +1,28 @@
+/**
+ * nordvpn - https://nordvpn.com/wp-admin/admin-ajax.php?...&action=getProxies
+ * This one is a json api so we skip cheerio and parse the body directly.
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+module.exports = {
+    name: 'nordvpn',
+    hosts: ['nordvpn.com'],
+    parse: function($, data, fetch) {
+        var ips = [];
+        var proxies = JSON.parse(data.body);
+
+        // type is one of HTTP, HTTPS, SOCKS4 or SOCKS5
+        proxies.forEach(function(proxy) {
+            ips.push({
+                ip: proxy.ip,
+                port: proxy.port,
+                protocol: proxy.type,
+                country: proxy.country
+            });
+        });
+
+        return ips;
+    }
+};
@@ -0,0 +1,36 @@
+/**
+ * proxy-list - http://proxy-list.org/english/index.php
+ * proxy-list base64 encodes their ip's but this can be easily decoded in NodeJs
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+module.exports = {
+    name: 'proxy-list',
+    hosts: ['proxy-list.org'],
+    parse: function($, data, fetch) {
+        var ips = [];
+
+        $('#proxy-table .table>ul').each(function (index) {
+            var a = $(this);
+
+            var ip = a.find('.proxy').text().trim();
+            var parts = new RegExp(/Proxy\(\'(.+)\'\)/).exec(ip);
+            if (parts) {
+                ip = Buffer.from(parts[1], 'base64').toString();
+            }
+            var port;
+            [ip, port] = ip.split(':');
+            ips.push({
+                ip: ip,
+                port: port,
+                country: a.find('.country-city .country').attr('title') || a.find('.country-city').text().trim(),
+                protocol: a.find('.https').text().trim() === 'HTTPS' ? 'https' : 'http',
+                anonymity: a.find('.type').text().trim()
+            });
+        });
+
+        return ips;
+    }
+};
@@ -0,0 +1,42 @@
+/**
+ * proxylistplus - http://list.proxylistplus.com/Fresh-HTTP-Proxy-List-1 and http://list.proxylistplus.com/Socks-List-1
+ * The socks list swaps the anonymity column for the socks version
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+module.exports = {
+    name: 'proxylistplus',
+    hosts: ['proxylistplus.com'],
+    parse: function($, data, fetch) {
+        var ips = [];
+        var socks = /Socks-List/i.test(data.url);
+
+        $('table.bg tr.cells').each(function (index) {
+            var a = $(this);
+
+            var ip = a.find('td:nth-child(2)').text().trim();
+            var port = a.find('td:nth-child(3)').text().trim();
+            if (socks) {
+                ips.push({
+                    ip: ip,
+                    port: port,
+                    protocol: a.find('td:nth-child(4)').text().trim(),
+                    country: a.find('td:nth-child(5)').text().trim()
+                });
+            }
+            else {
+                ips.push({
+                    ip: ip,
+                    port: port,
+                    anonymity: a.find('td:nth-child(4)').text().trim(),
+                    country: a.find('td:nth-child(5)').text().trim(),
+                    protocol: a.find('td:nth-child(7)').text().trim() === 'yes' ? 'https' : 'http'
+                });
+            }
+        });
+
+        return ips;
+    }
+};
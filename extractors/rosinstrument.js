@@ -0,0 +1,29 @@
+/**
+ * rosinstrument - http://rosinstrument.com/proxy/l100.xml
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+module.exports = {
+    name: 'rosinstrument',
+    hosts: ['rosinstrument.com'],
+    parse: function($, data, fetch) {
+        var ips = [];
+
+        $('item').each(function (index) {
+            var a = $(this);
+
+            var ip = a.find('title').text().trim();
+            var port;
+            [ip, port] = ip.split(':');
+            // there's a few false positives in this xml so ignore warnings
+            if (fetch.validateIpAddress(ip)) {
+                ips.push(ip + ':' + port);
+            }
+
+        });
+
+        return ips;
+    }
+};
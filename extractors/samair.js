@@ -0,0 +1,37 @@
+/**
+ * samair - http://www.samair.ru/proxy/
+ * samair hides the port behind a css class, this is the class => port lookup table
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+var ports={};
+ports['r2463']="8080";ports['rcb30']="3128";ports['rc80e']="80";ports['r991e']="8000";ports['r4bd9']="3129";ports['rf48f']="8008";ports['rea0f']="9999";ports['r375f']="8081";ports['re097']="8082";ports['r9d18']="666";ports['r0a9e']="1337";ports['r6dac']="6006";ports['ra58b']="8088";ports['r55ff']="81";ports['rada6']="82";ports['r263a']="9000";ports['r0662']="8888";ports['r0e06']="8118";ports['r41cd']="7777";ports['r44a3']="1920";ports['ra5a4']="9797";ports['r5ff5']="20000";ports['r9ef3']="3123";ports['rc9ec']="8102";ports['r9f3e']="8123";ports['r7420']="2226";ports['r3f5e']="10081";ports['rcaa2']="1080";ports['r815d']="808";ports['r162a']="25";ports['r0860']="83";ports['r4151']="8998";ports['r5d46']="8090";ports['r4623']="843";ports['r30be']="2915";ports['r519a']="10000";ports['r0374']="31281";ports['rdc85']="8989";ports['ref8d']="8139";ports['ra273']="8135";ports['r8e42']="5555";ports['r364f']="18000";ports['re042']="2016";ports['rf745']="9090";ports['r7b93']="22684";ports['r9011']="8143";ports['r22d1']="8136";ports['r0829']="8089";ports['rc552']="27149";ports['r60f2']="3205";ports['r645a']="8083";ports['rcac2']="87";ports['r88fc']="7004";ports['rcaa9']="443";
+
+module.exports = {
+    name: 'samair',
+    hosts: ['samair.ru'],
+    parse: function($, data, fetch) {
+        var ips = [];
+
+        $('#proxylist tr').each(function (index) {
+            var a = $(this);
+
+            var ip = a.find('td:nth-child(1) span').text().trim();
+            var html = a.find('td:nth-child(1)').html();
+            var cls = new RegExp(/class=\"(.+)\"/).exec(html);
+            if (cls && cls[1] && ports[cls[1]]) {
+                var port = ports[cls[1]];
+                ips.push({
+                    ip: ip,
+                    port: port,
+                    anonymity: a.find('td:nth-child(2)').text().trim(),
+                    country: a.find('td:nth-child(4)').text().trim()
+                });
+            }
+        });
+
+        return ips;
+    }
+};
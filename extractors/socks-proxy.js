@@ -0,0 +1,31 @@
+/**
+ * socks-proxy - http://www.socks-proxy.net/
+ * Same layout as us-proxy, with the socks version in the 5th column
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+module.exports = {
+    name: 'socks-proxy',
+    hosts: ['socks-proxy.net'],
+    parse: function($, data, fetch) {
+        var ips = [];
+
+        $('#proxylisttable>tbody>tr').each(function (index) {
+            var a = $(this);
+
+            var ip = a.find('td:nth-child(1)').text().trim();
+            var port = a.find('td:nth-child(2)').text().trim();
+            ips.push({
+                ip: ip,
+                port: port,
+                country: a.find('td:nth-child(3)').text().trim(),
+                protocol: a.find('td:nth-child(5)').text().trim(),
+                anonymity: a.find('td:nth-child(6)').text().trim()
+            });
+        });
+
+        return ips;
+    }
+};
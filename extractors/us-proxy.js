@@ -0,0 +1,30 @@
+/**
+ * us-proxy - http://www.us-proxy.org/
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+module.exports = {
+    name: 'us-proxy',
+    hosts: ['us-proxy.org'],
+    parse: function($, data, fetch) {
+        var ips = [];
+
+        $('#proxylisttable>tbody>tr').each(function (index) {
+            var a = $(this);
+
+            var ip = a.find('td:nth-child(1)').text().trim();
+            var port = a.find('td:nth-child(2)').text().trim();
+            ips.push({
+                ip: ip,
+                port: port,
+                country: a.find('td:nth-child(3)').text().trim(),
+                anonymity: a.find('td:nth-child(5)').text().trim(),
+                protocol: a.find('td:nth-child(7)').text().trim() === 'yes' ? 'https' : 'http'
+            });
+        });
+
+        return ips;
+    }
+};
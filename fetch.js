@@ -9,6 +9,7 @@
  *  - http://www.cool-proxy.net/proxies/... (200 proxies)
  *  - http://www.samair.ru/proxy/proxy-30.htm (1000 proxies)
  *  - http://rosinstrument.com/proxy/l100.xml (100 proxies)
+ *  - http://www.socks-proxy.net/ and the socks lists of gatherproxy, proxylistplus and incloak
  *
  *  Hidemyass is pretty tricky as they obfuscate the ip's using a few dirty techniques.. pretty clever but
  *  we can bypass that with a little work.
@@ -35,7 +36,6 @@
 const fs = require('fs');
 const util = require('util');
 const path = require('path');
-const cluster = require('cluster');
 const EventEmitter = require('events').EventEmitter;
 
 const cheerio = require('cheerio');
@@ -43,22 +43,59 @@ const request = require('request');
 const chalk = require('chalk');
 const url = require('url');
 
+const Registry = require('./lib/registry');
+const sources = require('./lib/sources');
+const selectors = require('./lib/selectors');
+const heuristic = require('./lib/heuristic');
+const Scheduler = require('./lib/scheduler');
+const Verifier = require('./lib/verify');
+const record = require('./lib/record');
+const formats = require('./lib/formats');
+const Store = require('./lib/store');
+const Server = require('./lib/server');
+const retry = require('./lib/retry');
+const Upstream = require('./lib/upstream');
+const report = require('./lib/report');
+const Recorder = require('./lib/recorder');
+const validate = require('./lib/options').validate;
+const Cron = require('./lib/cron');
+const normalize = require('./lib/normalize');
+const files = require('./lib/files');
+const GeoIP = require('./lib/geoip');
+const exporters = require('./lib/exporters');
+const Metrics = require('./lib/metrics');
+const diff = require('./lib/diff');
+const Workers = require('./lib/workers');
+
+// the longest setTimeout can wait
+const MAX_TIMEOUT = 2147483647;
+// log levels, anything below logLevel isn't logged
+const LEVELS = {info: 0, warn: 1, error: 2, silent: 3};
+// the options a --workers process needs to crawl and parse a source, everything after that happens on the primary.
+// outputFile is only there so the workers log to stderr too when the proxies are written to stdout
+const WORKER_OPTIONS = ['extractors', 'timeout', 'retries', 'retryDelay', 'maxRetryDelay', 'maxPages', 'via', 'viaPool',
+    'concurrency', 'hostConcurrency', 'hostDelay', 'geoip', 'record', 'replay', 'verbose', 'quiet', 'logLevel',
+    'logFormat', 'outputFile'];
+const ANSI = /[\u001b\u009b][[()#;?]*(?:[0-9]{1,4}(?:;[0-9]{0,4})*)?[0-9A-ORZcf-nqry=><]/g;
+
 /**
  * This follows the observer design pattern. We take arguments first from options, then argv then resort to defaults
  * @constructor
  */
 function Fetch(options) {
-    options = options || {};
+    options = validate(options || {});
     /**
      * Note you can use the {page} variable in the url and it'll be replaced w/ the page number as we paginate.
      * By default it'll start on page 1 and keep up until it finds no more proxies, however..
      * you can specify the start page by using {page:2} to start from page 2.
      * You can ALSO use {page:0-64} to start on page 0, but increment each page by 64.. this is to handle incloak.com
+     * Any other {name:a|b} is a template variable, the url is fetched once for each value, see lib/sources.js
      * @type {*|Array|string[]}
      */
     this.urls = options.urls || [
         'http://proxylist.hidemyass.com/search-1292985/{page}',
         'http://incloak.com/proxy-list/?start={page:0-64}',
+        'http://incloak.com/proxy-list/?type=45&start={page:0-64}',
         'https://nordvpn.com/wp-admin/admin-ajax.php?searchParameters%5B0%5D%5Bname%5D=proxy-country&searchParameters%5B0%5D%5Bvalue%5D=&searchParameters%5B1%5D%5Bname%5D=proxy-ports&searchParameters%5B1%5D%5Bvalue%5D=&offset={page:0-1000}&limit=1000&action=getProxies',
         'http://proxy-list.org/english/index.php?p={page}',
         'http://www.cool-proxy.net/proxies/http_proxy_list/page:{page}/sort:score/direction:desc',
@@ -67,491 +104,1481 @@ function Fetch(options) {
         'http://www.us-proxy.org/',
         'http://www.us-proxy.org/uk-proxy.html',
         'http://list.proxylistplus.com/Fresh-HTTP-Proxy-List-{page}',
-        'POST:http://gatherproxy.com/proxylist/country/?Country=united%20states&PageIdx:{page:1/14}',
-        'POST:http://gatherproxy.com/proxylist/country/?Country=china&PageIdx:{page:1/24}',
-        'POST:http://gatherproxy.com/proxylist/country/?Country=brazil&PageIdx:{page:1/10}',
-        'POST:http://gatherproxy.com/proxylist/country/?Country=russia&PageIdx:{page:1/9}',
-        'POST:http://gatherproxy.com/proxylist/country/?Country=indonesia&PageIdx:{page:1/9}',
-        'POST:http://gatherproxy.com/proxylist/country/?Country=taiwan&PageIdx:{page:1/7}',
-        'POST:http://gatherproxy.com/proxylist/country/?Country=india&PageIdx:{page:1/4}',
-        'POST:http://gatherproxy.com/proxylist/country/?Country=thailand&PageIdx:{page:1/4}',
-        'POST:http://gatherproxy.com/proxylist/country/?Country=france&PageIdx:{page:1/3}',
-        'POST:http://gatherproxy.com/proxylist/country/?Country=united+kingdom&PageIdx:{page:1/2}',
+        'http://list.proxylistplus.com/Socks-List-{page}',
+        'http://www.socks-proxy.net/',
+        'http://www.gatherproxy.com/sockslist',
+        'POST:http://gatherproxy.com/proxylist/country/?Country={country:united states|china|brazil|russia|indonesia|taiwan|india|thailand|france|united kingdom}&PageIdx:{page}',
         'http://www.httptunnel.ge/ProxyListForFree.aspx'
     ];
-    // ensure this directory exists
-    this.outputFile = options.outputFile || __dirname + "/proxies/fetched/fetched_proxies_{date}.txt";
+
+    /**
+     * Everything we crawl is normalised into a source, see lib/sources.js. Sources come from a --config file,
+     * options.sources and the urls above, which are only used by default if nothing else was given.
+     * @type {Array}
+     */
+    // values for the sources' template variables, {name: ['a', 'b']} or ['name=a|b'] from --var
+    this.vars = sources.parseVars(options.vars);
+
+    var defs = [];
+    if (options.config)
+        defs = defs.concat(sources.load(options.config, this.vars));
+    if (options.sources)
+        defs = defs.concat(options.sources);
+    if (options.urls || !defs.length)
+        defs = defs.concat(this.urls);
+    this.sources = sources.expandAll(defs, this.vars).map(sources.parse);
+
+    // only keep proxies of these protocols, e.g. ['socks5', 'https']
+    this.protocols = options.protocol ? [].concat(typeof options.protocol === 'string' ?
+        options.protocol.split(',') : options.protocol).map(function(protocol) {
+            return String(protocol).trim().toLowerCase();
+        }) : null;
+    // add the country, city, ASN and organisation of each proxy from these local databases, see lib/geoip.js
+    this.geoip = options.geoip ? new GeoIP(options.geoip) : null;
+    // only keep proxies in these countries, or drop the ones in these. With geoip they're ISO codes, e.g. US
+    this.countries = list(options.country, function(country) {
+        return country.toUpperCase();
+    });
+    this.excludeCountries = list(options.excludeCountry, function(country) {
+        return country.toUpperCase();
+    });
+    // only keep proxies run by these autonomous systems, 13335 or AS13335
+    this.asns = list(options.asn, GeoIP.parseAsn);
+    if (this.asns && !this.geoip)
+        throw new Error('Filtering by ASN needs a geoip database');
+    // drop proxies in these ranges, each can be a CIDR range or a file of them
+    this.excludeCidrs = list(options.excludeCidr) && blocklist(list(options.excludeCidr));
+    // also write the proxies as config for other tools every time they're saved, e.g. ['pac=proxies/proxy.pac']
+    this.exports = (list(options.exports) || []).map(exporters.parse);
+    // write txt output as protocol://ip:port
+    this.scheme = options.scheme || false;
+    // save each protocol to its own file
+    this.splitProtocols = options.splitProtocols || false;
+    // txt, json, ndjson or csv, guessed from the output file's extension if not given
+    this.format = options.format || formats.detect(options.outputFile || '');
+    formats.get(this.format); // throws on an unknown format
+    // ensure this directory exists, use - to write to stdout
+    this.outputFile = options.outputFile ||
+        __dirname + "/proxies/fetched/fetched_proxies_{date}." + formats.get(this.format).extension;
     // show extra debug info
     this.verbose = options.verbose || false;
+    // don't log anything, for when we're embedded in something else
+    this.quiet = options.quiet || false;
+    // info, warn, error or silent. quiet is silent, and so is a fetch used as a module unless it's given a level,
+    // the command line always gives one
+    this.logLevel = this.quiet ? 'silent' : (options.logLevel || 'silent');
+    // text or json, one object per line for log pipelines
+    this.logFormat = options.logFormat || 'text';
+    // write the run counters here after every run, Prometheus text or .json
+    this.metricsFile = options.metrics || false;
+    // after each run work out what's changed since the last one, save it here and POST it to the webhook
+    this.diffOut = options.diffOut || false;
+    this.webhook = options.webhook || false;
+    // cancels run() and stream() when aborted
+    this.signal = options.signal || null;
     this.retry = options.retry || false;
+    // failed pages are retried this many times, backing off from retryDelay ms up to maxRetryDelay ms
+    this.retries = options.retries !== undefined ? parseInt(options.retries) : 3;
+    this.retryDelay = parseInt(options.retryDelay) || 1e3;
+    // never fetch more than this many pages of a source, sources can set their own with pagination.maxPages
+    this.maxPages = parseInt(options.maxPages) || null;
+    this.maxRetryDelay = parseInt(options.maxRetryDelay) || 30e3;
+    /**
+     * Send source requests through upstream proxies, either the fixed via list or rotating through the proxies
+     * earlier runs collected (viaPool). Blocked or failed requests fail over to the next upstream
+     * @type {Upstream}
+     */
+    this._upstream = new Upstream({
+        via: typeof options.via === 'string' ? options.via.split(',') : options.via,
+        pool: options.viaPool
+    });
+    // serve the pool over http on this port (or host:port), the retry loop keeps it fresh so default it to hourly
+    this.serve = options.serve || false;
+    if (this.serve && !this.retry && !options.schedule)
+        this.retry = 60;
+    // run at the times given by this cron expression instead, e.g. '0 3 * * *' for every day at 03:00, see lib/cron.js
+    this._schedule = options.schedule ? new Cron(options.schedule) : null;
+    // write our pid here while running, and a JSON status saying when the last and next runs are here
+    this.pidFile = options.pidFile || false;
+    this.statusFile = options.statusFile || false;
+    // keep a persistent pool in this JSON-lines database and save that instead of merging with the output file
+    this.db = options.db || false;
+    // drop proxies from the database that haven't been listed for this long, e.g. 7d
+    this.pruneOlderThan = options.pruneOlderThan ? Store.parseDuration(options.pruneOlderThan) : false;
+    // the last run's proxies are kept beside the diff file, database or output file so the next process can diff
+    var beside = this.diffOut || this.db || (this.outputFile !== '-' && this.outputFile);
+    this._lastRunFile = (this.diffOut || this.webhook) && beside ? diff.stateFile(beside) : null;
+    var lastRun = this._lastRunFile && diff.load(this._lastRunFile);
+    if (lastRun) {
+        this._lastRunProxies = lastRun.proxies;
+        this._lastRunStartTime = lastRun.startedAt;
+    }
+    // milliseconds to wait for another run to finish writing the output file or database, see lib/files.js.
+    // Saving is synchronous so the wait blocks the process, --serve doesn't answer until it's over
+    this.lockTimeout = options.lockTimeout !== undefined ? parseInt(options.lockTimeout) : 10e3;
+    // check the proxies work before saving them, see lib/verify.js
+    this.verify = options.verify || false;
+    this.judgeUrl = options.judgeUrl || 'http://azenv.net/';
+    this.verifyConcurrency = options.verifyConcurrency || 20;
+    this.verifyTimeout = options.verifyTimeout || 10e3;
+    // save proxies that failed verification too
+    this.keepUnverified = options.keepUnverified || false;
+    // write a JSON health report for each source here after every run, see lib/report.js
+    this.reportFile = options.report || false;
+    // how many proxies each source found in previous runs, read back from the last report
+    this._history = report.loadHistory(this.reportFile);
+    // save every page we receive to this directory, or serve pages from it instead of the network, see lib/recorder.js
+    this._recorder = options.record ? new Recorder(options.record) : null;
+    this._replayer = options.replay ? new Recorder(options.replay) : null;
+
+    /**
+     * Extractors are loaded from ./extractors, then any of your own given as a path to a file or directory
+     * (or an array of paths / extractor objects). Yours take precedence over the built-in ones.
+     * @type {Registry}
+     */
+    this.registry = new Registry().load(__dirname + '/extractors');
+    [].concat(options.extractors || []).forEach(function(extractor) {
+        if (typeof extractor === 'string')
+            this.registry.load(extractor);
+        else
+            this.registry.register(extractor);
+    }, this);
+
+    /**
+     * Sources are crawled in parallel, at most concurrency requests at once and hostConcurrency per host,
+     * waiting hostDelay ms between requests to the same host
+     * @type {Scheduler}
+     */
+    this._scheduler = new Scheduler({
+        concurrency: options.concurrency,
+        hostConcurrency: options.hostConcurrency,
+        hostDelay: options.hostDelay
+    });
+
+    /**
+     * Crawl the sources in this many worker processes rather than this one, see lib/workers.js. They're given the
+     * crawling options, so extractors have to be paths they can load for themselves
+     * @type {number}
+     */
+    this.workers = parseInt(options.workers) || 0;
+    if (this.workers && [].concat(options.extractors || []).some(function(extractor) {
+        return typeof extractor !== 'string';
+    }))
+        throw new Error('Workers can only load extractors from a path');
+    this._workerOptions = {};
+    WORKER_OPTIONS.forEach(function(name) {
+        if (options[name] !== undefined)
+            this._workerOptions[name] = options[name];
+    }, this);
 
     // internal variables
-    this._urlIndex = 0;
-    this._urlPage = -1;
+    this._crawls = [];
+    this._pending = 0;
     this._proxies = [];
+    this._verified = {};
+    // ip:port of every proxy found this run, for the 'proxy' event
+    this._seen = {};
+    // how many proxies were rejected this run and why, see lib/normalize.js
+    this._rejected = {};
+    // requests in flight, so abort() can cancel them
+    this._inflight = new Set();
+    this._running = false;
     this._startTime = new Date().getTime();
-    this._requestTimeout = 5e3;
+    this._requestTimeout = parseInt(options.timeout) || 5e3;
 
     EventEmitter.call(this);
+
+    // counters for every run, served on /metrics and written to the metrics file, see lib/metrics.js
+    this.metrics = new Metrics(this);
+
+    if (this.exports.length) {
+        this.on('complete', function(outputFile, total, proxies) {
+            this.writeExports(proxies);
+        });
+    }
+}
+
+/**
+ * Turn an option that's a list, a comma separated string or a single value into a tidy array
+ * @param value
+ * @param map (optional) applied to each trimmed item
+ * @returns {Array|null} null if there's nothing in it
+ */
+function list(value, map) {
+    if (value === undefined || value === null || value === false)
+        return null;
+    var items = [].concat(typeof value === 'string' ? value.split(',') : value).map(function(item) {
+        return String(item).trim();
+    }).filter(Boolean);
+    return items.length ? items.map(function(item) {
+        return map ? map(item) : item;
+    }) : null;
+}
+
+/**
+ * Load the CIDR ranges to exclude, files have one range per line and # comments
+ * @param entries ranges or paths to files of them
+ * @returns {Array} normalize.cidr matchers
+ * @throws {Error} on an invalid range
+ */
+function blocklist(entries) {
+    var ranges = [];
+    entries.forEach(function(entry) {
+        if (!fs.existsSync(entry))
+            return ranges.push(entry);
+        fs.readFileSync(entry, 'utf8').split('\n').forEach(function(line) {
+            line = line.replace(/#.*/, '').trim();
+            if (line)
+                ranges.push(line);
+        });
+    });
+    return ranges.map(normalize.cidr);
+}
+
+/**
+ * The level of a log message from its colour, red is an error, yellow a warning
+ * @param args the log arguments
+ * @returns {string}
+ */
+function logLevel(args) {
+    var color = args.filter(function(arg) {
+        return typeof arg === 'string' && arg.substr(0, 2) === 'c:';
+    })[0] || '';
+    if (/red/i.test(color))
+        return 'error';
+    if (/yellow/i.test(color))
+        return 'warn';
+    return 'info';
+}
+
+/**
+ * The error run() rejects with when it's aborted, the signal's reason if it gave one
+ * @param signal
+ * @returns {Error}
+ */
+function abortError(signal) {
+    if (signal && signal.reason instanceof Error)
+        return signal.reason;
+    var error = new Error('The run was aborted');
+    error.name = 'AbortError';
+    return error;
 }
 
 Fetch.prototype.main = function() {
     var _this = this;
 
+    if (this.pidFile)
+        this.writePidFile();
+
     if (this.verbose) {
         _this.log("Fetching proxies from:");
-        this.urls.forEach(function (url, inc) {
-            _this.log(++inc + ".\t", "c:bold", url);
+        this.sources.forEach(function (source, inc) {
+            _this.log(++inc + ".\t", "c:bold", (source.method === 'POST' ? 'POST:' : '') + source.url);
         });
     }
 
-    this.on('fetchPage', function(data) {
-        var save = function(){
+    this.watchPages();
+
+    if (this.serve)
+        this.startServer();
+
+    // start off with the pool in the database if there is one, otherwise the first run goes direct
+    if (this._upstream.usePool && this.db && fs.existsSync(this.db))
+        this._upstream.setPool(new Store(this.db).load().records());
+
+    this.on('drain', function() {
+        _this.finishRun(function() {
             _this.log();
-            _this.saveProxies();
-
-            if (_this.retry) {
-                var mins = parseInt(_this.retry) * 60000;
-                _this.log("");
-                _this.log("c:yellow", "Retrying in ", "c:yellow bold", _this.runTime(new Date().getTime() - mins));
-                setTimeout(function () {
-                    _this._urlIndex = 0;
-                    _this.urlPage = -1;
-                    _this._proxies = [];
-                    _this.fetchPage();
-                }, mins);
+            _this._crawls.forEach(function(crawl) {
+                if (crawl.failure)
+                    _this.log({event: 'error', source: crawl.source.name, url: crawl.failure.url,
+                        reason: crawl.failure.reason, attempts: crawl.failure.attempts},
+                        "c:red", "Gave up on ", "c:red bold", crawl.source.name, "c:red", " at ",
+                        "c:red bold", crawl.failure.url, "c:red", ": " + crawl.failure.reason + " after " +
+                        crawl.failure.attempts + " attempts");
+            });
+            _this.logRejected();
+            try {
+                _this.saveProxies();
             }
-        };
+            catch (err) {
+                // e.g. another run kept the output file locked, keep going so a --retry loop tries again next time
+                _this.log({event: 'error', code: err.code || null}, "c:red bold", "Could not save the proxies: ",
+                    "c:red", err.message);
+                if (_this.listenerCount('error'))
+                    _this.emit('error', err);
+            }
+            _this._upstream.setPool(_this._proxies);
+            _this.log({event: 'run', count: _this._proxies.length, duration: new Date().getTime() - _this._runStartTime},
+                "Run finished in ", "c:bold", _this.runTime(_this._runStartTime));
+            if (_this.metricsFile)
+                files.writeAtomic(_this.metricsFile, _this.metrics.serialize(_this.metricsFile));
+            _this._lastRun = {
+                startedAt: new Date(_this._runStartTime).toISOString(),
+                finishedAt: new Date().toISOString(),
+                proxies: _this._proxies.length,
+                failedSources: _this._crawls.filter(function(crawl) {
+                    return crawl.failure;
+                }).length
+            };
+
+            // a cron schedule is already waiting for its next time, --retry counts from the start of this run
+            if (_this._schedule)
+                _this.writeStatus();
+            else
+                _this.scheduleNext();
+            _this.emit('idle');
+        });
+    });
+
+    if (this._schedule)
+        this.scheduleNext();
+    else
+        this.crawl();
+};
+
+/**
+ * When the next run is due, the next time the --schedule cron expression fires or --retry minutes after the
+ * last run started
+ * @returns {Date|null} null if there isn't one
+ */
+Fetch.prototype.nextRun = function() {
+    var now = new Date().getTime();
+
+    if (this._schedule)
+        return this._schedule.next(new Date(now));
+    if (this.retry)
+        return new Date(Math.max(now, (this._runStartTime || now) + parseInt(this.retry) * 60000));
+    return null;
+};
+
+/**
+ * Wait for the next run. Runs never overlap, if one's still going when the next is due that one is skipped
+ */
+Fetch.prototype.scheduleNext = function() {
+    var _this = this;
+
+    clearTimeout(this._timer);
+    this._nextRun = this._stopping ? null : this.nextRun();
+    this.writeStatus();
+    if (!this._nextRun)
+        return;
+
+    var wait = this._nextRun.getTime() - new Date().getTime();
+    this.log("");
+    this.log("c:yellow", "Next run at ", "c:yellow bold", this._nextRun.toString(), "c:yellow", " in ",
+        "c:yellow bold", this.runTime(new Date().getTime() - wait));
+
+    // setTimeout can't wait more than ~24 days, so long waits are broken up
+    if (wait > MAX_TIMEOUT) {
+        this._timer = setTimeout(function() {
+            _this.scheduleNext();
+        }, MAX_TIMEOUT);
+        return;
+    }
+
+    this._timer = setTimeout(function() {
+        if (_this._schedule)
+            _this.scheduleNext();
+
+        if (_this._running)
+            _this.log("c:yellow", "The last run is still going, skipping this one");
+        else
+            _this.crawl();
+    }, wait);
+};
+
+/**
+ * Write our pid to pidFile, refusing to start if another instance is still running with it
+ */
+Fetch.prototype.writePidFile = function() {
+    if (fs.existsSync(this.pidFile)) {
+        var pid = parseInt(fs.readFileSync(this.pidFile, 'utf8'));
+        if (pid && pid !== process.pid && files.processExists(pid))
+            throw new Error('Already running as pid ' + pid + ' according to ' + this.pidFile);
+    }
+    files.ensureDir(this.pidFile);
+    fs.writeFileSync(this.pidFile, process.pid + "\n");
+};
+
+/**
+ * Write the status file if there is one, e.g.
+ *  {"pid":123,"state":"idle","schedule":"0 3 * * *","lastRun":{...},"nextRun":"2016-11-11T03:00:00.000Z"}
+ */
+Fetch.prototype.writeStatus = function() {
+    if (!this.statusFile)
+        return;
+
+    var status = {
+        pid: process.pid,
+        state: this._stopped ? 'stopped' : (this._stopping ? 'stopping' : (this._running ? 'running' : 'idle')),
+        schedule: this._schedule ? this._schedule.expression : (this.retry ? 'every ' + parseInt(this.retry) + ' minutes' : null),
+        startedAt: new Date(this._startTime).toISOString(),
+        currentRun: this._running ? {startedAt: new Date(this._runStartTime).toISOString()} : null,
+        lastRun: this._lastRun || null,
+        nextRun: this._nextRun ? this._nextRun.toISOString() : null
+    };
+    files.writeAtomic(this.statusFile, JSON.stringify(status, null, 2) + "\n");
+};
+
+/**
+ * Stop for good: nothing more is scheduled and the server is closed. A run that's still crawling is abandoned,
+ * one that's verifying or saving is left to finish first so we never leave a half written file
+ * @param callback
+ */
+Fetch.prototype.shutdown = function(callback) {
+    var _this = this;
+
+    var stop = function() {
+        if (_this._server)
+            _this._server.close();
+        _this._stopped = true;
+        _this._nextRun = null;
+        _this.writeStatus();
+        if (_this.pidFile && fs.existsSync(_this.pidFile) &&
+            parseInt(fs.readFileSync(_this.pidFile, 'utf8')) === process.pid)
+            fs.unlinkSync(_this.pidFile);
+        _this.log("c:yellow", "Stopped");
+        if (callback)
+            callback();
+    };
+
+    this._stopping = true;
+    clearTimeout(this._timer);
+    this.log("c:yellow", "Shutting down");
+
+    if (this._running && this._finishing) {
+        this.writeStatus();
+        this.once('idle', stop);
+    }
+    else {
+        this.abort();
+        stop();
+    }
+};
+
+/**
+ * Handle each page as it comes in, extracting the proxies and moving on to the next page until the source runs dry.
+ * Only needs doing once however many runs there are
+ */
+Fetch.prototype.watchPages = function() {
+    var _this = this;
+
+    if (this._watching)
+        return;
+    this._watching = true;
+
+    this.on('fetchPage', function(data) {
+        var crawl = data.crawl;
+
+        if (crawl.aborted)
+            return;
 
         if (!data.error && data.response.statusCode === 200) {
+            if (_this.verbose)
+                _this.log({event: 'page', source: crawl.source.name, url: data.url, status: 200,
+                    duration: new Date().getTime() - data.duration}, "Loaded ", "c:bold", data.url, " in ",
+                    "c:bold", _this.runTime(data.duration));
 
-            var proxies = _this.extractProxies(data);
+            var proxies;
+            try {
+                proxies = _this.extractProxies(data);
+            }
+            catch (err) {
+                // e.g. a block page where the extractor expects json, give up on this source but not the others
+                crawl.failure = {url: data.url, reason: (data.extractor ? data.extractor.name : 'Extractor') +
+                    ' failed: ' + err.message, attempts: data.attempts, via: data.via || null};
+                if (_this.verbose)
+                    _this.log({event: 'error', source: crawl.source.name, url: data.url, reason: crawl.failure.reason},
+                        "c:red", "Could not extract proxies from ", "c:red bold", data.url, "c:red", ": " +
+                        crawl.failure.reason);
+                _this.finishSource(crawl);
+                return;
+            }
+            crawl.stats.pages++;
+            _this.tallyProxies(crawl, proxies);
+
+            // some sites answer any page past the last with the last page again
+            var signature = proxies.map(record.key).sort().join(',');
+            if (proxies.length && signature === crawl.lastPage) {
+                if (_this.verbose)
+                    _this.log("c:yellow", data.url, " repeats the last page, stopping");
+                _this.finishSource(crawl);
+                return;
+            }
+            crawl.lastPage = signature;
+
+            if (crawl.requested === 1)
+                _this.discoverPages(data);
 
             if (proxies.length) {
-                _this.log("c:green", "Found ", "c:green bold", proxies.length, "c:green", " proxies on ",
+                _this.log({event: 'proxies', source: crawl.source.name, url: data.url, count: proxies.length,
+                    duration: new Date().getTime() - data.duration},
+                    "c:green", "Found ", "c:green bold", proxies.length, "c:green", " proxies on ",
                     "c:green bold", (data.url), "c:green", " in ",
                     "c:green bold",  _this.runTime(data.duration));
-                _this._proxies.push.apply(_this._proxies, proxies);
+                _this.addProxies(proxies);
 
-                if (data.singlePage && _this.urls[_this._urlIndex + 1] ) {
-                    _this._urlIndex++;
-                    _this._urlPage = -1;
-                    _this.fetchPage();
+                if (data.singlePage) {
+                    _this.finishSource(crawl);
                 }
-                else if (data.singlePage && ! _this.urls[_this._urlIndex + 1]) {
-                    save();
+                else if (data.source.pagination.next) {
+                    var next = _this.nextLink(data);
+                    if (next && !crawl.visited[next]) {
+                        crawl.nextUrl = next;
+                        _this.fetchPage(crawl);
+                    }
+                    else {
+                        _this.finishSource(crawl);
+                    }
                 }
                 else {
-                    _this.fetchPage();
+                    _this.fetchPage(crawl);
                 }
             }
-            // try the next url
-            else if (_this.urls[_this._urlIndex + 1]) {
-                _this._urlIndex++;
-                _this._urlPage = -1;
-                _this.fetchPage();
-            }
+            // no more proxies, this source is done
             else {
-                save();
+                _this.finishSource(crawl);
             }
         }
         else {
-            if (_this.verbose)
-              _this.log("c:red", "Error connecting to ", "c:red bold", data.url, " ",  "c:red bold", data.error);
+            if (_this.verbose && !data.reachedEnd)
+              _this.log({event: 'error', source: crawl.source.name, url: data.url, reason: crawl.failure.reason,
+                  attempts: crawl.failure.attempts}, "c:red", "Error connecting to ", "c:red bold", data.url, " ",  "c:red bold",
+                  crawl.failure.reason, "c:red", " after " + crawl.failure.attempts + " attempts");
 
-            if (_this.urls[_this._urlIndex + 1]) {
-                _this._urlIndex++;
-                _this._urlPage = -1;
-                _this.fetchPage();
-            }
-            else {
-                save();
-            }
+            _this.finishSource(crawl);
         }
 
     });
-
-    this.fetchPage();
 };
 
+/**
+ * Once every source has finished: report on their health, filter the proxies and verify them if asked to
+ * @param callback
+ */
+Fetch.prototype.finishRun = function(callback) {
+    var _this = this;
+    var done = function() {
+        _this._running = false;
+        _this._finishing = false;
+        _this.diffRun();
+        callback();
+    };
+
+    this._finishing = true;
+    this.buildReport();
+    this.filterProxies();
 
+    if (this.verify)
+        this.verifyProxies(done);
+    else
+        done();
+};
 
 /**
- * Request the html from the site, also incrementing the page
+ * Compare this run's proxies with the last run's, after filtering and verifying but before they're merged with
+ * the output file. With diffOut or a webhook the proxies are kept in a state file for the next process, without
+ * one the first run has nothing to compare with so there's no diff. Otherwise it's logged, emitted with 'diff',
+ * saved to diffOut and POSTed to the webhook if anything changed, see lib/diff.js
+ * @returns {Object|null} the diff
+ */
+Fetch.prototype.diffRun = function() {
+    var _this = this;
+    var current = record.dedupe(this._proxies);
+    var previous = this._lastRunProxies;
+    var from = this._lastRunStartTime;
+
+    this._lastRunProxies = current;
+    this._lastRunStartTime = this._runStartTime;
+    if (this._lastRunFile)
+        diff.save(this._lastRunFile, current, this._runStartTime);
+    if (!previous)
+        return null;
+
+    var changes = diff.compare(previous, current, from, this._runStartTime);
+    this.log({event: 'diff', added: changes.added.length, removed: changes.removed.length, unchanged: changes.unchanged},
+        "Since the last run: ", "c:green bold", "+" + changes.added.length, " new, ", "c:red bold",
+        "-" + changes.removed.length, " gone, ", "c:bold", changes.unchanged, " unchanged");
+    this.emit('diff', changes);
+
+    if (this.diffOut)
+        files.writeAtomic(this.diffOut.replace("{date}", this.dateStamp()), diff.serialize(changes, this.diffOut));
+
+    if (this.webhook && (changes.added.length || changes.removed.length)) {
+        diff.notify(this.webhook, changes, {timeout: this._requestTimeout, userAgent: this.userAgent()},
+            function(err, status) {
+                if (err)
+                    _this.log({event: 'webhook', url: _this.webhook, error: err.message || err.code}, "c:yellow",
+                        "Could not notify ", "c:yellow bold", _this.webhook, "c:yellow", ": " + (err.message || err.code));
+                else if (_this.verbose)
+                    _this.log({event: 'webhook', url: _this.webhook, status: status}, "Notified ", "c:bold", _this.webhook);
+                _this.emit('webhook', err, status);
+            });
+    }
+    return changes;
+};
+
+/**
+ * Crawl every source once and resolve with the proxies found, filtered and verified like main() but without
+ * writing the output file or database. The 'proxy' event still fires as each new proxy is found.
+ * @param options {signal: AbortSignal} (optional) overrides the signal given to the constructor
+ * @returns {Promise<Array>} the records, rejected with an AbortError if the signal aborts first
  */
-Fetch.prototype.fetchPage = function() {
+Fetch.prototype.run = function(options) {
     var _this = this;
+    var signal = (options && options.signal) || this.signal;
 
-    var startTime = new Date().getTime();
-    var pageUrl = this.urls[this._urlIndex];
-    // defaults
-    var startPage = 1;
-    var inc = 1;
-    var leftPad = false;
-    var reachedEnd = false;
+    return new Promise(function(resolve, reject) {
+        if (_this._running)
+            return reject(new Error('Already running'));
+        if (signal && signal.aborted)
+            return reject(abortError(signal));
 
-    // now replace {page} or {page
-    var parts = new RegExp(/{page(.*)}/).exec(pageUrl);
-    if (parts) {
-        var params = parts[1];
+        // abort() emits 'abort' whether it was called directly or by the signal, either way the run is over
+        var onSignal = function() {
+            _this.abort();
+        };
+        var cleanup = function() {
+            _this.removeListener('drain', onDrain);
+            _this.removeListener('abort', onAbort);
+            if (signal)
+                signal.removeEventListener('abort', onSignal);
+        };
+        var onAbort = function() {
+            cleanup();
+            reject(abortError(signal));
+        };
+        var onDrain = function() {
+            _this.finishRun(function() {
+                cleanup();
+                resolve(record.dedupe(_this._proxies));
+            });
+        };
 
-        if (params.indexOf(':') > -1) {
-            params = params.split(':')[1];
+        if (signal)
+            signal.addEventListener('abort', onSignal);
+        _this.watchPages();
+        _this.once('drain', onDrain);
+        _this.once('abort', onAbort);
+        _this.crawl();
+    });
+};
 
-            // 1-64 allows us to define the start number and amount to increment
-            if (params.indexOf('-') > -1) {
-                [startPage, inc] = params.split('-');
-                if (startPage[0] == 0 && startPage.length > 1)
-                    leftPad = true;
-            }
-            else if (params.indexOf('/') > -1) {
-                var maxPage;
-                [startPage, maxPage] = params.split('/');
-                if (this._urlPage > maxPage) {
-                    reachedEnd = true;
-                }
-            }
-            else {
-                if (params[0] == '0' && params.length > 1)
-                    leftPad = true;
-                startPage = parseInt(params);
-            }
+/**
+ * Stream the proxies as the pages are parsed, each one only once. They haven't been filtered or verified yet
+ *
+ *  for await (const proxy of fetch.stream()) ...
+ *
+ * Breaking out of the loop aborts the run, as does the signal
+ * @param options {signal: AbortSignal} (optional)
+ * @returns {AsyncIterator}
+ */
+Fetch.prototype.stream = function(options) {
+    var _this = this;
+    var queue = [];
+    var waiting = null;
+    var finished = false;
+    var failure = null;
+
+    var settle = function() {
+        if (!waiting)
+            return;
+        var pending = waiting;
+        if (queue.length) {
+            waiting = null;
+            pending.resolve({value: queue.shift(), done: false});
         }
-        if (leftPad && startPage < 10)
-            startPage = '0' + startPage;
-
-        // if it's the first time running this url then urlPage will be -1
-        if (this._urlPage < 0) {
-            this._urlPage = startPage;
+        else if (failure) {
+            waiting = null;
+            pending.reject(failure);
         }
-        else {
-            startPage = this._urlPage;
+        else if (finished) {
+            waiting = null;
+            pending.resolve({value: undefined, done: true});
+        }
+    };
+    var onProxy = function(proxy) {
+        queue.push(proxy);
+        settle();
+    };
+
+    this.on('proxy', onProxy);
+    this.run(options).then(function() {
+        finished = true;
+        _this.removeListener('proxy', onProxy);
+        settle();
+    }, function(err) {
+        failure = err;
+        _this.removeListener('proxy', onProxy);
+        settle();
+    });
+
+    var iterator = {
+        next: function() {
+            return new Promise(function(resolve, reject) {
+                waiting = {resolve: resolve, reject: reject};
+                settle();
+            });
+        },
+        return: function() {
+            if (!finished && !failure) {
+                finished = true;
+                _this.removeListener('proxy', onProxy);
+                _this.abort();
+            }
+            return Promise.resolve({value: undefined, done: true});
         }
-        pageUrl = pageUrl.replace(/{page.*}/, String(startPage));
+    };
+    iterator[Symbol.asyncIterator] = function() {
+        return iterator;
+    };
+    return iterator;
+};
+
+/**
+ * for await (const proxy of fetch) is the same as fetch.stream()
+ * @returns {AsyncIterator}
+ */
+Fetch.prototype[Symbol.asyncIterator] = function() {
+    return this.stream();
+};
+
+/**
+ * Stop the current run: requests in flight are cancelled, nothing else is fetched and 'drain' won't fire.
+ * Also stops the --retry or --schedule loop
+ */
+Fetch.prototype.abort = function() {
+    clearTimeout(this._timer);
+
+    this._crawls.forEach(function(crawl) {
+        crawl.aborted = true;
+    });
+    this._inflight.forEach(function(inflight) {
+        if (inflight.request && inflight.request.abort)
+            inflight.request.abort();
+        inflight.done();
+    });
+    this._inflight.clear();
+    if (this._workerPool)
+        this._workerPool.stop();
+
+    if (this._running) {
+        this._running = false;
+        this.emit('abort');
     }
-    if (reachedEnd) {
-        var ret = {error: null, url: pageUrl, response: {}, body: '', duration: startTime};
-        this.emit('fetchPage',ret);
+};
+
+/**
+ * Start crawling every source. The scheduler decides how many run at once, each source paginates in order
+ * and once the last one has finished we emit 'drain'
+ */
+Fetch.prototype.crawl = function() {
+    var _this = this;
+
+    this._runStartTime = new Date().getTime();
+    this._running = true;
+    this._proxies = [];
+    this._verified = {};
+    this._seen = {};
+    this._rejected = {};
+    this.writeStatus();
+    this._crawls = this.sources.map(this.createCrawl, this);
+    this._pending = this._crawls.length;
+
+    if (!this._pending) {
+        this.emit('drain');
+        return;
+    }
+
+    if (this.workers) {
+        this.crawlWorkers();
+        return;
     }
-    else {
 
-        startPage = parseInt(startPage) + parseInt(inc);
-        if (leftPad && startPage < 10)
-            startPage = '0' + startPage;
+    this._crawls.forEach(function(crawl) {
+        _this.fetchPage(crawl);
+    });
+};
 
-        this._urlPage = startPage;
+/**
+ * Hand the sources out to worker processes, see lib/workers.js. Each source's proxies and stats come back once
+ * it's been crawled and are taken on as if it had been crawled here
+ */
+Fetch.prototype.crawlWorkers = function() {
+    var _this = this;
+    var pool = this._upstream.usePool ? this._upstream.pool : null;
 
-        if (this.verbose) this.log("Loading ", "c:bold", pageUrl);
-        var payload = {
-            method: 'GET',
-            timeout : _this._requestTimeout,
-            headers: {
-                "User-Agent":_this.userAgent()
-            },
-            url: pageUrl
-        };
+    this._workerPool = new Workers(this.workers, this._workerOptions);
+    this._workerPool.on('crash', function(job, code, signal) {
+        _this.log({event: 'workerCrashed', source: job.source.name, code: code, signal: signal, crashes: job.crashes},
+            "c:yellow", "The worker crawling ", "c:yellow bold", job.source.name, "c:yellow", " died (" +
+            (signal || code) + ")" + (job.crashes < Workers.MAX_CRASHES ? ", handing it to another" : ""));
+    });
 
-        if (pageUrl.substr(0,5) === 'POST:') {  // post data
-            pageUrl = pageUrl.substr(5, pageUrl.length);
-            payload.url = pageUrl;
-            payload.method = 'POST';
-            payload.form = url.parse(pageUrl, true).query;
+    this._workerPool.run(this._crawls.map(function(crawl) {
+        return {index: crawl.index, source: crawl.source, pool: pool};
+    }), function(err, job, result) {
+        var crawl = _this._crawls[job.index];
+        if (crawl.aborted)
+            return;
+
+        if (err) {
+            crawl.failure = {url: crawl.source.url, reason: err.message, attempts: job.crashes || 0, via: null};
+        }
+        else {
+            crawl.stats = result.stats;
+            if (result.failure)
+                crawl.failure = result.failure;
+            Object.keys(result.rejected).forEach(function(reason) {
+                _this._rejected[reason] = (_this._rejected[reason] || 0) + result.rejected[reason];
+            });
+            _this.addProxies(result.proxies);
         }
+        _this.finishSource(crawl);
+    });
+};
 
-        request(payload, function (error, response, body) {
-            var ret = {error: error, url: pageUrl, response: response, body: body, duration: startTime};
-            // handle single page
-            if (!parts) {
-                ret.singlePage = true;
-            }
-            _this.emit('fetchPage', ret);
-        });
-    }
+/**
+ * The state of a source while it's being crawled: the next page, whether it's done and what it's given us so far
+ * @param source
+ * @param index
+ * @returns {Object}
+ */
+Fetch.prototype.createCrawl = function(source, index) {
+    return {index: index || 0, source: source, page: -1, done: false, stats: report.createStats(), seen: {},
+        requested: 0, visited: {}, nextUrl: null, lastPage: null, max: null};
+};
+
+/**
+ * Count the proxies a page gave us and how many were already seen on this source, the invalid ones have already
+ * been counted by extractProxies
+ * @param crawl
+ * @param proxies
+ */
+Fetch.prototype.tallyProxies = function(crawl, proxies) {
+    proxies.forEach(function(proxy) {
+        crawl.stats.extracted++;
+
+        if (crawl.seen[record.key(proxy)])
+            crawl.stats.duplicate++;
+        else
+            crawl.seen[record.key(proxy)] = true;
+    });
 };
 
+/**
+ * Add proxies to this run's, emitting 'proxy' for each one we haven't seen yet
+ * @param proxies
+ */
+Fetch.prototype.addProxies = function(proxies) {
+    var _this = this;
 
-Fetch.prototype.saveProxies = function() {
+    this._proxies.push.apply(this._proxies, proxies);
+    proxies.forEach(function(proxy) {
+        var key = record.key(proxy);
+        if (!_this._seen[key]) {
+            _this._seen[key] = true;
+            _this.emit('proxy', proxy);
+        }
+    });
+};
+
+/**
+ * Summarise the proxies rejected this run, e.g. Rejected 12 proxies: 9 private, 3 invalid port
+ */
+Fetch.prototype.logRejected = function() {
     var _this = this;
+    var reasons = Object.keys(this._rejected).sort(function(a, b) {
+        return _this._rejected[b] - _this._rejected[a];
+    });
+    if (!reasons.length)
+        return;
+
+    var total = reasons.reduce(function(sum, reason) {
+        return sum + _this._rejected[reason];
+    }, 0);
+    this.log("c:yellow", "Rejected ", "c:yellow bold", total, "c:yellow", " proxies: " + reasons.map(function(reason) {
+        return _this._rejected[reason] + ' ' + reason;
+    }).join(', '));
+};
 
-    var outputFile = String(this.outputFile).replace("{date}", this.dateStamp());
+/**
+ * Count a proxy normalisation rejected against the run and the source it came from
+ * @param crawl (optional)
+ * @param reason see lib/normalize.js
+ */
+Fetch.prototype.reject = function(crawl, reason) {
+    this._rejected[reason] = (this._rejected[reason] || 0) + 1;
 
-    if (fs.existsSync(outputFile)) {
-        var origProxies = fs.readFileSync(outputFile).toString('utf8').split('\n');
-        var oldTotal = this._proxies.length;
-        this.log("Total ", "c:bold", this._proxies.length, " proxies. Appending to ",
-            "c:bold", origProxies.length, " found in ", "c:bold", outputFile);
+    if (crawl) {
+        crawl.stats.extracted++;
+        crawl.stats.invalid++;
+        crawl.stats.rejected[reason] = (crawl.stats.rejected[reason] || 0) + 1;
+    }
+};
 
-        this._proxies.push.apply(this._proxies, origProxies);
+/**
+ * Work out how healthy each source was this run, see lib/report.js. The report is written to reportFile if set,
+ * emitted with 'report' and each source that looks broken is emitted with 'sourceBroken'
+ * @returns {Object}
+ */
+Fetch.prototype.buildReport = function() {
+    var _this = this;
 
-        oldTotal = this._proxies.length;
-        // es6 way of removing dupes, taken from http://stackoverflow.com/questions/9229645/remove-duplicates-from-javascript-array
-        this._proxies =  Array.from(new Set(this._proxies));
+    var health = report.build(this._crawls, this._history, this._runStartTime);
+    this._report = health;
 
-        if (oldTotal - this._proxies.length > 0) {
-            _this.log("Removing ", "c:bold", (oldTotal - this._proxies.length),
-                " duplicates. Grand Total ", "c:bold", this._proxies.length);
+    health.sources.forEach(function(entry) {
+        if (entry.health === 'broken') {
+            _this.log({event: 'sourceBroken', source: entry.name, url: entry.url, reason: entry.reason},
+                "c:red bold", entry.name, "c:red", " looks broken: " + entry.reason);
+            _this.emit('sourceBroken', entry);
         }
-    }
+        else if (entry.health === 'degraded' && _this.verbose) {
+            _this.log({event: 'sourceDegraded', source: entry.name, url: entry.url, reason: entry.reason},
+                "c:yellow bold", entry.name, "c:yellow", " is degraded: " + entry.reason);
+        }
+    });
+
+    if (this.reportFile)
+        files.writeAtomic(this.reportFile, JSON.stringify(health, null, 2) + "\n");
 
-    fs.writeFileSync(outputFile, this._proxies.join("\n"), "utf8");
-    this.log("c:cyan", "Saved ", "c:cyan bold", this._proxies.length, "c:cyan", " unique proxies to ",
-        "c:cyan bold", outputFile);
-    // emit a complete call so this can be hooked into others
-    this.emit('complete', outputFile, this._proxies.length);
+    this.emit('report', health);
+    return health;
 };
 
 /**
- * extractProxies will process the html using cheerio and attempt to extract the IP:PORTS from the html.
- * They use a few sneaky tricks to obfuscate the ips so we need some regex and loops to get at real data.
- * @param data
- * @returns {Array}
+ * Start the http api, see lib/server.js. If we have a database the pool is served from it until the first run completes
  */
-Fetch.prototype.extractProxies = function(data) {
+Fetch.prototype.startServer = function() {
     var _this = this;
 
-    var html = data.body;
-    var $ = cheerio.load(html);
-    var ips = [];
+    var parts = String(this.serve).split(':');
+    var port = parseInt(parts.pop());
+    var host = parts.join(':') || undefined;
+    var proxies = this.db && fs.existsSync(this.db) ? new Store(this.db).load().records() : [];
 
+    this._server = new Server(this, proxies).listen(port, host, function() {
+        _this.log("c:cyan", "Serving proxies on ", "c:cyan bold", "http://" + (host || 'localhost') + ":" + _this._server.port());
+    });
+};
 
-    if (data.url.indexOf('hidemyass') > -1) {
+/**
+ * Mark a source as finished, once they all are the run is complete
+ * @param crawl
+ */
+Fetch.prototype.finishSource = function(crawl) {
+    if (crawl.done)
+        return;
+    crawl.done = true;
+    crawl.stats.finishedAt = new Date().getTime();
+
+    if (--this._pending === 0)
+        this.emit('drain');
+};
 
-        $('#listable>tbody>tr').each(function (index) {
-            var a = $(this);
+/**
+ * Request the html from the site, also incrementing the page
+ * @param crawl the state of the source being crawled
+ */
+Fetch.prototype.fetchPage = function(crawl) {
+    var _this = this;
 
-            // grab the style information for each row
-            var style = a.find('td:nth-child(2)>span>style').text();
-            var port = a.find('td:nth-child(3)').text().trim();
+    var source = crawl.source;
+    var pagination = source.pagination;
+    var maxPages = pagination && (pagination.maxPages || this.maxPages);
+    var page;
+    var reachedEnd = false;
 
-            // determine which style classes are visible and which are hidden
-            var styles = style.match(/\.([a-zA-Z0-9-_]+)\{display\:([\w]+)/ig);
+    if (crawl.aborted)
+        return;
 
-            if (!styles.length) {
-                _this.log('c:bgRed', 'Warning, they may have changed their non-js html');
-            }
+    if (pagination) {
+        // if it's the first time running this source then page will be -1
+        if (crawl.page < 0) {
+            crawl.page = pagination.start;
+        }
+        page = crawl.page;
+        var max = pagination.max !== null ? pagination.max : crawl.max;
+        if (max !== null && page > max) {
+            reachedEnd = true;
+        }
+        if (maxPages && crawl.requested >= maxPages) {
+            reachedEnd = true;
+        }
+        crawl.page = page + pagination.step;
+    }
 
-            var classes = {};
+    var req = sources.buildRequest(source, page);
+    // following next links, the first page is the source's url
+    if (crawl.nextUrl) {
+        req.method = 'GET';
+        req.url = crawl.nextUrl;
+        delete req.form;
+    }
+    crawl.requested++;
+    crawl.visited[req.url] = true;
 
-            for (var key in styles) {
-                var re = /\.([a-zA-Z0-9-_]+)\{display\:([\w]+)/ig;
-                var visible = re.exec(styles[key]);
+    if (reachedEnd) {
+        var ret = {error: null, url: req.url, crawl: crawl, source: source, response: {}, body: '',
+            duration: new Date().getTime(), reachedEnd: true};
+        this.emit('fetchPage',ret);
+    }
+    else {
+        this.requestPage(crawl, req, 0);
+    }
+};
 
-                if (visible) {
-                    var className = visible[1];
-                    var displayType = visible[2];
-                    classes[className] = (displayType.toLowerCase() == 'inline');
-                }
-            }
+/**
+ * Work out how many pages a source has from its first page, for sources that don't say up front. Either from
+ * pagination.pages, a css selector for the page links, or the extractor's pages($, data, fetch) function
+ * @param data see 'fetchPage'
+ * @returns {number|null} the last page, also kept on the crawl
+ */
+Fetch.prototype.discoverPages = function(data) {
+    var crawl = data.crawl;
+    var pagination = data.source.pagination;
 
-            var contents = a.find("td:nth-child(2)>span").html();
-            contents = contents.replace(/\s\s+/gm, '');
-            contents = contents.replace(/\r?\n|\r/gm, '');
-            contents = contents.replace(/(<style>.+<\/style>)/ig, "");
-
-            var contentsHtml = contents.split('>');
-            var ip = '';
-            for (key = 0; key < contentsHtml.length; key += 2) {
-                var current = contentsHtml[key];
-                var nextHtml = contentsHtml[key + 1];
-                var next = nextHtml ? nextHtml.split('<')[0] : undefined;
-                var reC = /class=\"(.+)\"/ig;
-                var clsHtml = reC.exec(current);
-                var cls = clsHtml ? clsHtml[1] : undefined;
-
-                if (current[0] != '<') {
-                    var parts = current.split('<');
-                    ip += String(parts[0]);
-                }
-                //  inline
-                if (current.indexOf('inline') > -1) {
-                    ip += next;
-                }
-                // class
-                if (cls) {
-                    if (classes[cls] || cls.match(/^[0-9]+$/)) {
-                        ip += next;
-                    }
-                }
+    if (!pagination || pagination.next || pagination.max !== null)
+        return null;
 
-            }
-            if (!_this.validateIpAddress(ip)) {
-                _this.log('c:bgRed bold', 'invalid ip address: ' + ip);
-                console.log(styles);
-                console.log(contents);
-            }
+    var $ = data.$ || cheerio.load(data.body);
+    var count = null;
 
-            ips.push(ip + ':' + port);
+    if (pagination.pages) {
+        $(pagination.pages).each(function() {
+            var num = parseInt($(this).text().trim(), 10);
+            if (num > count)
+                count = num;
         });
     }
+    else if (data.extractor && typeof data.extractor.pages === 'function') {
+        count = parseInt(data.extractor.pages($, data, this), 10) || null;
+    }
 
-    else if (data.url.indexOf('incloak') > -1) {
-        $('table.proxy__t>tbody>tr').each(function (index) {
-            var a = $(this);
+    if (!(count > 0))
+        return null;
 
-            // grab the style information for each row
-            var ip = a.find('td:nth-child(1)').text().trim();
-            var port = a.find('td:nth-child(2)').text().trim();
-            if (!_this.validateIpAddress(ip)) {
-                _this.log('c:bgRed bold', 'invalid ip address: ' + ip);
-            }
-            ips.push(ip + ':' + port);
-        });
-    }
-    // proxy-list base64 encodes their ip's but this can be easily decoded in NodeJs
-    else if (data.url.indexOf('proxy-list') > -1) {
-        $('#proxy-table .table>ul').each(function (index) {
-            var a = $(this);
+    crawl.max = pagination.start + (count - 1) * pagination.step;
+    if (this.verbose)
+        this.log("c:gray", data.url, " has ", "c:gray bold", count, "c:gray", " pages");
+    return crawl.max;
+};
+
+/**
+ * Find the next page's url for sources paginated by following a link, pagination.next is its css selector
+ * @param data see 'fetchPage'
+ * @returns {string|null}
+ */
+Fetch.prototype.nextLink = function(data) {
+    var $ = data.$ || cheerio.load(data.body);
+    var href = $(data.source.pagination.next).first().attr('href');
+    return href ? url.resolve(data.url, href) : null;
+};
+
+/**
+ * Make the request for a page, retrying failures with backoff until the retry budget runs out.
+ * Once it succeeds or we give up 'fetchPage' is emitted, with the reason recorded on the crawl if we gave up
+ * @param crawl
+ * @param req see sources.buildRequest
+ * @param attempt how many times we've already tried
+ */
+Fetch.prototype.requestPage = function(crawl, req, attempt) {
+    var _this = this;
+    var source = crawl.source;
+    var pagination = source.pagination;
 
-            // grab the style information for each row
-            var ip = a.find('.proxy').text().trim();
-            var parts = new RegExp(/Proxy\(\'(.+)\'\)/).exec(ip);
-            if (parts) {
-                ip = Buffer.from(parts[1], 'base64').toString();
+    this._scheduler.schedule(url.parse(req.url).hostname, function(done) {
+        if (crawl.aborted)
+            return done();
+
+        var startTime = new Date().getTime();
+        // replayed pages never touch the network so there's no need for an upstream
+        var via = _this._replayer ? null : _this._upstream.next();
+
+        if (_this.verbose) _this.log({event: 'request', source: source.name, url: req.url, via: via || null},
+            "Loading ", "c:bold", req.url, via ? " via " + via : "");
+        var payload = Object.assign({
+            method: req.method,
+            timeout : _this._requestTimeout,
+            headers: Object.assign({
+                "User-Agent":_this.userAgent()
+            }, req.headers),
+            url: req.url
+        }, Upstream.requestOptions(via));
+        if (req.form)
+            payload.form = req.form;
+
+        var send = _this._replayer ? _this._replayer.replay.bind(_this._replayer) : request;
+
+        var inflight = {done: done};
+        _this._inflight.add(inflight);
+
+        inflight.request = send(payload, function (error, response, body) {
+            if (crawl.aborted)
+                return;
+            _this._inflight.delete(inflight);
+            done();
+            var status = response ? response.statusCode : (error && error.code) || 'error';
+            crawl.stats.statuses[status] = (crawl.stats.statuses[status] || 0) + 1;
+            var reason = retry.reason(error, response);
+            // a block through one upstream is worth trying through the next
+            var failover = via && reason && (error || retry.blocked(response));
+
+            if (failover)
+                _this._upstream.fail(via);
+
+            if (_this._recorder && response)
+                _this._recorder.save(req, response, body);
+
+            // a recording won't change by asking again
+            if (reason && !_this._replayer && attempt < _this.retries && (retry.retryable(error, response) || failover)) {
+                // no need to back off if the next attempt goes out through a different upstream
+                var wait = failover && _this._upstream.available().length > 1 ? 0 :
+                    retry.delay(attempt + 1, _this.retryDelay, _this.maxRetryDelay, response);
+                if (_this.verbose)
+                    _this.log({event: 'retry', source: source.name, url: req.url, reason: reason, attempt: attempt + 1,
+                        delay: wait}, "c:yellow", "Retrying ", "c:yellow bold", req.url, "c:yellow", " (" + reason + ") in ",
+                        "c:yellow bold", _this.runTime(new Date().getTime() - wait));
+                setTimeout(function() {
+                    if (!crawl.aborted)
+                        _this.requestPage(crawl, req, attempt + 1);
+                }, wait);
+                return;
             }
-            var port;
-            [ip, port] = ip.split(':');
-            if (!_this.validateIpAddress(ip)) {
-                _this.log('c:bgRed bold', 'invalid ip address: ' + ip);
+            if (reason) {
+                crawl.failure = {url: req.url, reason: reason, attempts: attempt + 1, via: via};
             }
-            ips.push(ip + ':' + port);
-        });
-    }
-    else if (data.url.indexOf('nordvpn') > -1) {
-        var proxies = JSON.parse(html);
 
-        proxies.forEach(function(proxy) {
-            if (proxy.type == 'HTTP') {
-                if (!_this.validateIpAddress(proxy.ip)) {
-                    _this.log('c:bgRed bold', 'invalid ip address: ' + proxy.ip);
-                }
-                ips.push(proxy.ip + ':' + proxy.port);
+            var ret = {error: error, url: req.url, crawl: crawl, source: source, response: response, body: body,
+                duration: startTime, attempts: attempt + 1, via: via};
+            // handle single page
+            if (!pagination) {
+                ret.singlePage = true;
             }
+            _this.emit('fetchPage', ret);
         });
-    }
-    // cool-proxy base64 encodes and rot13's their ips
-    else if (data.url.indexOf('cool-proxy') > -1) {
-        $('#main table tr').each(function (index) {
-            var a = $(this);
-            var str_rot13 = function(str) {
-                return (str + '')
-                .replace(/[a-z]/gi, function(s) {
-                    return String.fromCharCode(s.charCodeAt(0) + (s.toLowerCase() < 'n' ? 13 : -13));
-                });
-            };
+    });
+};
 
+/**
+ * Connect through each proxy to the judge and drop the ones that don't work, unless keepUnverified is set.
+ * The results are kept in _verified keyed by ip:port and emitted with 'verified'
+ * @param callback
+ */
+Fetch.prototype.verifyProxies = function(callback) {
+    var _this = this;
 
-            var ip = a.find('td:nth-child(1)').text().trim();
-            var port = a.find('td:nth-child(2)').text().trim();
-            var parts = new RegExp(/str_rot13\(\"(.+)\"\)/).exec(ip);
-            if (parts) {
-                ip = Buffer.from(str_rot13(parts[1]), 'base64').toString();
+    var unique = record.dedupe(this._proxies.map(function(proxy) {
+        return Object.assign({}, proxy);
+    }));
+    var proxies = unique.map(Upstream.toUrl);
+    var verifier = new Verifier({
+        judgeUrl: this.judgeUrl,
+        concurrency: this.verifyConcurrency,
+        timeout: this.verifyTimeout
+    });
 
-                if (!_this.validateIpAddress(ip)) {
-                    _this.log('c:bgRed bold', 'invalid ip address: ' + ip);
-                }
-                ips.push(ip + ':' + port);
-            }
-        });
-    }
-    else if (data.url.indexOf('samair') > -1) {
-        $('#proxylist tr').each(function (index) {
-            var a = $(this);
-            var ports={};
-            ports['r2463']="8080";ports['rcb30']="3128";ports['rc80e']="80";ports['r991e']="8000";ports['r4bd9']="3129";ports['rf48f']="8008";ports['rea0f']="9999";ports['r375f']="8081";ports['re097']="8082";ports['r9d18']="666";ports['r0a9e']="1337";ports['r6dac']="6006";ports['ra58b']="8088";ports['r55ff']="81";ports['rada6']="82";ports['r263a']="9000";ports['r0662']="8888";ports['r0e06']="8118";ports['r41cd']="7777";ports['r44a3']="1920";ports['ra5a4']="9797";ports['r5ff5']="20000";ports['r9ef3']="3123";ports['rc9ec']="8102";ports['r9f3e']="8123";ports['r7420']="2226";ports['r3f5e']="10081";ports['rcaa2']="1080";ports['r815d']="808";ports['r162a']="25";ports['r0860']="83";ports['r4151']="8998";ports['r5d46']="8090";ports['r4623']="843";ports['r30be']="2915";ports['r519a']="10000";ports['r0374']="31281";ports['rdc85']="8989";ports['ref8d']="8139";ports['ra273']="8135";ports['r8e42']="5555";ports['r364f']="18000";ports['re042']="2016";ports['rf745']="9090";ports['r7b93']="22684";ports['r9011']="8143";ports['r22d1']="8136";ports['r0829']="8089";ports['rc552']="27149";ports['r60f2']="3205";ports['r645a']="8083";ports['rcac2']="87";ports['r88fc']="7004";ports['rcaa9']="443";
-
-            var ip = a.find('td:nth-child(1) span').text().trim();
-            var html = a.find('td:nth-child(1)').html();
-            var cls = new RegExp(/class=\"(.+)\"/).exec(html);
-            if (cls && cls[1] && ports[cls[1]]) {
-                var port = ports[cls[1]];
-                ips.push(ip + ':' + port);
-            }
+    this.log();
+    this.log("Verifying ", "c:bold", proxies.length, " proxies against ", "c:bold", this.judgeUrl);
+
+    if (this.verbose) {
+        verifier.on('result', function(result) {
+            if (result.alive)
+                _this.log("c:green", result.proxy, " ", "c:green bold", result.anonymity, " in ", "c:bold", result.latency + 'ms');
+            else
+                _this.log("c:red", result.proxy, " ", "c:red bold", result.error);
         });
     }
-    else if (data.url.indexOf('rosin') > -1) {
-        //new RegExp(/\<title\>(.+)\<\/title\>/g).exec(data.html)
-        $('item').each(function (index) {
-            var a = $(this);
-
-            var ip = a.find('title').text().trim();
-            var port;
-            [ip, port] = ip.split(':');
-            // there's a few false positives in this xml so ignore warnings
-            if (_this.validateIpAddress(ip)) {
-                ips.push(ip + ':' + port);
-            }
 
+    verifier.verify(proxies, function(err, results) {
+        if (err) {
+            _this.log("c:bgRed bold", "Unable to verify proxies: " + (err.message || err.code || err));
+            _this.log("c:red", "Saving them unverified");
+            return callback();
+        }
+
+        var counts = {elite: 0, anonymous: 0, transparent: 0};
+        results.forEach(function(result, index) {
+            _this._verified[record.key(unique[index])] = result;
+            if (result.alive)
+                counts[result.anonymity]++;
         });
-    }
-    else if (data.url.indexOf('us-proxy') > -1) {
-        $('#proxylisttable>tbody>tr').each(function (index) {
-            var a = $(this);
 
-            // grab the style information for each row
-            var ip = a.find('td:nth-child(1)').text().trim();
-            var port = a.find('td:nth-child(2)').text().trim();
-            var parts = new RegExp(/Proxy\(\'(.+)\'\)/).exec(ip);
-            if (!_this.validateIpAddress(ip)) {
-                _this.log('c:bgRed bold', 'invalid ip address: ' + ip);
+        // what the judge saw beats what the site claims
+        _this._proxies.forEach(function(proxy) {
+            var result = _this._verified[record.key(proxy)];
+            if (result && result.alive) {
+                proxy.anonymity = result.anonymity;
+                proxy.latency = result.latency;
             }
-            ips.push(ip + ':' + port);
         });
+        var alive = counts.elite + counts.anonymous + counts.transparent;
+
+        _this.log({event: 'verified', count: alive, total: results.length},
+            "c:green", "Verified ", "c:green bold", alive, "c:green", " of ", "c:green bold", results.length,
+            "c:green", " proxies (", "c:green bold", counts.elite, "c:green", " elite, ", "c:green bold", counts.anonymous,
+            "c:green", " anonymous, ", "c:green bold", counts.transparent, "c:green", " transparent)");
+
+        if (!_this.keepUnverified) {
+            _this._proxies = _this._proxies.filter(function(proxy) {
+                var result = _this._verified[record.key(proxy)];
+                return result && result.alive;
+            });
+        }
+
+        _this.emit('verified', results);
+        callback();
+    });
+};
+
+/**
+ * Record this run's proxies in the database, prune the stale ones and swap _proxies for the whole pool
+ */
+Fetch.prototype.updateDatabase = function() {
+    var _this = this;
+    var fetched = record.dedupe(this._proxies).length;
+    var counts, pruned;
+
+    // another run could be updating the same database
+    files.withLock(this.db, this.lockTimeout, function() {
+        var store = new Store(_this.db).load();
+        counts = store.update(_this._proxies);
+        pruned = _this.pruneOlderThan ? store.prune(_this.pruneOlderThan) : [];
+
+        store.save();
+        _this._proxies = store.records();
+    });
+
+    this.log({event: 'database', file: this.db, count: this._proxies.length, added: counts.added, pruned: pruned.length},
+        "Found ", "c:bold", fetched, " proxies, ", "c:bold", counts.added, " new. Pruned ",
+        "c:bold", pruned.length, " stale. Database has ", "c:bold", this._proxies.length, " proxies in ",
+        "c:bold", this.db);
+};
+
+/**
+ * Save the proxies in the chosen format, merging them with the output file if it already exists.
+ * With a database the whole pool is saved instead. An outputFile of - writes them to stdout.
+ * With splitProtocols each protocol gets its own file and 'complete' is given the list of files.
+ */
+Fetch.prototype.saveProxies = function() {
+    var _this = this;
+
+    var outputFile = String(this.outputFile).replace("{date}", this.dateStamp());
+
+    if (this.db)
+        this.updateDatabase();
+
+    if (!this.splitProtocols || outputFile === '-') {
+        this._proxies = this.writeProxies(outputFile, this._proxies);
+        // emit a complete call so this can be hooked into others, the records carry everything we know about each proxy
+        this.emit('complete', outputFile, this._proxies.length, this._proxies);
+        return;
     }
-    else if (data.url.indexOf('proxylistplus') > -1) {
-        $('table.bg tr.cells').each(function (index) {
-            var a = $(this);
 
-            // grab the style information for each row
-            var ip = a.find('td:nth-child(2)').text().trim();
-            var port = a.find('td:nth-child(3)').text().trim();
-            if (!_this.validateIpAddress(ip)) {
-                _this.log('c:bgRed bold', 'invalid ip address: ' + ip);
-            }
-            ips.push(ip + ':' + port);
+    var groups = {};
+    this._proxies.forEach(function(proxy) {
+        var protocol = proxy.protocol || 'http';
+        (groups[protocol] = groups[protocol] || []).push(proxy);
+    });
+
+    var files = [];
+    this._proxies = [];
+    Object.keys(groups).sort().forEach(function(protocol) {
+        var file = _this.protocolFile(outputFile, protocol);
+        files.push(file);
+        _this._proxies.push.apply(_this._proxies, _this.writeProxies(file, groups[protocol], protocol));
+    });
+
+    this.emit('complete', files, this._proxies.length, this._proxies);
+};
+
+/**
+ * Write the proxies with each exporter, see lib/exporters.js. {date} in the file is replaced like the output file
+ * @param proxies
+ */
+Fetch.prototype.writeExports = function(proxies) {
+    var _this = this;
+    this.exports.forEach(function(exp) {
+        var file = exp.file.replace("{date}", _this.dateStamp());
+        files.writeAtomic(file, exporters.get(exp.name).serialize(proxies));
+        _this.log({event: 'exported', exporter: exp.name, file: file, count: proxies.length},
+            "c:cyan", "Exported ", "c:cyan bold", proxies.length, "c:cyan", " proxies for ", exp.name, " to ",
+            "c:cyan bold", file);
+    });
+};
+
+/**
+ * Where to save the proxies of a protocol, either the {protocol} variable in the output file is replaced
+ * or the protocol is added before the extension, e.g. fetched_proxies_10-11-2016_socks5.txt
+ * @param outputFile
+ * @param protocol
+ * @returns {string}
+ */
+Fetch.prototype.protocolFile = function(outputFile, protocol) {
+    if (outputFile.indexOf('{protocol}') > -1)
+        return outputFile.replace(/{protocol}/g, protocol);
+    var ext = path.extname(outputFile);
+    return outputFile.substr(0, outputFile.length - ext.length) + '_' + protocol + ext;
+};
+
+/**
+ * Write proxies to a file, merged with what's already in it unless we're saving the database pool.
+ * Throws an error with the code ELOCKED if another run holds the file for longer than lockTimeout
+ * @param outputFile a path or - for stdout
+ * @param proxies
+ * @param protocol (optional) the protocol of every proxy in the file, for files saved without it
+ * @returns {Array} the proxies that were written
+ */
+Fetch.prototype.writeProxies = function(outputFile, proxies, protocol) {
+    var _this = this;
+
+    if (outputFile === '-')
+        return this.mergeProxies(outputFile, proxies, protocol);
+
+    // hold the lock from reading the file to renaming the new one into place, so overlapping runs don't lose proxies
+    return files.withLock(outputFile, this.lockTimeout, function() {
+        return _this.mergeProxies(outputFile, proxies, protocol);
+    });
+};
+
+/**
+ * See writeProxies, this does the work once the file is locked
+ * @param outputFile
+ * @param proxies
+ * @param protocol (optional)
+ * @returns {Array}
+ */
+Fetch.prototype.mergeProxies = function(outputFile, proxies, protocol) {
+    var format = formats.get(this.format);
+    var toStdout = outputFile === '-';
+
+    if (!this.db && !toStdout && fs.existsSync(outputFile)) {
+        var origProxies = format.parse(fs.readFileSync(outputFile).toString('utf8'));
+        var oldTotal = proxies.length;
+        this.log("Total ", "c:bold", proxies.length, " proxies. Appending to ",
+            "c:bold", origProxies.length, " found in ", "c:bold", outputFile);
+
+        origProxies.forEach(function(proxy) {
+            proxy.protocol = proxy.protocol || protocol || null;
         });
+        proxies = proxies.concat(origProxies);
+
+        oldTotal = proxies.length;
+        // dupes are matched on ip:port, the freshly fetched record wins
+        proxies = record.dedupe(proxies);
+
+        if (oldTotal - proxies.length > 0) {
+            this.log("Removing ", "c:bold", (oldTotal - proxies.length),
+                " duplicates. Grand Total ", "c:bold", proxies.length);
+        }
+    }
+    else {
+        proxies = record.dedupe(proxies);
     }
-    else if (data.url.indexOf('gather') > -1) {
-        $('#tblproxy>tr').each(function (index) {
-            var a = $(this);
 
-            // grab the style information for each row
-            var ip = a.find('td:nth-child(2)').text().trim();
-            var parts = new RegExp(/\(\'(.+)\'\)/).exec(ip);
-            if (parts) {
-                ip = parts[1];
-            }
-            var port = a.find('td:nth-child(3)').text().trim();
-            parts = new RegExp(/\(\'(.+)\'\)/).exec(port);
-            if (parts) {
-                port = parseInt(parts[1], 16);
-            }
-            if (!_this.validateIpAddress(ip) && _this.verbose) {
-                _this.log('c:bgRed bold', 'invalid ip address: ' + ip);
-            }
-            ips.push(ip + ':' + port);
-        });
+    var contents = format.serialize(proxies, {scheme: this.scheme});
+    if (toStdout) {
+        process.stdout.write(contents + "\n");
+        this.log({event: 'saved', file: '-', count: proxies.length},
+            "c:cyan", "Wrote ", "c:cyan bold", proxies.length, "c:cyan", " unique proxies to stdout");
+    }
+    else {
+        files.writeAtomic(outputFile, contents);
+        this.log({event: 'saved', file: outputFile, count: proxies.length},
+            "c:cyan", "Saved ", "c:cyan bold", proxies.length, "c:cyan", " unique proxies to ",
+            "c:cyan bold", outputFile);
     }
-    else if (data.url.indexOf('httptunnel.ge') > -1) {
-        $('#ctl00_ContentPlaceHolder1_GridViewNEW>tr').each(function (index) {
-            var a = $(this);
+    return proxies;
+};
 
-            // grab the style information for each row
-            var ip = a.find('td:nth-child(1) a').text().trim();
-            var port;
-            [ip, port] = ip.split(':');
-            if (_this.validateIpAddress(ip)) {
-                ips.push(ip + ':' + port);
-            }
+/**
+ * Drop the proxies we don't want before verifying and saving them
+ */
+Fetch.prototype.filterProxies = function() {
+    var _this = this;
+
+    if (this.protocols) {
+        var before = this._proxies.length;
+        // everything used to be assumed to be an http proxy, so that's what unknown means
+        this._proxies = this._proxies.filter(function(proxy) {
+            return _this.protocols.indexOf(proxy.protocol || 'http') > -1;
         });
+        if (this.verbose)
+            this.log("Kept ", "c:bold", this._proxies.length, " of ", "c:bold", before, " proxies with protocol ",
+                "c:bold", this.protocols.join(', '));
     }
 
-    else {
-        _this.log("c:red", "No processor for " + data.url);
-    }
+    var filters = {
+        country: this.countries && function(proxy) {
+            return _this.countries.indexOf(String(proxy.country || '').toUpperCase()) > -1;
+        },
+        'excluded country': this.excludeCountries && function(proxy) {
+            return _this.excludeCountries.indexOf(String(proxy.country || '').toUpperCase()) < 0;
+        },
+        asn: this.asns && function(proxy) {
+            return _this.asns.indexOf(proxy.asn) > -1;
+        },
+        'excluded range': this.excludeCidrs && function(proxy) {
+            return !_this.excludeCidrs.some(function(match) {
+                return match(proxy.ip);
+            });
+        }
+    };
+    Object.keys(filters).forEach(function(name) {
+        if (!filters[name])
+            return;
+        var before = _this._proxies.length;
+        _this._proxies = _this._proxies.filter(filters[name]);
+        if (_this.verbose)
+            _this.log("Kept ", "c:bold", _this._proxies.length, " of ", "c:bold", before, " proxies by ", name);
+    });
+};
 
+/**
+ * extractProxies will process the html using cheerio and hand it to the extractor registered for the url.
+ * The extractors live in ./extractors, one per site, see lib/registry.js for the format.
+ * Sources that define css selectors or name an extractor in their definition skip the url lookup, and
+ * urls nobody handles get a best guess from lib/heuristic.js.
+ * Extractors can return ip:port strings or objects, either way they're turned into records, see lib/record.js,
+ * and normalised. Invalid, private and reserved addresses are dropped and counted, see lib/normalize.js
+ * @param data
+ * @returns {Array}
+ */
+Fetch.prototype.extractProxies = function(data) {
+    var source = data.source || {};
+    var extractor;
+
+    if (source.extractor)
+        extractor = this.registry.get(source.extractor);
+    else if (source.selectors)
+        extractor = selectors;
+    else
+        extractor = this.registry.find(data.url);
+
+    if (!extractor) {
+        if (this.verbose)
+            this.log("c:yellow", "No processor for " + data.url + ", guessing");
+        extractor = heuristic;
+    }
 
+    // kept for nextLink and discoverPages so the page is only parsed once
+    var $ = data.$ = cheerio.load(data.body);
+    data.extractor = extractor;
+    var defaults = {source: data.url, fetchedAt: new Date().toISOString()};
 
-    return ips;
+    var _this = this;
+    var proxies = [];
+
+    (extractor.parse($, data, this) || []).forEach(function(proxy) {
+        var result = normalize.normalize(record.from(proxy, defaults));
+        if (result.proxy)
+            proxies.push(_this.geoip ? _this.geoip.enrich(result.proxy) : result.proxy);
+        else
+            _this.reject(data.crawl, result.reason);
+    });
+    return proxies;
 };
 
 /**
@@ -570,9 +1597,18 @@ Fetch.prototype.dateStamp = function(dateObj) {
  * Takes as many arguments as you want, they'll be joined together to form the log string.
  * If you want to style start an argument with c: and then your colour(s) e.g.
  * this.log('c:bgGreen bold', 'This is bold text with a green background');
+ * The first argument can be an object describing the event for --log-format json, it isn't logged as text e.g.
+ * this.log({event: 'saved', file: file, count: 12}, 'Saved 12 proxies');
+ * Its level is taken from there or the colour: red is an error, yellow a warning and anything else info.
  */
 Fetch.prototype.log = function() {
     var args = Array.prototype.slice.call(arguments);
+    var fields = args[0] && typeof args[0] === 'object' && !Array.isArray(args[0]) ? args.shift() : {};
+    var level = fields.level || logLevel(args);
+
+    if (LEVELS[level] < LEVELS[this.logLevel])
+        return;
+
     var msg = '';
     var skipNext = false;
     for (var i = 0; i < args.length; i++) {
@@ -601,12 +1637,25 @@ Fetch.prototype.log = function() {
         }
     }
 
+    // keep stdout clean when the proxies are being written to it
+    var out = this.outputFile === '-' ? console.error : console.log;
+
+    if (this.logFormat === 'json') {
+        var message = msg.replace(ANSI, '').trim();
+        // blank lines only space out the text
+        if (!message)
+            return;
+        out(JSON.stringify(Object.assign({time: new Date().toISOString(), level: level, event: 'log'}, fields,
+            {level: level, message: message})));
+        return;
+    }
+
     var str = this.runTime() + chalk.grey('> ');
-    var noAnsi = str.replace(/[\u001b\u009b][[()#;?]*(?:[0-9]{1,4}(?:;[0-9]{0,4})*)?[0-9A-ORZcf-nqry=><]/g, '');
+    var noAnsi = str.replace(ANSI, '');
     var padding = Array(12).join(' ');
     var maxLength = 12;
 
-    console.log(str + padding.substring(0, maxLength - noAnsi.length) + msg);
+    out(str + padding.substring(0, maxLength - noAnsi.length) + msg);
 };
 
 /**
@@ -659,8 +1708,14 @@ Fetch.prototype.runTime = function(startTime) {
 };
 
 
+/**
+ * Is this an IPv4 or IPv6 address? Extractors can use it to skip rows that obviously aren't proxies, everything
+ * they return is checked properly by lib/normalize.js anyway
+ * @param ip
+ * @returns {boolean}
+ */
 Fetch.prototype.validateIpAddress = function(ip) {
-    return ip.match(/\b(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\b/);
+    return normalize.ip(ip) !== null;
 };
 
 Fetch.prototype.userAgent = function() {
@@ -694,23 +1749,176 @@ if (process.argv[1] == __filename) {
     program
         .version("0.0.1")
         .usage("[options] <keywords>")
-        .option("-o, --output [output]", "Output file to save proxies.")
+        .option("-o, --output [output]", "Output file to save proxies, use - for stdout.")
+        .option("-f, --format [format]", "Output format: txt, json, ndjson or csv. Guessed from the output file if not set")
+        .option("--protocol [protocol]", "Only keep proxies of these protocols, comma separated: http, https, socks4, socks5")
+        .option("--geoip [geoip]", "Add country, city and ASN from a local .mmdb or CSV range database, comma separated")
+        .option("--country [country]", "Only keep proxies in these countries, comma separated, e.g. US,GB")
+        .option("--exclude-country [excludeCountry]", "Drop proxies in these countries, comma separated")
+        .option("--asn [asn]", "Only keep proxies run by these autonomous systems, comma separated, needs --geoip")
+        .option("--exclude-cidr [excludeCidr]", "Drop proxies in these CIDR ranges, comma separated ranges or blocklist files")
+        .option("--export [export]", "Also write the proxies for proxychains, pac, squid or env, e.g. pac=proxy.pac, repeatable",
+            function(value, exports) { return exports.concat(value); }, [])
+        .option("--scheme", "Save txt output as protocol://ip:port")
+        .option("--split-protocols", "Save each protocol to its own file, use {protocol} in the output file to place it")
         .option("-u, --urls [urls]", "The url to make the requests to, comma separated. Use {page} to identify")
-        .option("-r, --retry [retry]", "Retries every minute if set")
+        .option("-c, --config [config]", "JSON or YAML file describing the sources to fetch")
+        .option("--var [var]", "Values for a template variable in the urls, e.g. --var country=china|brazil, repeatable",
+            function(value, vars) { return vars.concat(value); }, [])
+        .option("-e, --extractors [extractors]", "Extra extractor files or directories to load, comma separated")
+        .option("--max-pages [maxPages]", "Fetch at most this many pages of each source")
+        .option("-t, --timeout [timeout]", "Milliseconds to wait for each page, defaults to 5000")
+        .option("--retries [retries]", "Times to retry a page that fails before giving up on the source, defaults to 3")
+        .option("--retry-delay [retryDelay]", "Milliseconds to wait before the first retry, doubled each time, defaults to 1000")
+        .option("--max-retry-delay [maxRetryDelay]", "The longest to wait between retries, defaults to 30000")
+        .option("--via [via]", "Fetch the sources through these proxies, comma separated, e.g. socks5://1.2.3.4:1080")
+        .option("--via-pool", "Fetch the sources through the proxies collected by earlier runs")
+        .option("--concurrency [concurrency]", "Maximum number of requests at once, defaults to 5")
+        .option("--host-concurrency [hostConcurrency]", "Maximum number of requests at once to the same host, defaults to 1")
+        .option("--host-delay [hostDelay]", "Milliseconds to wait between requests to the same host")
+        .option("--workers [workers]", "Crawl and parse the sources in this many worker processes")
+        .option("--verify", "Check each proxy works through a judge url before saving it")
+        .option("--judge [judge]", "The judge url used by --verify, defaults to http://azenv.net/")
+        .option("--verify-concurrency [verifyConcurrency]", "Number of proxies to verify at once, defaults to 20")
+        .option("--verify-timeout [verifyTimeout]", "Milliseconds to wait for each proxy, defaults to 10000")
+        .option("--keep-unverified", "Save proxies that failed verification as well")
+        .option("--db [db]", "JSON-lines database to keep a persistent pool of proxies in")
+        .option("--prune-older-than [pruneOlderThan]", "Drop proxies from the database not seen for this long, e.g. 12h or 7d")
+        .option("--lock-timeout [lockTimeout]", "Milliseconds to wait for another run writing the same file, defaults to 10000")
+        .option("--report [report]", "Write a JSON health report for each source to this file after every run")
+        .option("--fail-on-broken", "Exit with code 2 if a source looks broken, e.g. its markup changed")
+        .option("--record [record]", "Save every page fetched to this directory")
+        .option("--replay [replay]", "Load pages from a directory saved with --record instead of the network")
+        .option("--serve [serve]", "Serve the proxies over http on this port (or host:port), keeps fetching every --retry minutes")
+        .option("-r, --retry [retry]", "Runs again this many minutes after each run starts")
+        .option("--schedule [schedule]", "Run on a cron schedule instead, e.g. \"0 3 * * *\" for every day at 03:00")
+        .option("--pidfile [pidFile]", "Write the process id to this file while running")
+        .option("--status-file [statusFile]", "Keep a JSON file saying when the last and next runs are")
         .option("-v, --verbose", "Show verbose output")
+        .option("-q, --quiet", "Only log errors")
+        .option("--log-format [logFormat]", "text (the default) or json, one object per line")
+        .option("--diff-out [diffOut]", "Save what changed since the last run here, as +ip:port/-ip:port lines or .json")
+        .option("--webhook [webhook]", "POST what changed since the last run to this url as JSON")
+        .option("--metrics [metrics]", "Write request, error and proxy counters here after every run, Prometheus text or .json")
         .parse(process.argv);
 
     var opts = {};
     if (program.output)
         opts.outputFile = program.output;
+    if (program.format)
+        opts.format = program.format;
+    if (program.protocol)
+        opts.protocol = program.protocol;
+    if (program.geoip)
+        opts.geoip = program.geoip;
+    if (program.country)
+        opts.country = program.country;
+    if (program.excludeCountry)
+        opts.excludeCountry = program.excludeCountry;
+    if (program.asn)
+        opts.asn = program.asn;
+    if (program.excludeCidr)
+        opts.excludeCidr = program.excludeCidr;
+    if (program.export.length)
+        opts.exports = program.export;
+    if (program.scheme)
+        opts.scheme = program.scheme;
+    if (program.splitProtocols)
+        opts.splitProtocols = program.splitProtocols;
     if (program.urls)
         opts.urls = program.urls.split(',');
+    if (program.config)
+        opts.config = program.config;
+    if (program.var.length)
+        opts.vars = program.var;
+    if (program.extractors)
+        opts.extractors = program.extractors.split(',');
+    if (program.maxPages)
+        opts.maxPages = program.maxPages;
+    if (program.timeout)
+        opts.timeout = program.timeout;
+    if (program.retries !== undefined)
+        opts.retries = program.retries;
+    if (program.retryDelay)
+        opts.retryDelay = program.retryDelay;
+    if (program.maxRetryDelay)
+        opts.maxRetryDelay = program.maxRetryDelay;
+    if (program.via)
+        opts.via = program.via;
+    if (program.viaPool)
+        opts.viaPool = program.viaPool;
+    if (program.concurrency)
+        opts.concurrency = program.concurrency;
+    if (program.hostConcurrency)
+        opts.hostConcurrency = program.hostConcurrency;
+    if (program.hostDelay)
+        opts.hostDelay = program.hostDelay;
+    if (program.workers)
+        opts.workers = program.workers;
+    if (program.db)
+        opts.db = program.db;
+    if (program.pruneOlderThan)
+        opts.pruneOlderThan = program.pruneOlderThan;
+    if (program.verify)
+        opts.verify = program.verify;
+    if (program.judge)
+        opts.judgeUrl = program.judge;
+    if (program.verifyConcurrency)
+        opts.verifyConcurrency = program.verifyConcurrency;
+    if (program.verifyTimeout)
+        opts.verifyTimeout = program.verifyTimeout;
+    if (program.keepUnverified)
+        opts.keepUnverified = program.keepUnverified;
+    if (program.report)
+        opts.report = program.report;
+    if (program.record)
+        opts.record = program.record;
+    if (program.replay)
+        opts.replay = program.replay;
+    if (program.serve)
+        opts.serve = program.serve;
+    if (program.lockTimeout !== undefined)
+        opts.lockTimeout = program.lockTimeout;
     if (program.retry)
         opts.retry = program.retry;
+    if (program.schedule)
+        opts.schedule = program.schedule;
+    if (program.pidfile)
+        opts.pidFile = program.pidfile;
+    if (program.statusFile)
+        opts.statusFile = program.statusFile;
     if (program.verbose)
         opts.verbose = program.verbose;
+    opts.logLevel = program.quiet ? 'error' : 'info';
+    if (program.logFormat)
+        opts.logFormat = program.logFormat;
+    if (program.metrics)
+        opts.metrics = program.metrics;
+    if (program.diffOut)
+        opts.diffOut = program.diffOut;
+    if (program.webhook)
+        opts.webhook = program.webhook;
 
     var fetch = new Fetch(opts);
+    fetch.on('error', function() {
+        process.exitCode = 1;
+    });
+    if (program.failOnBroken) {
+        fetch.on('sourceBroken', function() {
+            process.exitCode = 2;
+        });
+    }
+    // finish whatever's being written then exit, a second signal exits straight away
+    ['SIGINT', 'SIGTERM'].forEach(function(signal) {
+        process.once(signal, function() {
+            process.once(signal, function() {
+                process.exit(1);
+            });
+            fetch.shutdown(function() {
+                process.exit();
+            });
+        });
+    });
     fetch.main();
 }
 else {
@@ -0,0 +1,163 @@
+/**
+ * cron.js - Parses cron expressions and works out when they next fire, so --schedule can run at fixed times
+ * of day rather than drifting every N minutes.
+ *
+ *  ┌ minute 0-59
+ *  │ ┌ hour 0-23
+ *  │ │ ┌ day of the month 1-31
+ *  │ │ │ ┌ month 1-12 (or jan-dec)
+ *  │ │ │ │ ┌ day of the week 0-7 (or sun-sat, 0 and 7 are both sunday)
+ *  0 3 * * *      every day at 03:00
+ *  *\/30 * * * 1-5 every half an hour on weekdays
+ *
+ * Each field takes *, a value, a range a-b, a step *\/n or a-b/n and comma separated lists of those. @hourly,
+ * @daily, @weekly, @monthly and @yearly work too. Like cron, if both the day of the month and the day of the
+ * week are restricted either one matching is enough. Times are local.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const FIELDS = [
+    {name: 'minute', min: 0, max: 59},
+    {name: 'hour', min: 0, max: 23},
+    {name: 'day of the month', min: 1, max: 31},
+    {name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']},
+    {name: 'day of the week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']}
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+/**
+ * @param expression e.g. '0 3 * * *'
+ * @constructor
+ * @throws {Error} if the expression is invalid
+ */
+function Cron(expression) {
+    this.expression = String(expression).trim();
+    var fields = (ALIASES[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+
+    if (fields.length !== 5)
+        throw new Error('Invalid cron expression "' + this.expression + '", expected 5 fields');
+
+    var values = fields.map(function(field, index) {
+        return parseField(field, FIELDS[index], expression);
+    });
+
+    this.minutes = values[0];
+    this.hours = values[1];
+    this.days = values[2];
+    this.months = values[3];
+    // 7 is another way of saying sunday
+    this.weekdays = values[4].map(function(day) {
+        return day % 7;
+    });
+    this.anyDay = fields[2] === '*';
+    this.anyWeekday = fields[4] === '*';
+}
+
+/**
+ * Turn a field into the sorted list of values it matches
+ * @param field
+ * @param spec one of FIELDS
+ * @param expression for the error message
+ * @returns {number[]}
+ */
+function parseField(field, spec, expression) {
+    var values = {};
+    var value = function(str) {
+        var index = spec.names ? spec.names.indexOf(str.toLowerCase()) : -1;
+        var num = index > -1 ? index + (spec.min === 1 ? 1 : 0) : (/^\d+$/.test(str) ? parseInt(str) : NaN);
+        if (isNaN(num) || num < spec.min || num > spec.max)
+            throw new Error('Invalid ' + spec.name + ' "' + str + '" in cron expression "' + expression + '"');
+        return num;
+    };
+
+    field.split(',').forEach(function(part) {
+        var parts = part.split('/');
+        var range = parts[0];
+        var step = parts.length > 1 ? parseInt(parts[1]) : 1;
+        var from = spec.min;
+        var to = spec.max;
+
+        if (parts.length > 2 || !(step > 0))
+            throw new Error('Invalid step "' + part + '" in cron expression "' + expression + '"');
+
+        if (range !== '*') {
+            var bounds = range.split('-');
+            from = value(bounds[0]);
+            to = bounds.length > 1 ? value(bounds[1]) : (parts.length > 1 ? spec.max : from);
+            if (bounds.length > 2 || to < from)
+                throw new Error('Invalid range "' + part + '" in cron expression "' + expression + '"');
+        }
+
+        for (var i = from; i <= to; i += step)
+            values[i] = true;
+    });
+
+    return Object.keys(values).map(Number).sort(function(a, b) {
+        return a - b;
+    });
+}
+
+/**
+ * Does the expression fire at this minute?
+ * @param date
+ * @returns {boolean}
+ */
+Cron.prototype.matches = function(date) {
+    return this.minutes.indexOf(date.getMinutes()) > -1 &&
+        this.hours.indexOf(date.getHours()) > -1 &&
+        this.months.indexOf(date.getMonth() + 1) > -1 &&
+        this.dayMatches(date);
+};
+
+Cron.prototype.dayMatches = function(date) {
+    var day = this.days.indexOf(date.getDate()) > -1;
+    var weekday = this.weekdays.indexOf(date.getDay()) > -1;
+
+    if (this.anyDay || this.anyWeekday)
+        return day && weekday;
+    return day || weekday;
+};
+
+/**
+ * The next time the expression fires, strictly after the given time
+ * @param after (optional) defaults to now
+ * @returns {Date|null} null if it never does, e.g. 0 0 30 2 *
+ */
+Cron.prototype.next = function(after) {
+    var date = new Date((after ? after.getTime() : new Date().getTime()) + 60e3);
+    date.setSeconds(0, 0);
+
+    // skip whole days and hours that can't match rather than stepping a minute at a time, give up after 5 years
+    var limit = date.getTime() + 5 * 366 * 86400e3;
+    while (date.getTime() < limit) {
+        if (this.months.indexOf(date.getMonth() + 1) < 0 || !this.dayMatches(date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        }
+        else if (this.hours.indexOf(date.getHours()) < 0) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        }
+        else if (this.minutes.indexOf(date.getMinutes()) < 0) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        }
+        else {
+            return date;
+        }
+    }
+    return null;
+};
+
+module.exports = Cron;
@@ -0,0 +1,159 @@
+/**
+ * diff.js - What changed between two runs: the proxies that are new and the ones that have gone.
+ *
+ *  {from: '2016-11-10T03:00:00.000Z', to: '2016-11-10T04:00:00.000Z', total: 812, unchanged: 790,
+ *   added: [records...], removed: [records...]}
+ *
+ * Diffs are saved as JSON, or as +ip:port and -ip:port lines for any other file, and can be POSTed to a webhook.
+ * Each run's proxies are kept in a state file so the next process can tell what changed, see load() and save().
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const request = require('request');
+
+const files = require('./files');
+const record = require('./record');
+
+// the state file is named after the diff file, database or output file it's kept beside, plus this
+const STATE_SUFFIX = '.last-run.json';
+
+/**
+ * Index records by ip:port
+ * @param records
+ * @returns {Object}
+ */
+function index(records) {
+    var keyed = {};
+    records.forEach(function(proxy) {
+        keyed[record.key(proxy)] = proxy;
+    });
+    return keyed;
+}
+
+/**
+ * Compare the proxies of two runs
+ * @param previous the last run's records
+ * @param current this run's records
+ * @param from (optional) when the last run started
+ * @param to (optional) when this run started
+ * @returns {{from: (string|null), to: (string|null), total: number, unchanged: number, added: Array, removed: Array}}
+ */
+function compare(previous, current, from, to) {
+    var before = index(previous);
+    var after = index(current);
+
+    var added = Object.keys(after).filter(function(key) {
+        return !before[key];
+    });
+    var removed = Object.keys(before).filter(function(key) {
+        return !after[key];
+    });
+
+    return {
+        from: from !== undefined && from !== null ? new Date(from).toISOString() : null,
+        to: to !== undefined && to !== null ? new Date(to).toISOString() : null,
+        total: Object.keys(after).length,
+        unchanged: Object.keys(after).length - added.length,
+        added: added.map(function(key) {
+            return after[key];
+        }),
+        removed: removed.map(function(key) {
+            return before[key];
+        })
+    };
+}
+
+/**
+ * The contents of a diff file, JSON for .json files and +ip:port / -ip:port lines for anything else
+ * @param diff
+ * @param file
+ * @returns {string}
+ */
+function serialize(diff, file) {
+    if (path.extname(String(file)).toLowerCase() === '.json')
+        return JSON.stringify(diff, null, 2) + '\n';
+
+    var lines = diff.added.map(function(proxy) {
+        return '+' + record.key(proxy);
+    }).concat(diff.removed.map(function(proxy) {
+        return '-' + record.key(proxy);
+    }));
+    return lines.length ? lines.join('\n') + '\n' : '';
+}
+
+/**
+ * POST a diff to a webhook as JSON
+ * @param webhook the url
+ * @param diff
+ * @param options {timeout: 10000, userAgent: '...'} (optional)
+ * @param callback function(err, statusCode) anything but a 2xx answer is an error
+ */
+function notify(webhook, diff, options, callback) {
+    options = options || {};
+    request({
+        method: 'POST',
+        url: webhook,
+        json: Object.assign({event: 'diff'}, diff),
+        timeout: options.timeout || 10e3,
+        headers: options.userAgent ? {'User-Agent': options.userAgent} : {}
+    }, function(error, response) {
+        if (!error && (response.statusCode < 200 || response.statusCode > 299))
+            error = new Error('HTTP ' + response.statusCode);
+        callback(error || null, response ? response.statusCode : null);
+    });
+}
+
+/**
+ * Where to keep the last run's proxies, named after the file it belongs to so runs saving different files to the same
+ * directory keep apart. {date} and {protocol} are filled in with latest and all so the name doesn't change each day,
+ * e.g. diffs/{date}.txt keeps diffs/latest.txt.last-run.json
+ * @param beside e.g. diffOut, the database or the output file
+ * @returns {string}
+ */
+function stateFile(beside) {
+    return String(beside).replace(/{date}/g, 'latest').replace(/{protocol}/g, 'all') + STATE_SUFFIX;
+}
+
+/**
+ * Read back the proxies the last run saved with save()
+ * @param file
+ * @returns {{startedAt: number, proxies: Array}|null} null if there's no state file or it can't be read
+ */
+function load(file) {
+    try {
+        var state = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(state.proxies))
+            return null;
+        return {startedAt: new Date(state.startedAt).getTime() || null, proxies: state.proxies.map(function(proxy) {
+            return record.from(proxy);
+        })};
+    }
+    catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Keep a run's proxies for the next one to compare with
+ * @param file
+ * @param proxies
+ * @param startedAt when the run started, in ms
+ */
+function save(file, proxies, startedAt) {
+    files.writeAtomic(file, JSON.stringify({startedAt: new Date(startedAt).toISOString(), proxies: proxies}) + '\n');
+}
+
+module.exports = {
+    compare: compare,
+    serialize: serialize,
+    notify: notify,
+    stateFile: stateFile,
+    load: load,
+    save: save
+};
@@ -0,0 +1,156 @@
+/**
+ * exporters.js - Writes the saved proxies as config for the tools that use them, regenerated after every save:
+ *
+ *  proxychains  a [ProxyList] section, include it from proxychains.conf
+ *  pac          a browser proxy auto-config file, each host sticks to one proxy with the next ones as failovers
+ *  squid        cache_peer lines, squid can only use http and https parents so socks proxies are left out
+ *  env          HTTP_PROXY, HTTPS_PROXY and ALL_PROXY for curl, wget and friends, the fastest proxy of each kind
+ *
+ * Proxies whose protocol isn't known are treated as http, like everywhere else. So are https ones: sites mean http
+ * proxies that can CONNECT to https sites, nobody should be talking TLS to the proxy itself. That mapping is kept
+ * here, the proxies are still saved as https:// elsewhere.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const record = require('./record');
+
+// how many proxies a pac file offers for each host, the first one and its failovers
+const PAC_FAILOVER = 3;
+
+// proxychains and pac names for each protocol
+const PROXYCHAINS = {http: 'http', https: 'http', socks4: 'socks4', socks5: 'socks5'};
+const PAC = {http: 'PROXY', https: 'PROXY', socks4: 'SOCKS', socks5: 'SOCKS5'};
+
+function header(comment, records) {
+    return comment + ' ' + records.length + ' proxies exported by fetch.js at ' + new Date().toISOString();
+}
+
+/**
+ * The url the tools connect to a proxy with, https ones are plain http proxies that tunnel
+ * @param proxy
+ * @returns {string}
+ */
+function connectUrl(proxy) {
+    return (proxy.protocol && proxy.protocol !== 'https' ? proxy.protocol : 'http') + '://' + record.key(proxy);
+}
+
+/**
+ * The fastest proxy matching a test if they've been verified, otherwise the first
+ * @param records
+ * @param test
+ * @returns {Object|undefined}
+ */
+function best(records, test) {
+    return records.filter(test).sort(function(a, b) {
+        return (a.latency === undefined ? Infinity : a.latency) - (b.latency === undefined ? Infinity : b.latency);
+    })[0];
+}
+
+var exporters = {
+    proxychains: {
+        serialize: function(records) {
+            return [header('#', records), '[ProxyList]'].concat(records.map(function(proxy) {
+                return PROXYCHAINS[proxy.protocol || 'http'] + ' ' + proxy.ip + ' ' + proxy.port;
+            })).join('\n') + '\n';
+        }
+    },
+
+    pac: {
+        serialize: function(records, options) {
+            var failover = (options && options.failover) || PAC_FAILOVER;
+            var proxies = records.map(function(proxy) {
+                return PAC[proxy.protocol || 'http'] + ' ' + record.key(proxy);
+            });
+
+            return [
+                header('//', records),
+                'var proxies = ' + JSON.stringify(proxies, null, 4) + ';',
+                '',
+                'function FindProxyForURL(url, host) {',
+                '    if (!proxies.length)',
+                '        return "DIRECT";',
+                '    // spread hosts round robin over the proxies, the same host always starts with the same one',
+                '    var start = 0;',
+                '    for (var i = 0; i < host.length; i++)',
+                '        start = (start * 31 + host.charCodeAt(i)) % proxies.length;',
+                '    var chosen = [];',
+                '    for (var j = 0; j < Math.min(' + failover + ', proxies.length); j++)',
+                '        chosen.push(proxies[(start + j) % proxies.length]);',
+                '    return chosen.join("; ");',
+                '}'
+            ].join('\n') + '\n';
+        }
+    },
+
+    squid: {
+        serialize: function(records) {
+            var peers = records.filter(function(proxy) {
+                return !proxy.protocol || proxy.protocol === 'http' || proxy.protocol === 'https';
+            });
+            return [header('#', peers)].concat(peers.map(function(proxy, index) {
+                return 'cache_peer ' + proxy.ip + ' parent ' + proxy.port + ' 0 no-query no-digest round-robin ' +
+                    'connect-fail-limit=2 name=fetch' + (index + 1);
+            }), peers.length ? ['never_direct allow all'] : []).join('\n') + '\n';
+        }
+    },
+
+    env: {
+        serialize: function(records) {
+            var http = best(records, function(proxy) {
+                return !proxy.protocol || proxy.protocol === 'http' || proxy.protocol === 'https';
+            });
+            // curl understands socks in ALL_PROXY, prefer socks5 as it resolves hostnames through the proxy
+            var all = best(records, function(proxy) {
+                return proxy.protocol === 'socks5';
+            }) || best(records, function(proxy) {
+                return proxy.protocol === 'socks4';
+            }) || http;
+
+            var lines = [header('#', records)];
+            if (http) {
+                lines.push('HTTP_PROXY=' + connectUrl(http), 'HTTPS_PROXY=' + connectUrl(http),
+                    'http_proxy=' + connectUrl(http), 'https_proxy=' + connectUrl(http));
+            }
+            if (all)
+                lines.push('ALL_PROXY=' + connectUrl(all), 'all_proxy=' + connectUrl(all));
+            return lines.join('\n') + '\n';
+        }
+    }
+};
+
+/**
+ * Get an exporter by name, throws if it doesn't exist
+ * @param name
+ * @returns {Object}
+ */
+function get(name) {
+    var exporter = exporters[String(name).toLowerCase()];
+    if (!exporter) {
+        throw new Error('Unknown exporter ' + name + ', expected one of ' + Object.keys(exporters).join(', '));
+    }
+    return exporter;
+}
+
+/**
+ * Parse an --export, e.g. pac=proxies/proxy.pac
+ * @param str
+ * @returns {{name: string, file: string}}
+ */
+function parse(str) {
+    var index = String(str).indexOf('=');
+    if (index < 1 || index === str.length - 1)
+        throw new Error('Invalid export "' + str + '", expected name=file, e.g. pac=proxies/proxy.pac');
+    var name = str.substr(0, index).trim().toLowerCase();
+    get(name);
+    return {name: name, file: str.substr(index + 1).trim()};
+}
+
+module.exports = {
+    names: Object.keys(exporters),
+    get: get,
+    parse: parse
+};
@@ -0,0 +1,166 @@
+/**
+ * files.js - Writing files that other runs, or anything reading them, might be using at the same time.
+ *
+ * Files are written to a temp file beside them and renamed into place, so a reader sees the old file or the new
+ * one and never half of one. Anything that reads, merges and writes a file back holds an advisory lock on it,
+ * a <file>.lock file holding our pid, so two runs saving to the same file don't lose each other's proxies.
+ * Locks left behind by a process that's no longer running are taken over. Missing directories are created.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// how long to wait for a lock before giving up, and how often to check
+const LOCK_TIMEOUT = 10e3;
+const LOCK_POLL = 50;
+// a lock this old is stale even if its pid is running, e.g. the pid was reused after a crash
+const LOCK_STALE = 10 * 60e3;
+
+/**
+ * Is there a process with this pid?
+ * @param pid
+ * @returns {boolean}
+ */
+function processExists(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    }
+    catch (err) {
+        // EPERM means it exists but isn't ours
+        return err.code === 'EPERM';
+    }
+}
+
+/**
+ * Block for a while, everything that writes files is synchronous so the lock has to be too. That includes the event
+ * loop, so a process waiting for a lock (e.g. with --serve) does nothing else until it gets it or times out
+ * @param ms
+ */
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Create the directory a file is going in if it doesn't exist
+ * @param file
+ */
+function ensureDir(file) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), {recursive: true});
+}
+
+/**
+ * Write a file via a temp file and a rename, creating its directory if needed
+ * @param file
+ * @param contents
+ */
+function writeAtomic(file, contents) {
+    ensureDir(file);
+    var tmpFile = file + '.' + process.pid + '.tmp';
+
+    try {
+        fs.writeFileSync(tmpFile, contents, 'utf8');
+        fs.renameSync(tmpFile, file);
+    }
+    catch (err) {
+        try {
+            fs.unlinkSync(tmpFile);
+        }
+        catch (e) {}
+        throw err;
+    }
+}
+
+/**
+ * Who holds the lock on a file
+ * @param lockFile
+ * @returns {{pid: number, since: Date}|null} null if nobody does
+ */
+function holder(lockFile) {
+    try {
+        var pid = parseInt(fs.readFileSync(lockFile, 'utf8'), 10);
+        return {pid: pid, since: fs.statSync(lockFile).mtime};
+    }
+    catch (err) {
+        if (err.code === 'ENOENT')
+            return null;
+        throw err;
+    }
+}
+
+/**
+ * Take the lock on a file, waiting up to timeout ms for whoever has it
+ * @param file the file being locked, the lock itself is <file>.lock
+ * @param timeout (optional) defaults to 10 seconds
+ * @returns {Function} call it to release the lock
+ */
+function lock(file, timeout) {
+    var lockFile = file + '.lock';
+    var waitUntil = Date.now() + (timeout === undefined || timeout === null ? LOCK_TIMEOUT : timeout);
+
+    ensureDir(file);
+
+    while (true) {
+        try {
+            fs.writeFileSync(lockFile, process.pid + '\n', {flag: 'wx'});
+            return function release() {
+                var current = holder(lockFile);
+                if (current && current.pid === process.pid)
+                    fs.unlinkSync(lockFile);
+            };
+        }
+        catch (err) {
+            if (err.code !== 'EEXIST')
+                throw err;
+        }
+
+        var current = holder(lockFile);
+        if (current && ((current.pid && !processExists(current.pid)) || Date.now() - current.since > LOCK_STALE)) {
+            // stale, whoever had it is gone. Remove it and race for it again
+            try {
+                fs.unlinkSync(lockFile);
+            }
+            catch (e) {}
+            continue;
+        }
+
+        if (Date.now() >= waitUntil) {
+            var error = new Error('Could not lock ' + file + (current ? ', it has been locked by pid ' + current.pid +
+                ' since ' + current.since.toISOString() : '') + '. Remove ' + lockFile + ' if that process is gone');
+            error.code = 'ELOCKED';
+            error.file = file;
+            throw error;
+        }
+        sleep(LOCK_POLL);
+    }
+}
+
+/**
+ * Hold the lock on a file while fn runs, e.g. to read, merge and write it back
+ * @param file
+ * @param timeout (optional) see lock
+ * @param fn
+ * @returns {*} whatever fn returns
+ */
+function withLock(file, timeout, fn) {
+    var release = lock(file, timeout);
+    try {
+        return fn();
+    }
+    finally {
+        release();
+    }
+}
+
+module.exports = {
+    processExists: processExists,
+    ensureDir: ensureDir,
+    writeAtomic: writeAtomic,
+    lock: lock,
+    withLock: withLock
+};
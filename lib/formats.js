@@ -0,0 +1,196 @@
+/**
+ * formats.js - Serialises proxy records for saving and parses them back when merging into an existing file.
+ *
+ *  txt     ip:port per line, the original format, or protocol://ip:port with the scheme option
+ *  json    an array of records
+ *  ndjson  one record per line
+ *  csv     a header row of the record fields then one record per row
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const path = require('path');
+
+const record = require('./record');
+
+/**
+ * All the fields used by a set of records, the standard ones first then any extras such as latency
+ * @param records
+ * @returns {Array}
+ */
+function columns(records) {
+    var cols = record.FIELDS.slice();
+    records.forEach(function(proxy) {
+        Object.keys(proxy).forEach(function(field) {
+            if (cols.indexOf(field) < 0)
+                cols.push(field);
+        });
+    });
+    return cols;
+}
+
+function csvEscape(value) {
+    if (value === null || value === undefined)
+        return '';
+    var str = Array.isArray(value) ? value.join(' ') : String(value);
+    if (/[",\r\n]/.test(str))
+        str = '"' + str.replace(/"/g, '""') + '"';
+    return str;
+}
+
+/**
+ * Split csv text into rows of cells, handles quoted cells containing commas, quotes and newlines
+ * @param str
+ * @returns {Array}
+ */
+function csvRows(str) {
+    var rows = [];
+    var row = [];
+    var cell = '';
+    var quoted = false;
+
+    for (var i = 0; i < str.length; i++) {
+        var c = str[i];
+        if (quoted) {
+            if (c === '"' && str[i + 1] === '"') {
+                cell += '"';
+                i++;
+            }
+            else if (c === '"') {
+                quoted = false;
+            }
+            else {
+                cell += c;
+            }
+        }
+        else if (c === '"') {
+            quoted = true;
+        }
+        else if (c === ',') {
+            row.push(cell);
+            cell = '';
+        }
+        else if (c === '\n' || c === '\r') {
+            if (c === '\r' && str[i + 1] === '\n')
+                i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        }
+        else {
+            cell += c;
+        }
+    }
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(function(cells) {
+        return cells.join('') !== '';
+    });
+}
+
+var formats = {
+    txt: {
+        extension: 'txt',
+        serialize: function(records, options) {
+            return records.map(options && options.scheme ? record.toUrl : record.toString).join('\n');
+        },
+        parse: function(str) {
+            return str.split('\n').filter(function(line) {
+                return line.trim();
+            }).map(function(line) {
+                return record.from(line);
+            });
+        }
+    },
+
+    json: {
+        extension: 'json',
+        serialize: function(records) {
+            return JSON.stringify(records, null, 2);
+        },
+        parse: function(str) {
+            return str.trim() ? JSON.parse(str).map(function(proxy) {
+                return record.from(proxy);
+            }) : [];
+        }
+    },
+
+    ndjson: {
+        extension: 'ndjson',
+        serialize: function(records) {
+            return records.map(function(proxy) {
+                return JSON.stringify(proxy);
+            }).join('\n');
+        },
+        parse: function(str) {
+            return str.split('\n').filter(function(line) {
+                return line.trim();
+            }).map(function(line) {
+                return record.from(JSON.parse(line));
+            });
+        }
+    },
+
+    csv: {
+        extension: 'csv',
+        serialize: function(records) {
+            var cols = columns(records);
+            return [cols.join(',')].concat(records.map(function(proxy) {
+                return cols.map(function(col) {
+                    return csvEscape(proxy[col]);
+                }).join(',');
+            })).join('\n');
+        },
+        parse: function(str) {
+            var rows = csvRows(str);
+            var cols = rows.shift() || [];
+            return rows.map(function(cells) {
+                var fields = {};
+                cols.forEach(function(col, i) {
+                    if (cells[i] !== undefined && cells[i] !== '')
+                        fields[col] = /^\d+$/.test(cells[i]) && col !== 'ip' ? parseInt(cells[i], 10) : cells[i];
+                });
+                return record.from(fields);
+            });
+        }
+    }
+};
+
+/**
+ * Get a format by name, throws if it doesn't exist
+ * @param name
+ * @returns {Object}
+ */
+function get(name) {
+    var format = formats[String(name).toLowerCase()];
+    if (!format) {
+        throw new Error('Unknown format ' + name + ', expected one of ' + Object.keys(formats).join(', '));
+    }
+    return format;
+}
+
+/**
+ * Guess the format from a file extension, defaulting to txt
+ * @param file
+ * @returns {string}
+ */
+function detect(file) {
+    var ext = path.extname(String(file)).substr(1).toLowerCase();
+    if (ext === 'jsonl')
+        ext = 'ndjson';
+    return formats[ext] ? ext : 'txt';
+}
+
+module.exports = {
+    names: Object.keys(formats),
+    get: get,
+    detect: detect,
+    csvRows: csvRows
+};
@@ -0,0 +1,265 @@
+/**
+ * geoip.js - Looks up where a proxy is and who runs it from a local database, nothing is looked up online.
+ *
+ * Either a MaxMind format .mmdb file (GeoLite2 City/Country/ASN or anything shaped like them) or a CSV of address
+ * ranges with a header row. The CSV needs a network column (CIDR) or start_ip and end_ip columns, plus any of:
+ *
+ *  network,country,city,asn,org
+ *  1.0.0.0/24,AU,Sydney,13335,Cloudflare
+ *
+ * country_code, city_name, autonomous_system_number and autonomous_system_organization are understood too.
+ * Several files can be given, e.g. a city database and an ASN one, a lookup takes what it can from each.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const normalize = require('./normalize');
+const csvRows = require('./formats').csvRows;
+
+// the fields a lookup can add to a record
+const FIELDS = ['country', 'city', 'asn', 'org'];
+
+// csv column names for each field
+const COLUMNS = {
+    country: ['country', 'country_code', 'country_iso_code', 'iso_code'],
+    city: ['city', 'city_name'],
+    asn: ['asn', 'autonomous_system_number', 'as_number'],
+    org: ['org', 'organisation', 'organization', 'autonomous_system_organization', 'as_org', 'isp']
+};
+
+/**
+ * Turn an address into a key that sorts in address order, 8 hex digits for IPv4 and 32 for IPv6
+ * @param groups see normalize.toGroups
+ * @returns {string}
+ */
+function toKey(groups) {
+    return groups.map(function(group) {
+        return ('000' + group.toString(16)).slice(-4);
+    }).join('');
+}
+
+/**
+ * The first and last address of a CIDR range as keys
+ * @param network e.g. 1.0.0.0/24
+ * @returns {{start: string, end: string}}
+ */
+function bounds(network) {
+    var parts = String(network).trim().split('/');
+    var address = normalize.ip(parts[0]);
+    if (!address || parts.length > 2)
+        throw new Error('Invalid network "' + network + '"');
+
+    var groups = normalize.toGroups(address);
+    var prefix = parts.length > 1 ? parseInt(parts[1], 10) : groups.length * 16;
+    if (!(prefix >= 0 && prefix <= groups.length * 16))
+        throw new Error('Invalid network "' + network + '"');
+
+    var start = [], end = [];
+    groups.forEach(function(group, i) {
+        var bits = Math.min(16, Math.max(0, prefix - i * 16));
+        var hostMask = bits === 16 ? 0 : 0xffff >> bits;
+        start.push(group & ~hostMask & 0xffff);
+        end.push(group | hostMask);
+    });
+    return {start: toKey(start), end: toKey(end)};
+}
+
+/**
+ * An ASN as a number, AS13335 or 13335
+ * @param value
+ * @returns {number|null}
+ */
+function parseAsn(value) {
+    var parts = /^\s*(?:AS)?(\d+)\s*$/i.exec(String(value === undefined || value === null ? '' : value));
+    return parts ? parseInt(parts[1], 10) : null;
+}
+
+/**
+ * Pull our fields out of a MaxMind record, city and country databases nest them, ASN databases don't
+ * @param result
+ * @returns {Object}
+ */
+function fromMaxMind(result) {
+    var country = result.country || result.registered_country || {};
+    var names = (result.city && result.city.names) || {};
+    return {
+        country: country.iso_code || null,
+        city: names.en || names[Object.keys(names)[0]] || null,
+        asn: parseAsn(result.autonomous_system_number),
+        org: result.autonomous_system_organization || result.isp || result.organization || null
+    };
+}
+
+/**
+ * @param files a path, a comma separated list of them or an array
+ * @constructor
+ */
+function GeoIP(files) {
+    this.files = (typeof files === 'string' ? files.split(',') : files).map(function(file) {
+        return String(file).trim();
+    });
+    this.databases = this.files.map(this.open, this);
+}
+
+/**
+ * Load a database, .mmdb files are MaxMind, anything else is read as CSV
+ * @param file
+ * @returns {{lookup: function(string): (Object|null)}}
+ */
+GeoIP.prototype.open = function(file) {
+    if (path.extname(file).toLowerCase() === '.mmdb') {
+        var Reader = require('mmdb-lib').Reader;
+        var reader = new Reader(fs.readFileSync(file));
+        return {
+            lookup: function(address) {
+                var result;
+                try {
+                    result = reader.get(address);
+                }
+                catch (err) {
+                    // an IPv6 address in an IPv4 only database
+                    return null;
+                }
+                return result ? fromMaxMind(result) : null;
+            }
+        };
+    }
+    return GeoIP.parseCsv(fs.readFileSync(file, 'utf8'), file);
+};
+
+/**
+ * Read a CSV range database, the ranges are sorted so lookups are a binary search
+ * @param str
+ * @param file (optional) for errors
+ * @returns {{lookup: function(string): (Object|null), ranges: Object}}
+ */
+GeoIP.parseCsv = function(str, file) {
+    var rows = csvRows(str);
+    var header = (rows.shift() || []).map(function(col) {
+        return col.trim().toLowerCase();
+    });
+    var column = function(names) {
+        for (var i = 0; i < names.length; i++) {
+            if (header.indexOf(names[i]) > -1)
+                return header.indexOf(names[i]);
+        }
+        return -1;
+    };
+    var network = column(['network', 'cidr']);
+    var startIp = column(['start_ip', 'ip_start', 'range_start']);
+    var endIp = column(['end_ip', 'ip_end', 'range_end']);
+
+    if (network < 0 && (startIp < 0 || endIp < 0))
+        throw new Error('Invalid GeoIP database ' + (file || '') + ': expected a network or start_ip and end_ip column');
+
+    var columns = {};
+    FIELDS.forEach(function(field) {
+        columns[field] = column(COLUMNS[field]);
+    });
+
+    // IPv4 and IPv6 ranges are kept apart, by the length of their keys
+    var ranges = {};
+    rows.forEach(function(cells, index) {
+        var range;
+        try {
+            if (network > -1) {
+                range = bounds(cells[network]);
+            }
+            else {
+                range = {start: bounds(cells[startIp]).start, end: bounds(cells[endIp]).end};
+            }
+        }
+        catch (err) {
+            throw new Error('Invalid GeoIP database ' + (file || '') + ' line ' + (index + 2) + ': ' + err.message);
+        }
+
+        range.data = {};
+        FIELDS.forEach(function(field) {
+            var value = columns[field] > -1 ? String(cells[columns[field]] || '').trim() : '';
+            range.data[field] = field === 'asn' ? parseAsn(value) : (value || null);
+        });
+        (ranges[range.start.length] = ranges[range.start.length] || []).push(range);
+    });
+
+    Object.keys(ranges).forEach(function(length) {
+        ranges[length].sort(function(a, b) {
+            return a.start < b.start ? -1 : (a.start > b.start ? 1 : 0);
+        });
+    });
+
+    return {
+        ranges: ranges,
+        lookup: function(address) {
+            var key = toKey(normalize.toGroups(address));
+            var list = ranges[key.length] || [];
+            // the last range starting at or before the address
+            var low = 0, high = list.length - 1, found = null;
+            while (low <= high) {
+                var mid = (low + high) >> 1;
+                if (list[mid].start <= key) {
+                    found = list[mid];
+                    low = mid + 1;
+                }
+                else {
+                    high = mid - 1;
+                }
+            }
+            return found && found.end >= key ? found.data : null;
+        }
+    };
+};
+
+/**
+ * Look up an address in every database, the first one to know a field wins
+ * @param address
+ * @returns {{country: (string|null), city: (string|null), asn: (number|null), org: (string|null)}|null}
+ *  null if no database knows the address
+ */
+GeoIP.prototype.lookup = function(address) {
+    address = normalize.ip(address);
+    if (!address)
+        return null;
+
+    var ret = null;
+    this.databases.forEach(function(database) {
+        var result = database.lookup(address);
+        if (!result)
+            return;
+        ret = ret || {country: null, city: null, asn: null, org: null};
+        FIELDS.forEach(function(field) {
+            if (ret[field] === null && result[field] !== null && result[field] !== undefined)
+                ret[field] = result[field];
+        });
+    });
+    return ret;
+};
+
+/**
+ * Add what the databases know to a record. The country becomes the ISO code from the database, so filtering by
+ * country works the same whichever site listed the proxy
+ * @param proxy
+ * @returns {Object} the record
+ */
+GeoIP.prototype.enrich = function(proxy) {
+    var result = this.lookup(proxy.ip);
+    if (!result)
+        return proxy;
+
+    FIELDS.forEach(function(field) {
+        if (result[field] !== null)
+            proxy[field] = result[field];
+    });
+    return proxy;
+};
+
+GeoIP.FIELDS = FIELDS;
+GeoIP.parseAsn = parseAsn;
+GeoIP.bounds = bounds;
+
+module.exports = GeoIP;
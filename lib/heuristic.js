@@ -0,0 +1,218 @@
+/**
+ * heuristic.js - The fallback for urls no extractor handles. Rather than giving up it tries the common shapes
+ * proxy lists come in:
+ *
+ *  - json responses, walking every object for ip/port fields or "ip:port" strings
+ *  - html tables with an ip column and a port column, found by their headers or failing that their contents
+ *  - ip:port pairs anywhere in the visible text, which also covers plain text lists
+ *
+ * Every proxy found is checked with validateIpAddress and marked with heuristic: true.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const IP_PORT = /(\d{1,3}(?:\.\d{1,3}){3})\s*:\s*(\d{1,5})(?!\d)/g;
+const IP_KEYS = ['ip', 'ipaddress', 'ip_address', 'ipaddr', 'host', 'addr', 'address', 'proxy_ip', 'proxyip'];
+const PORT_KEYS = ['port', 'proxy_port', 'proxyport'];
+const FIELD_KEYS = {
+    protocol: ['protocol', 'type', 'scheme'],
+    country: ['country', 'country_code', 'countrycode', 'country_name'],
+    anonymity: ['anonymity', 'anonymity_level', 'anonymitylevel', 'level']
+};
+
+/**
+ * Find ip:port pairs in a blob of text
+ * @param text
+ * @returns {Array}
+ */
+function scanText(text) {
+    var proxies = [];
+    var parts;
+    IP_PORT.lastIndex = 0;
+    while ((parts = IP_PORT.exec(text)) !== null) {
+        proxies.push({ip: parts[1], port: parts[2]});
+    }
+    return proxies;
+}
+
+/**
+ * Walk a json document for anything that looks like a proxy
+ * @param value
+ * @param proxies (internal) the proxies found so far
+ * @returns {Array}
+ */
+function walkJson(value, proxies) {
+    proxies = proxies || [];
+
+    if (typeof value === 'string') {
+        proxies.push.apply(proxies, scanText(value));
+    }
+    else if (Array.isArray(value)) {
+        value.forEach(function(item) {
+            walkJson(item, proxies);
+        });
+    }
+    else if (value && typeof value === 'object') {
+        var keys = {};
+        Object.keys(value).forEach(function(key) {
+            keys[key.toLowerCase()] = key;
+        });
+        var find = function(names) {
+            for (var i = 0; i < names.length; i++) {
+                if (keys[names[i]] !== undefined && value[keys[names[i]]] !== null && typeof value[keys[names[i]]] !== 'object')
+                    return keys[names[i]];
+            }
+            return null;
+        };
+
+        var ipKey = find(IP_KEYS);
+        var portKey = find(PORT_KEYS);
+        if (ipKey && portKey) {
+            var proxy = {ip: String(value[ipKey]).trim(), port: String(value[portKey]).trim()};
+            Object.keys(FIELD_KEYS).forEach(function(field) {
+                var key = find(FIELD_KEYS[field]);
+                if (key)
+                    proxy[field] = String(value[key]);
+            });
+            proxies.push(proxy);
+        }
+
+        Object.keys(value).forEach(function(key) {
+            if (key !== ipKey && key !== portKey)
+                walkJson(value[key], proxies);
+        });
+    }
+
+    return proxies;
+}
+
+/**
+ * Look for tables with an ip column and a separate port column
+ * @param $
+ * @param fetch
+ * @returns {Array}
+ */
+function scanTables($, fetch) {
+    var proxies = [];
+
+    $('table').each(function() {
+        var rows = $(this).find('tr').map(function() {
+            return [$(this).children('td,th').map(function() {
+                return $(this).text().trim();
+            }).get()];
+        }).get();
+
+        var ipCol = -1;
+        var portCol = -1;
+
+        // first try the headers
+        rows.slice(0, 3).some(function(cells) {
+            cells.forEach(function(cell, i) {
+                if (ipCol < 0 && /^(ip|ip address|ip addr|address|host)$/i.test(cell))
+                    ipCol = i;
+                else if (portCol < 0 && /^port$/i.test(cell))
+                    portCol = i;
+            });
+            return ipCol > -1 && portCol > -1;
+        });
+
+        // otherwise go by what's in the columns
+        if (ipCol < 0 || portCol < 0) {
+            ipCol = portCol = -1;
+            var sample = rows.filter(function(cells) {
+                return cells.length > 1;
+            }).slice(0, 20);
+            var width = Math.max.apply(null, sample.map(function(cells) {
+                return cells.length;
+            }).concat(0));
+            var score = function(i, test) {
+                return sample.filter(function(cells) {
+                    return cells[i] !== undefined && test(cells[i]);
+                }).length;
+            };
+            for (var i = 0; i < width; i++) {
+                if (ipCol < 0 && score(i, function(cell) {
+                    return /^\d{1,3}(\.\d{1,3}){3}$/.test(cell);
+                }) > sample.length / 2) {
+                    ipCol = i;
+                }
+                else if (ipCol > -1 && portCol < 0 && score(i, function(cell) {
+                    return /^\d{1,5}$/.test(cell);
+                }) > sample.length / 2) {
+                    portCol = i;
+                }
+            }
+        }
+
+        if (ipCol < 0 || portCol < 0)
+            return;
+
+        rows.forEach(function(cells) {
+            var ip = cells[ipCol];
+            var port = cells[portCol];
+            if (ip && /^\d{1,5}$/.test(port || '') && fetch.validateIpAddress(ip))
+                proxies.push({ip: ip, port: port});
+        });
+    });
+
+    return proxies;
+}
+
+/**
+ * Get the visible text of a page in document order, text nodes are joined with a space so neighbouring
+ * table cells don't run together
+ * @param $
+ * @returns {string}
+ */
+function visibleText($) {
+    var text = [];
+    var walk = function(node) {
+        if (node.type === 'text')
+            text.push(node.data);
+        else if (['script', 'style', 'noscript'].indexOf(node.name) < 0)
+            (node.children || []).forEach(walk);
+    };
+    walk($.root()[0]);
+    return text.join(' ');
+}
+
+module.exports = {
+    name: 'heuristic',
+    parse: function($, data, fetch) {
+        var body = String(data.body || '');
+        var found = [];
+        var json;
+
+        if (/^\s*[\[{]/.test(body)) {
+            try {
+                json = JSON.parse(body);
+            }
+            catch (e) {}
+        }
+
+        if (json !== undefined) {
+            found = walkJson(json);
+        }
+        else if (/<[a-z!][^>]*>/i.test(body)) {
+            found = scanTables($, fetch).concat(scanText(visibleText($)));
+        }
+        else {
+            found = scanText(body);
+        }
+
+        var seen = {};
+        return found.filter(function(proxy) {
+            var key = proxy.ip + ':' + proxy.port;
+            if (seen[key] || !fetch.validateIpAddress(proxy.ip))
+                return false;
+            seen[key] = true;
+            return true;
+        }).map(function(proxy) {
+            proxy.heuristic = true;
+            return proxy;
+        });
+    }
+};
@@ -0,0 +1,157 @@
+/**
+ * metrics.js - Counters for every run since we started, in the Prometheus text format (or JSON) so they can be
+ * scraped from the server's /metrics or written to a file for node_exporter's textfile collector:
+ *
+ *  fetch_requests_total{source}         requests made, retries included
+ *  fetch_request_errors_total{source}   requests that failed or didn't answer 200
+ *  fetch_pages_total{source}            pages loaded
+ *  fetch_proxies_found_total{source}    new proxies found
+ *  fetch_runs_total                     runs finished
+ *  fetch_run_duration_seconds           how long the last run took to crawl
+ *  fetch_last_run_timestamp_seconds     when the last run finished
+ *  fetch_proxies                        proxies in the last save
+ *
+ * Everything comes from the 'report' and 'complete' events so the crawl doesn't need to know about it.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const path = require('path');
+
+const METRICS = {
+    fetch_requests_total: {type: 'counter', help: 'Requests made to each source, retries included', bySource: true},
+    fetch_request_errors_total: {type: 'counter', help: 'Requests to each source that failed or did not answer 200',
+        bySource: true},
+    fetch_pages_total: {type: 'counter', help: 'Pages loaded from each source', bySource: true},
+    fetch_proxies_found_total: {type: 'counter', help: 'New proxies found on each source', bySource: true},
+    fetch_runs_total: {type: 'counter', help: 'Runs finished'},
+    fetch_run_duration_seconds: {type: 'gauge', help: 'How long the last run took to crawl every source'},
+    fetch_last_run_timestamp_seconds: {type: 'gauge', help: 'When the last run finished'},
+    fetch_proxies: {type: 'gauge', help: 'Proxies in the last save'}
+};
+
+/**
+ * Escape a label value, see https://prometheus.io/docs/instrumenting/exposition_formats/
+ * @param value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * @param fetch the Fetch instance to count the runs of
+ * @constructor
+ */
+function Metrics(fetch) {
+    var _this = this;
+
+    // {name: {source: value}}, '' for the metrics that aren't by source
+    this.values = {};
+    Object.keys(METRICS).forEach(function(name) {
+        _this.values[name] = {};
+    });
+
+    fetch.on('report', function(report) {
+        _this.recordRun(report);
+    });
+    fetch.on('complete', function(outputFile, total) {
+        _this.set('fetch_proxies', null, total);
+    });
+}
+
+/**
+ * Add to a counter
+ * @param name
+ * @param source (optional) the source label
+ * @param value (optional) defaults to 1
+ */
+Metrics.prototype.inc = function(name, source, value) {
+    source = source || '';
+    this.values[name][source] = (this.values[name][source] || 0) + (value === undefined ? 1 : value);
+};
+
+/**
+ * Set a gauge
+ * @param name
+ * @param source (optional) the source label
+ * @param value
+ */
+Metrics.prototype.set = function(name, source, value) {
+    this.values[name][source || ''] = value;
+};
+
+/**
+ * Count a run from its health report, see lib/report.js
+ * @param report
+ */
+Metrics.prototype.recordRun = function(report) {
+    var _this = this;
+
+    report.sources.forEach(function(entry) {
+        Object.keys(entry.statuses).forEach(function(status) {
+            var count = entry.statuses[status];
+            _this.inc('fetch_requests_total', entry.name, count);
+            if (status !== '200')
+                _this.inc('fetch_request_errors_total', entry.name, count);
+        });
+        _this.inc('fetch_pages_total', entry.name, entry.pages);
+        _this.inc('fetch_proxies_found_total', entry.name, entry.found);
+    });
+
+    this.inc('fetch_runs_total');
+    this.set('fetch_run_duration_seconds', null, report.duration / 1e3);
+    this.set('fetch_last_run_timestamp_seconds', null, Math.round(new Date(report.finishedAt).getTime() / 1e3));
+};
+
+/**
+ * @returns {string} the metrics in the Prometheus text format
+ */
+Metrics.prototype.render = function() {
+    var _this = this;
+    return Object.keys(METRICS).map(function(name) {
+        var lines = ['# HELP ' + name + ' ' + METRICS[name].help, '# TYPE ' + name + ' ' + METRICS[name].type];
+        var values = _this.values[name];
+        // no runs is worth saying, there's nothing to say about the rest until there's been one
+        if (name === 'fetch_runs_total' && !Object.keys(values).length)
+            values = {'': 0};
+        Object.keys(values).forEach(function(source) {
+            lines.push(name + (source ? '{source="' + escapeLabel(source) + '"}' : '') + ' ' + values[source]);
+        });
+        return lines.join('\n');
+    }).join('\n') + '\n';
+};
+
+/**
+ * @returns {Object} the metrics as {name: value} or {name: {source: value}} for the ones by source
+ */
+Metrics.prototype.toJSON = function() {
+    var _this = this;
+    var json = {};
+    Object.keys(METRICS).forEach(function(name) {
+        var values = _this.values[name];
+        if (METRICS[name].bySource)
+            json[name] = Object.assign({}, values);
+        else
+            json[name] = values[''] !== undefined ? values[''] : (name === 'fetch_runs_total' ? 0 : null);
+    });
+    return json;
+};
+
+/**
+ * The contents of a metrics file, JSON for .json files and the Prometheus text format for anything else
+ * @param file
+ * @returns {string}
+ */
+Metrics.prototype.serialize = function(file) {
+    if (path.extname(String(file)).toLowerCase() === '.json')
+        return JSON.stringify(this.toJSON(), null, 2) + '\n';
+    return this.render();
+};
+
+Metrics.METRICS = METRICS;
+
+module.exports = Metrics;
@@ -0,0 +1,226 @@
+/**
+ * normalize.js - Every proxy an extractor finds goes through here before we keep it. Addresses are checked
+ * properly and written one way, so the same proxy listed as 001.002.003.004:08080 and 1.2.3.4:8080 is one proxy:
+ *
+ *  - IPv4 addresses must be four octets 0-255, leading zeros are stripped
+ *  - IPv6 addresses are accepted with or without brackets ([2001:db8::1]:8080) and written in their short form
+ *  - ports must be decimal and 1-65535
+ *  - private, loopback, link-local, multicast and reserved addresses are dropped, no public list should have them
+ *
+ * Anything rejected comes back with the reason so it can be counted rather than logged.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const net = require('net');
+
+// address ranges no public proxy lives in, by the reason they're rejected
+const RANGES = {
+    private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '100.64.0.0/10', 'fc00::/7'],
+    loopback: ['127.0.0.0/8', '::1/128'],
+    'link-local': ['169.254.0.0/16', 'fe80::/10'],
+    multicast: ['224.0.0.0/4', 'ff00::/8'],
+    reserved: ['0.0.0.0/8', '192.0.0.0/24', '192.0.2.0/24', '198.18.0.0/15', '198.51.100.0/24', '203.0.113.0/24',
+        '240.0.0.0/4', '::/128', '100::/64', '2001:db8::/32']
+};
+
+/**
+ * Check and tidy an IPv4 address
+ * @param str
+ * @returns {string|null} null if it isn't one
+ */
+function ipv4(str) {
+    var parts = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(String(str).trim());
+    if (!parts)
+        return null;
+
+    var octets = parts.slice(1).map(function(octet) {
+        return parseInt(octet, 10);
+    });
+    if (octets.some(function(octet) { return octet > 255; }))
+        return null;
+    return octets.join('.');
+}
+
+/**
+ * Parse an IPv6 address into its eight 16 bit groups
+ * @param str
+ * @returns {number[]|null}
+ */
+function ipv6Groups(str) {
+    str = String(str).trim().replace(/^\[|\]$/g, '');
+    if (!net.isIPv6(str))
+        return null;
+
+    // an IPv4 address on the end, e.g. ::ffff:1.2.3.4
+    var v4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(str);
+    if (v4) {
+        var octets = v4[1].split('.').map(Number);
+        str = str.substr(0, v4.index) + ((octets[0] << 8) | octets[1]).toString(16) + ':' +
+            ((octets[2] << 8) | octets[3]).toString(16);
+    }
+
+    var halves = str.split('::');
+    var head = halves[0] ? halves[0].split(':') : [];
+    var tail = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+    var zeros = halves.length > 1 ? 8 - head.length - tail.length : 0;
+
+    return head.concat(Array(zeros).fill('0'), tail).map(function(group) {
+        return parseInt(group, 16);
+    });
+}
+
+/**
+ * Check an IPv6 address and write it in its short form (RFC 5952): lowercase, no leading zeros and the longest run
+ * of zero groups replaced with ::
+ * @param str
+ * @returns {string|null} null if it isn't one
+ */
+function ipv6(str) {
+    var groups = ipv6Groups(str);
+    if (!groups)
+        return null;
+
+    var best = {start: -1, length: 0};
+    for (var i = 0; i < 8; i++) {
+        var length = 0;
+        while (i + length < 8 && groups[i + length] === 0)
+            length++;
+        if (length > best.length && length > 1)
+            best = {start: i, length: length};
+    }
+
+    var hex = groups.map(function(group) {
+        return group.toString(16);
+    });
+    if (best.start < 0)
+        return hex.join(':');
+    return hex.slice(0, best.start).join(':') + '::' + hex.slice(best.start + best.length).join(':');
+}
+
+/**
+ * Check and tidy an address of either kind, an IPv6 address that's really IPv4 (::ffff:1.2.3.4) becomes IPv4
+ * @param str
+ * @returns {string|null}
+ */
+function ip(str) {
+    if (str === undefined || str === null)
+        return null;
+    var address = ipv4(str);
+    if (address)
+        return address;
+
+    address = ipv6(str);
+    if (address && /^::ffff:[0-9a-f]{1,4}:[0-9a-f]{1,4}$/.test(address)) {
+        var groups = ipv6Groups(address);
+        return [groups[6] >> 8, groups[6] & 255, groups[7] >> 8, groups[7] & 255].join('.');
+    }
+    return address;
+}
+
+/**
+ * Parse a port, it must be a decimal number 1-65535
+ * @param value
+ * @returns {number|null}
+ */
+function port(value) {
+    if (value === undefined || value === null || !/^\d{1,5}$/.test(String(value).trim()))
+        return null;
+    var num = parseInt(value, 10);
+    return num >= 1 && num <= 65535 ? num : null;
+}
+
+/**
+ * Split an address into 16 bit groups, two for IPv4 and eight for IPv6, so ranges of either kind compare the same way
+ * @param address a normalised address
+ * @returns {number[]}
+ */
+function toGroups(address) {
+    if (address.indexOf(':') > -1)
+        return ipv6Groups(address);
+    var octets = address.split('.').map(Number);
+    return [(octets[0] << 8) | octets[1], (octets[2] << 8) | octets[3]];
+}
+
+/**
+ * A matcher for a CIDR range, e.g. cidr('10.0.0.0/8')('10.1.2.3') === true. A bare address matches only itself
+ * @param range
+ * @returns {function(string): boolean}
+ * @throws {Error} if the range is invalid
+ */
+function cidr(range) {
+    var parts = String(range).trim().split('/');
+    var address = ip(parts[0]);
+    var base = address && toGroups(address);
+    var prefix = parts.length > 1 ? parseInt(parts[1], 10) : (base ? base.length * 16 : 0);
+
+    if (!base || parts.length > 2 || !/^\d*$/.test(parts[1] || '') || prefix > base.length * 16)
+        throw new Error('Invalid CIDR range "' + range + '"');
+
+    return function(str) {
+        var candidate = ip(str);
+        var groups = candidate && toGroups(candidate);
+        if (!groups || groups.length !== base.length)
+            return false;
+
+        for (var i = 0, bits = prefix; bits > 0; i++, bits -= 16) {
+            var shift = Math.max(0, 16 - bits);
+            if ((groups[i] >> shift) !== (base[i] >> shift))
+                return false;
+        }
+        return true;
+    };
+}
+
+var matchers = Object.keys(RANGES).map(function(reason) {
+    return {reason: reason, matches: RANGES[reason].map(cidr)};
+});
+
+/**
+ * Which kind of special range an address is in
+ * @param address
+ * @returns {string|null} private, loopback, link-local, multicast, reserved or null if it's a public address
+ */
+function range(address) {
+    for (var i = 0; i < matchers.length; i++) {
+        if (matchers[i].matches.some(function(match) { return match(address); }))
+            return matchers[i].reason;
+    }
+    return null;
+}
+
+/**
+ * Normalise a record, see lib/record.js
+ * @param proxy
+ * @returns {{proxy: (Object|null), reason: (string|null)}} the tidied record, or null and the reason it was rejected
+ */
+function normalize(proxy) {
+    var address = ip(proxy.ip);
+    if (!address)
+        return {proxy: null, reason: 'invalid ip'};
+
+    var num = port(proxy.port);
+    if (num === null)
+        return {proxy: null, reason: 'invalid port'};
+
+    var reason = range(address);
+    if (reason)
+        return {proxy: null, reason: reason};
+
+    return {proxy: Object.assign({}, proxy, {ip: address, port: num}), reason: null};
+}
+
+module.exports = {
+    RANGES: RANGES,
+    ipv4: ipv4,
+    ipv6: ipv6,
+    ip: ip,
+    port: port,
+    toGroups: toGroups,
+    cidr: cidr,
+    range: range,
+    normalize: normalize
+};
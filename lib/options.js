@@ -0,0 +1,101 @@
+/**
+ * options.js - Checks the options given to new Fetch() up front, so a typo or a bad value throws straight away
+ * rather than quietly falling back to a default half way through a run.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const record = require('./record');
+
+// options that take a number of something, numeric strings are fine as that's what the cli passes
+const NUMBERS = ['timeout', 'retries', 'retryDelay', 'maxRetryDelay', 'concurrency', 'hostConcurrency', 'hostDelay',
+    'verifyConcurrency', 'verifyTimeout', 'maxPages', 'lockTimeout', 'workers'];
+// options that are a string or a list of them, either as an array or comma separated
+const LISTS = ['urls', 'extractors', 'via', 'protocol', 'geoip', 'country', 'excludeCountry', 'excludeCidr',
+    'exports'];
+const STRINGS = ['config', 'outputFile', 'format', 'judgeUrl', 'db', 'pruneOlderThan', 'report', 'record', 'replay',
+    'schedule', 'pidFile', 'statusFile', 'logLevel', 'logFormat', 'metrics',
+    'diffOut', 'webhook'];
+const FLAGS = ['scheme', 'splitProtocols', 'verbose', 'viaPool', 'verify', 'keepUnverified', 'quiet'];
+// options that are either a flag or a value
+const OTHERS = ['sources', 'retry', 'serve', 'signal', 'vars', 'asn'];
+
+const KNOWN = [].concat(NUMBERS, LISTS, STRINGS, FLAGS, OTHERS);
+
+function invalid(name, expected, value) {
+    return new TypeError('Invalid option ' + name + ': expected ' + expected + ', got ' + JSON.stringify(value));
+}
+
+function isNumber(value) {
+    return (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) &&
+        isFinite(value) && Number(value) >= 0;
+}
+
+/**
+ * Throws a TypeError describing the first bad option
+ * @param options
+ * @returns {Object} the options
+ */
+function validate(options) {
+    Object.keys(options).forEach(function(name) {
+        var value = options[name];
+
+        if (KNOWN.indexOf(name) < 0)
+            throw new TypeError('Unknown option ' + name);
+        if (value === undefined || value === null)
+            return;
+
+        if (NUMBERS.indexOf(name) > -1 && !isNumber(value))
+            throw invalid(name, 'a number of 0 or more', value);
+
+        if (LISTS.indexOf(name) > -1) {
+            var list = typeof value === 'string' ? value.split(',') : value;
+            if (!Array.isArray(list))
+                throw invalid(name, 'a string or an array', value);
+            // extractors can also be given as objects
+            if (name !== 'extractors' && list.some(function(item) { return typeof item !== 'string'; }))
+                throw invalid(name, 'a list of strings', value);
+            if (name === 'protocol') {
+                list.forEach(function(protocol) {
+                    if (record.PROTOCOLS.indexOf(protocol.trim().toLowerCase()) < 0)
+                        throw invalid(name, 'one of ' + record.PROTOCOLS.join(', '), protocol);
+                });
+            }
+        }
+
+        if (STRINGS.indexOf(name) > -1 && typeof value !== 'string')
+            throw invalid(name, 'a string', value);
+        if (FLAGS.indexOf(name) > -1 && typeof value !== 'boolean')
+            throw invalid(name, 'true or false', value);
+
+        if (name === 'sources' && !Array.isArray(value))
+            throw invalid(name, 'an array', value);
+        if (name === 'retry' && value !== false && value !== true && !isNumber(value))
+            throw invalid(name, 'a number of minutes', value);
+        if (name === 'serve' && value !== false && !/^(.+:)?\d+$/.test(String(value)))
+            throw invalid(name, 'a port or host:port', value);
+        if (name === 'webhook' && !/^https?:\/\/[^\/]/i.test(value))
+            throw invalid(name, 'an http or https url', value);
+        if (name === 'logLevel' && ['info', 'warn', 'error', 'silent'].indexOf(value) < 0)
+            throw invalid(name, 'info, warn, error or silent', value);
+        if (name === 'logFormat' && ['text', 'json'].indexOf(value) < 0)
+            throw invalid(name, 'text or json', value);
+        if (name === 'asn' && [].concat(typeof value === 'string' ? value.split(',') : value).some(function(asn) {
+            return !/^\s*(AS)?\d+\s*$/i.test(String(asn));
+        }))
+            throw invalid(name, 'autonomous system numbers, e.g. 13335 or AS13335', value);
+        if (name === 'vars' && typeof value !== 'object' && typeof value !== 'string')
+            throw invalid(name, 'an object or a list of name=value strings', value);
+        if (name === 'signal' && (typeof value !== 'object' || typeof value.addEventListener !== 'function'))
+            throw invalid(name, 'an AbortSignal', value);
+    });
+    return options;
+}
+
+module.exports = {
+    KNOWN: KNOWN,
+    validate: validate
+};
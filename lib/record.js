@@ -0,0 +1,165 @@
+/**
+ * record.js - Proxies are passed around as records rather than bare ip:port strings so we keep everything
+ * the sites tell us about them:
+ *
+ *  {ip: '1.2.3.4', port: 8080, protocol: 'http', country: 'US', anonymity: 'elite',
+ *   source: 'http://www.us-proxy.org/', fetchedAt: '2016-11-10T12:00:00.000Z'}
+ *
+ * Anything a site doesn't publish is left null. The key of a record is still ip:port.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const FIELDS = ['ip', 'port', 'protocol', 'country', 'anonymity', 'source', 'fetchedAt'];
+const PROTOCOLS = ['http', 'https', 'socks4', 'socks5'];
+
+const ANONYMITY = {
+    'elite': 'elite', 'elite proxy': 'elite', 'high': 'elite', 'high anonymous': 'elite', 'high anonymity': 'elite',
+    'hia': 'elite', 'high +ka': 'elite', 'high-anonymous': 'elite',
+    'anonymous': 'anonymous', 'anonymous proxy': 'anonymous', 'anm': 'anonymous', 'medium': 'anonymous',
+    'transparent': 'transparent', 'transparent proxy': 'transparent', 'noa': 'transparent', 'low': 'transparent',
+    'none': 'transparent'
+};
+
+/**
+ * Map the many ways sites describe anonymity onto transparent, anonymous or elite
+ * @param str
+ * @returns {string|null}
+ */
+function normalizeAnonymity(str) {
+    return ANONYMITY[String(str || '').trim().toLowerCase()] || null;
+}
+
+/**
+ * Lowercase the protocol, 'HTTPS' => 'https', 'SOCKS4/5' => 'socks4', anything unknown => null
+ * @param str
+ * @returns {string|null}
+ */
+function normalizeProtocol(str) {
+    var parts = /(https?|socks[45]?)/i.exec(String(str || ''));
+    if (!parts)
+        return null;
+    var protocol = parts[1].toLowerCase();
+    return protocol === 'socks' ? 'socks5' : protocol;
+}
+
+/**
+ * Create a record, unknown fields are null
+ * @param fields
+ * @returns {Object}
+ */
+function create(fields) {
+    var record = {};
+    FIELDS.forEach(function(field) {
+        record[field] = fields[field] !== undefined && fields[field] !== '' ? fields[field] : null;
+    });
+
+    if (/^\d+$/.test(String(record.port)))
+        record.port = parseInt(record.port, 10);
+    if (record.protocol)
+        record.protocol = normalizeProtocol(record.protocol);
+    if (record.anonymity)
+        record.anonymity = normalizeAnonymity(record.anonymity);
+
+    // keep anything extra, e.g. latency from --verify
+    Object.keys(fields).forEach(function(field) {
+        if (FIELDS.indexOf(field) < 0 && fields[field] !== undefined)
+            record[field] = fields[field];
+    });
+
+    return record;
+}
+
+/**
+ * Build a record from an extractor result, which can be an ip:port string or an object
+ * @param value
+ * @param defaults (optional) fields to use when the value doesn't have them, e.g. source
+ * @returns {Object}
+ */
+function from(value, defaults) {
+    var fields = {};
+
+    if (value && typeof value === 'object') {
+        fields = Object.assign({}, value);
+    }
+    else {
+        var str = String(value).trim();
+        // socks5://1.2.3.4:1080
+        var scheme = /^([a-z0-9]+):\/\//i.exec(str);
+        if (scheme) {
+            fields.protocol = scheme[1];
+            str = str.substr(scheme[0].length);
+        }
+        var index = str.lastIndexOf(':');
+        // [2001:db8::1]:8080
+        fields.ip = (index > -1 ? str.substr(0, index) : str).replace(/^\[(.*)\]$/, '$1');
+        fields.port = index > -1 ? str.substr(index + 1) : undefined;
+    }
+
+    Object.keys(defaults || {}).forEach(function(field) {
+        if (fields[field] === undefined || fields[field] === null || fields[field] === '')
+            fields[field] = defaults[field];
+    });
+
+    return create(fields);
+}
+
+/**
+ * @param record
+ * @returns {string} ip:port
+ */
+function key(record) {
+    // IPv6 addresses are bracketed, [2001:db8::1]:8080
+    var ip = String(record.ip).indexOf(':') > -1 ? '[' + record.ip + ']' : record.ip;
+    return ip + ':' + record.port;
+}
+
+/**
+ * @param record
+ * @returns {string} the proxy as a url, e.g. socks5://1.2.3.4:1080. Unknown protocols are assumed to be http
+ */
+function toUrl(record) {
+    return (record.protocol || 'http') + '://' + key(record);
+}
+
+/**
+ * Remove duplicate ip:ports, the first record wins but gaps in it are filled from the later ones
+ * @param records
+ * @returns {Array}
+ */
+function dedupe(records) {
+    var seen = {};
+    var ret = [];
+
+    records.forEach(function(record) {
+        var k = key(record);
+        var existing = seen[k];
+        if (!existing) {
+            seen[k] = record;
+            ret.push(record);
+            return;
+        }
+        Object.keys(record).forEach(function(field) {
+            if ((existing[field] === null || existing[field] === undefined) && record[field] !== null)
+                existing[field] = record[field];
+        });
+    });
+
+    return ret;
+}
+
+module.exports = {
+    FIELDS: FIELDS,
+    PROTOCOLS: PROTOCOLS,
+    create: create,
+    from: from,
+    key: key,
+    toString: key,
+    toUrl: toUrl,
+    dedupe: dedupe,
+    normalizeAnonymity: normalizeAnonymity,
+    normalizeProtocol: normalizeProtocol
+};
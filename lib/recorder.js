@@ -0,0 +1,100 @@
+/**
+ * recorder.js - Records the pages fetch.js receives to a directory and plays them back later without touching the
+ * network, handy for working on an extractor without hammering the site and for offline regression tests.
+ *
+ * Each response is saved as a pair of files named after the host and a hash of the method, url and form:
+ *
+ *  www.us-proxy.org-1a2b3c4d5e6f.json   {"method":"GET","url":"http://www.us-proxy.org/","statusCode":200,...}
+ *  www.us-proxy.org-1a2b3c4d5e6f.body   the response body, as is
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const crypto = require('crypto');
+const querystring = require('querystring');
+
+/**
+ * @param dir where the recordings live, created on the first save
+ * @constructor
+ */
+function Recorder(dir) {
+    this.dir = dir;
+}
+
+/**
+ * The file name (without extension) a request is recorded under
+ * @param req {method, url, form}
+ * @returns {string}
+ */
+Recorder.key = function(req) {
+    var method = (req.method || 'GET').toUpperCase();
+    var id = method + ' ' + req.url + (req.form ? ' ' + querystring.stringify(req.form) : '');
+    var hash = crypto.createHash('sha1').update(id).digest('hex').substr(0, 12);
+    return (url.parse(req.url).hostname || 'local') + '-' + hash;
+};
+
+/**
+ * Save a response
+ * @param req {method, url, form}
+ * @param response
+ * @param body
+ */
+Recorder.prototype.save = function(req, response, body) {
+    var file = path.join(this.dir, Recorder.key(req));
+    var meta = {
+        method: (req.method || 'GET').toUpperCase(),
+        url: req.url,
+        form: req.form || null,
+        statusCode: response.statusCode,
+        headers: response.headers || {},
+        recordedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(this.dir, {recursive: true});
+    fs.writeFileSync(file + '.body', body === undefined || body === null ? '' : body);
+    fs.writeFileSync(file + '.json', JSON.stringify(meta, null, 2) + '\n');
+};
+
+/**
+ * Load a recorded response
+ * @param req {method, url, form}
+ * @returns {{statusCode: number, headers: Object, body: string}|null} null if it was never recorded
+ */
+Recorder.prototype.load = function(req) {
+    var file = path.join(this.dir, Recorder.key(req));
+    if (!fs.existsSync(file + '.json'))
+        return null;
+
+    var meta = JSON.parse(fs.readFileSync(file + '.json', 'utf8'));
+    return {
+        statusCode: meta.statusCode,
+        headers: meta.headers || {},
+        body: fs.readFileSync(file + '.body', 'utf8')
+    };
+};
+
+/**
+ * A stand in for request(), calls back with the recorded response or an ENOTRECORDED error
+ * @param req {method, url, form}
+ * @param callback function(error, response, body)
+ */
+Recorder.prototype.replay = function(req, callback) {
+    var recorded = this.load(req);
+
+    setImmediate(function() {
+        if (!recorded) {
+            var error = new Error('No recording of ' + (req.method || 'GET') + ' ' + req.url);
+            error.code = 'ENOTRECORDED';
+            return callback(error);
+        }
+        callback(null, {statusCode: recorded.statusCode, headers: recorded.headers}, recorded.body);
+    });
+};
+
+module.exports = Recorder;
@@ -0,0 +1,121 @@
+/**
+ * registry.js - Keeps track of the site extractors and picks the right one for a url.
+ *
+ * An extractor is a module exporting an object (or an array of them) that looks like:
+ *
+ *  module.exports = {
+ *      name: 'example',
+ *      hosts: ['example.com'],                 // matches example.com and any subdomain
+ *      patterns: [/example\.org\/proxies/],    // optional, tested against the full url
+ *      parse: function($, data, fetch) {       // $ is the cheerio loaded body
+ *          return ['1.2.3.4:8080', {ip: '5.6.7.8', port: 3128, protocol: 'https', country: 'US'}];
+ *      }
+ *  };
+ *
+ * parse can return ip:port strings or objects with any of the record fields, see lib/record.js
+ *
+ * Extractors registered later take precedence, so your own extractors can override the built-in ones.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+
+function Registry() {
+    this.extractors = [];
+}
+
+/**
+ * Add an extractor to the registry
+ * @param extractor
+ * @param source (optional) where the extractor was loaded from, used in error messages
+ */
+Registry.prototype.register = function(extractor, source) {
+    source = source || (extractor && extractor.name) || 'extractor';
+
+    if (!extractor || typeof extractor.parse !== 'function') {
+        throw new Error('Invalid extractor ' + source + ': missing parse function');
+    }
+    if (!extractor.name) {
+        throw new Error('Invalid extractor ' + source + ': missing name');
+    }
+    if (!(extractor.hosts && extractor.hosts.length) && !(extractor.patterns && extractor.patterns.length)) {
+        throw new Error('Invalid extractor ' + source + ': must declare hosts or patterns');
+    }
+
+    this.extractors.push(extractor);
+    return this;
+};
+
+/**
+ * Load extractors from a file or a directory of .js files
+ * @param target
+ */
+Registry.prototype.load = function(target) {
+    var _this = this;
+    var file = path.resolve(target);
+
+    if (fs.statSync(file).isDirectory()) {
+        fs.readdirSync(file)
+            .filter(function(name) {
+                return path.extname(name) === '.js';
+            })
+            .sort()
+            .forEach(function(name) {
+                _this.load(path.join(file, name));
+            });
+        return this;
+    }
+
+    var exported = require(file);
+    [].concat(exported).forEach(function(extractor) {
+        _this.register(extractor, file);
+    });
+    return this;
+};
+
+/**
+ * Find the extractor responsible for a url, the most recently registered match wins
+ * @param pageUrl
+ * @returns {Object|null}
+ */
+Registry.prototype.find = function(pageUrl) {
+    var hostname = String(url.parse(pageUrl).hostname || '').toLowerCase();
+
+    for (var i = this.extractors.length - 1; i >= 0; i--) {
+        var extractor = this.extractors[i];
+
+        var hostMatch = (extractor.hosts || []).some(function(host) {
+            host = host.toLowerCase();
+            return hostname === host || hostname.substr(-(host.length + 1)) === '.' + host;
+        });
+        var patternMatch = (extractor.patterns || []).some(function(pattern) {
+            return new RegExp(pattern).test(pageUrl);
+        });
+
+        if (hostMatch || patternMatch) {
+            return extractor;
+        }
+    }
+    return null;
+};
+
+/**
+ * Get an extractor by name, the most recently registered wins
+ * @param name
+ * @returns {Object|null}
+ */
+Registry.prototype.get = function(name) {
+    for (var i = this.extractors.length - 1; i >= 0; i--) {
+        if (this.extractors[i].name === name)
+            return this.extractors[i];
+    }
+    return null;
+};
+
+module.exports = Registry;
@@ -0,0 +1,175 @@
+/**
+ * report.js - Builds the per-source health report for a run and decides whether a source looks broken.
+ *
+ * Each source gets the pages fetched, the http statuses seen, how many proxies it gave us (and how many of
+ * those were invalid or duplicates), how long it took and a health verdict:
+ *
+ *  ok        nothing to worry about
+ *  degraded  a lot fewer proxies than it usually returns
+ *  broken    mostly invalid addresses, or nothing at all from a source that usually returns plenty. This is
+ *            what a markup change looks like
+ *  failed    we couldn't fetch it, see failure for why
+ *  empty     no proxies but no history to say that's unusual
+ *
+ * The usual count comes from the history, the proxies found in the last few runs.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const fs = require('fs');
+
+// how many runs of history to keep per source
+const HISTORY = 10;
+
+/**
+ * The key we track a source's history under, the name isn't unique (gatherproxy has one source per country)
+ * @param source
+ * @returns {string}
+ */
+function sourceId(source) {
+    return (source.method === 'POST' ? 'POST:' : '') + source.url;
+}
+
+/**
+ * Fresh counters for a crawl
+ * @returns {Object}
+ */
+function createStats() {
+    return {
+        pages: 0,
+        statuses: {},
+        extracted: 0,
+        invalid: 0,
+        // why the invalid ones were rejected, see lib/normalize.js
+        rejected: {},
+        duplicate: 0,
+        startedAt: new Date().getTime(),
+        finishedAt: null
+    };
+}
+
+function median(values) {
+    if (!values.length)
+        return 0;
+    var sorted = values.slice().sort(function(a, b) {
+        return a - b;
+    });
+    var mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Decide how healthy a source is
+ * @param entry the source's report entry
+ * @param history the proxies found by previous runs
+ * @param options {minBaseline: 20, maxInvalid: 0.5, degradedRatio: 0.25}
+ * @returns {{health: string, reason: (string|null)}}
+ */
+function verdict(entry, history, options) {
+    options = Object.assign({minBaseline: 20, maxInvalid: 0.5, degradedRatio: 0.25}, options);
+    var usual = median(history);
+
+    if (entry.failure && !entry.found)
+        return {health: 'failed', reason: entry.failure.reason + ' after ' + entry.failure.attempts + ' attempts'};
+
+    if (entry.extracted && entry.invalid / entry.extracted > options.maxInvalid)
+        return {health: 'broken', reason: entry.invalid + ' of ' + entry.extracted + ' proxies had invalid addresses'};
+
+    if (!entry.found && usual >= options.minBaseline)
+        return {health: 'broken', reason: 'no proxies found, usually ' + usual};
+
+    if (usual >= options.minBaseline && entry.found < usual * options.degradedRatio)
+        return {health: 'degraded', reason: entry.found + ' proxies found, usually ' + usual};
+
+    if (!entry.found)
+        return {health: 'empty', reason: 'no proxies found'};
+
+    return {health: 'ok', reason: null};
+}
+
+/**
+ * Build the report for a run
+ * @param crawls the crawl state of every source
+ * @param history {sourceId: [found, found...]} this is updated with the run's results
+ * @param startTime when the run started
+ * @param options see verdict
+ * @returns {Object}
+ */
+function build(crawls, history, startTime, options) {
+    var now = new Date().getTime();
+
+    var sources = crawls.map(function(crawl) {
+        var stats = crawl.stats;
+        var id = sourceId(crawl.source);
+        var previous = history[id] || [];
+        var entry = {
+            id: id,
+            name: crawl.source.name,
+            url: crawl.source.url,
+            pages: stats.pages,
+            statuses: stats.statuses,
+            extracted: stats.extracted,
+            invalid: stats.invalid,
+            rejected: stats.rejected,
+            duplicate: stats.duplicate,
+            found: stats.extracted - stats.invalid - stats.duplicate,
+            duration: (stats.finishedAt || now) - stats.startedAt,
+            failure: crawl.failure || null
+        };
+
+        Object.assign(entry, verdict(entry, previous, options));
+        entry.history = history[id] = previous.concat(entry.found).slice(-HISTORY);
+        return entry;
+    });
+
+    return {
+        startedAt: new Date(startTime).toISOString(),
+        finishedAt: new Date(now).toISOString(),
+        duration: now - startTime,
+        found: sources.reduce(function(total, entry) {
+            return total + entry.found;
+        }, 0),
+        rejected: sources.reduce(function(rejected, entry) {
+            Object.keys(entry.rejected).forEach(function(reason) {
+                rejected[reason] = (rejected[reason] || 0) + entry.rejected[reason];
+            });
+            return rejected;
+        }, {}),
+        broken: sources.filter(function(entry) {
+            return entry.health === 'broken';
+        }).map(function(entry) {
+            return entry.id;
+        }),
+        sources: sources
+    };
+}
+
+/**
+ * Read the history back out of a previous report
+ * @param file
+ * @returns {Object}
+ */
+function loadHistory(file) {
+    var history = {};
+    if (!file || !fs.existsSync(file))
+        return history;
+
+    var previous = JSON.parse(fs.readFileSync(file, 'utf8'));
+    (previous.sources || []).forEach(function(entry) {
+        if (entry.id && Array.isArray(entry.history))
+            history[entry.id] = entry.history;
+    });
+    return history;
+}
+
+module.exports = {
+    sourceId: sourceId,
+    createStats: createStats,
+    median: median,
+    verdict: verdict,
+    build: build,
+    loadHistory: loadHistory
+};
@@ -0,0 +1,90 @@
+/**
+ * retry.js - Decides whether a failed request is worth retrying and how long to wait before doing so.
+ *
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried with exponential backoff and jitter,
+ * a Retry-After header on a 429 or 503 is honoured instead, up to the same maximum wait so one site asking us to
+ * come back tomorrow can't hold up the whole run. Anything else (403, 404..) won't get better
+ * by asking again, unless we can ask through a different upstream proxy.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+/**
+ * Why a request failed
+ * @param error
+ * @param response
+ * @returns {string|null} null if it didn't
+ */
+function reason(error, response) {
+    if (error)
+        return error.code || error.message || String(error);
+    if (!response || response.statusCode !== 200)
+        return 'HTTP ' + (response ? response.statusCode : 'no response');
+    return null;
+}
+
+/**
+ * @param error
+ * @param response
+ * @returns {boolean}
+ */
+function retryable(error, response) {
+    if (error)
+        return true;
+    var status = response.statusCode;
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Did the site block us? Worth retrying through a different upstream proxy even if not worth retrying directly
+ * @param response
+ * @returns {boolean}
+ */
+function blocked(response) {
+    return !!response && [403, 407, 429, 503].indexOf(response.statusCode) > -1;
+}
+
+/**
+ * Parse a Retry-After header, which is either seconds or an http date
+ * @param header
+ * @returns {number|null} milliseconds
+ */
+function retryAfter(header) {
+    if (header === undefined || header === null || header === '')
+        return null;
+    if (/^\s*\d+\s*$/.test(header))
+        return parseInt(header) * 1e3;
+    var date = new Date(header).getTime();
+    return isNaN(date) ? null : Math.max(0, date - new Date().getTime());
+}
+
+/**
+ * How long to wait before the next attempt
+ * @param attempt the retry about to be made, starting at 1
+ * @param base milliseconds to wait before the first retry
+ * @param max the most we'll back off to, Retry-After included
+ * @param response (optional) the failed response, for Retry-After
+ * @returns {number} milliseconds
+ */
+function delay(attempt, base, max, response) {
+    if (response && (response.statusCode === 429 || response.statusCode === 503)) {
+        var after = retryAfter(response.headers && response.headers['retry-after']);
+        if (after !== null)
+            return Math.min(max, after);
+    }
+
+    var backoff = Math.min(max, base * Math.pow(2, attempt - 1));
+    // equal jitter, so a bunch of sources failing at once don't all come back at once
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+module.exports = {
+    reason: reason,
+    retryable: retryable,
+    blocked: blocked,
+    retryAfter: retryAfter,
+    delay: delay
+};
@@ -0,0 +1,96 @@
+/**
+ * scheduler.js - A small task queue that limits how many requests run at once, both overall and per host,
+ * and optionally waits a delay between requests to the same host so we don't hammer any one site.
+ *
+ * Tasks are started in the order they were scheduled as soon as their host has a free slot.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+/**
+ * @param options {concurrency: 5, hostConcurrency: 1, hostDelay: 0 (ms)}
+ * @constructor
+ */
+function Scheduler(options) {
+    options = options || {};
+    this.concurrency = parseInt(options.concurrency) || 5;
+    this.hostConcurrency = parseInt(options.hostConcurrency) || 1;
+    this.hostDelay = parseInt(options.hostDelay) || 0;
+
+    this._queue = [];
+    this._active = 0;
+    this._hosts = {};
+    this._timer = null;
+}
+
+/**
+ * Queue a task, it'll be called with a done callback which must be called once the request has finished
+ * @param host
+ * @param task function(done)
+ */
+Scheduler.prototype.schedule = function(host, task) {
+    this._queue.push({host: String(host), task: task});
+    this._next();
+};
+
+/**
+ * Start as many queued tasks as the limits allow
+ * @private
+ */
+Scheduler.prototype._next = function() {
+    var _this = this;
+    var now = new Date().getTime();
+    var wait = Infinity;
+
+    for (var i = 0; i < this._queue.length && this._active < this.concurrency; i++) {
+        var job = this._queue[i];
+        var host = this._hosts[job.host] || (this._hosts[job.host] = {active: 0, lastStart: 0});
+
+        if (host.active >= this.hostConcurrency)
+            continue;
+
+        var readyAt = host.lastStart + this.hostDelay;
+        if (readyAt > now) {
+            wait = Math.min(wait, readyAt - now);
+            continue;
+        }
+
+        this._queue.splice(i--, 1);
+        this._run(job, host, now);
+    }
+
+    // something is waiting on a host delay, come back when it's up
+    if (wait !== Infinity) {
+        clearTimeout(this._timer);
+        this._timer = setTimeout(function() {
+            _this._timer = null;
+            _this._next();
+        }, wait);
+    }
+};
+
+/**
+ * @private
+ */
+Scheduler.prototype._run = function(job, host, now) {
+    var _this = this;
+    var finished = false;
+
+    this._active++;
+    host.active++;
+    host.lastStart = now;
+
+    job.task(function() {
+        if (finished)
+            return;
+        finished = true;
+        _this._active--;
+        host.active--;
+        _this._next();
+    });
+};
+
+module.exports = Scheduler;
@@ -0,0 +1,45 @@
+/**
+ * selectors.js - Extracts proxies from simple table sites using the css selectors given in a source definition,
+ * so a new list can be added with a few lines of config instead of an extractor:
+ *
+ *  selectors: {row: '#proxylisttable>tbody>tr', ip: 'td:nth-child(1)', port: 'td:nth-child(2)'}
+ *
+ * If port is left out the ip cell is expected to hold ip:port. The optional protocol, country and anonymity
+ * selectors fill in the rest of the record.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+module.exports = {
+    name: 'selectors',
+    parse: function($, data, fetch) {
+        var selectors = data.source.selectors;
+        var ips = [];
+
+        $(selectors.row).each(function (index) {
+            var a = $(this);
+
+            var ip = a.find(selectors.ip).text().trim();
+            var port;
+            if (selectors.port)
+                port = a.find(selectors.port).text().trim();
+            else
+                [ip, port] = ip.split(':');
+
+            // header rows and the like
+            if (!fetch.validateIpAddress(ip))
+                return;
+            var proxy = {ip: ip, port: port};
+            ['protocol', 'country', 'anonymity'].forEach(function(field) {
+                if (selectors[field])
+                    proxy[field] = a.find(selectors[field]).text().trim();
+            });
+            ips.push(proxy);
+        });
+
+        return ips;
+    }
+};
@@ -0,0 +1,201 @@
+/**
+ * server.js - Serves the fetched pool over http so other services don't have to read the output files.
+ *
+ *  GET /proxies   every proxy, filtered by ?protocol=socks5,https&country=US&port=8080&source=us-proxy.org
+ *  GET /proxy     a single proxy, ?strategy=random (default) or roundrobin, takes the same filters
+ *  GET /stats     pool size, breakdowns and run history
+ *  GET /metrics   request, error and proxy counters in the Prometheus text format, see lib/metrics.js
+ *
+ * Everything answers in JSON by default, or plain text with ?format=txt or an Accept: text/plain header.
+ * The pool is swapped in one go whenever fetch emits 'complete', so a request never sees half a refresh.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const http = require('http');
+const url = require('url');
+
+const record = require('./record');
+
+/**
+ * @param fetch the Fetch instance to serve the proxies of
+ * @param proxies (optional) the initial pool, e.g. from the database
+ * @constructor
+ */
+function Server(fetch, proxies) {
+    var _this = this;
+
+    this.fetch = fetch;
+    this.proxies = proxies || [];
+    this.updatedAt = this.proxies.length ? new Date() : null;
+    this.startedAt = new Date();
+    this.runs = [];
+    this._roundRobin = 0;
+    this._server = http.createServer(function(req, res) {
+        _this.handle(req, res);
+    });
+
+    fetch.on('complete', function(outputFile, total, proxies) {
+        _this.refresh(proxies);
+    });
+}
+
+/**
+ * Replace the pool and record the run that produced it
+ * @param proxies
+ */
+Server.prototype.refresh = function(proxies) {
+    var now = new Date();
+
+    this.proxies = proxies.slice();
+    this.updatedAt = now;
+    this.runs.push({
+        finishedAt: now.toISOString(),
+        duration: now.getTime() - (this.fetch._runStartTime || this.fetch._startTime),
+        total: proxies.length
+    });
+    // we only need the recent history
+    if (this.runs.length > 50)
+        this.runs.shift();
+};
+
+/**
+ * @param port
+ * @param host (optional)
+ * @param callback (optional)
+ */
+Server.prototype.listen = function(port, host, callback) {
+    this._server.listen(port, host, callback);
+    return this;
+};
+
+Server.prototype.close = function(callback) {
+    this._server.close(callback);
+};
+
+/**
+ * @returns {number} the port we're listening on
+ */
+Server.prototype.port = function() {
+    return this._server.address().port;
+};
+
+/**
+ * Filter the pool using the query string
+ * @param query
+ * @returns {Array}
+ */
+Server.prototype.filter = function(query) {
+    var list = function(value) {
+        return value ? String(value).toLowerCase().split(',').map(function(item) {
+            return item.trim();
+        }) : null;
+    };
+    var protocols = list(query.protocol);
+    var countries = list(query.country);
+    var ports = list(query.port);
+    var sources = list(query.source);
+
+    return this.proxies.filter(function(proxy) {
+        // everything used to be assumed to be an http proxy, so that's what unknown means
+        if (protocols && protocols.indexOf(String(proxy.protocol || 'http')) < 0)
+            return false;
+        if (countries && countries.indexOf(String(proxy.country).toLowerCase()) < 0)
+            return false;
+        if (ports && ports.indexOf(String(proxy.port)) < 0)
+            return false;
+        if (sources) {
+            var listed = [].concat(proxy.sources || [], proxy.source || []).join(' ').toLowerCase();
+            var matched = sources.some(function(source) {
+                return listed.indexOf(source) > -1;
+            });
+            if (!matched)
+                return false;
+        }
+        return true;
+    });
+};
+
+/**
+ * Work out the stats for /stats
+ * @returns {Object}
+ */
+Server.prototype.stats = function() {
+    var count = function(field) {
+        var counts = {};
+        this.proxies.forEach(function(proxy) {
+            var value = String(proxy[field] || 'unknown');
+            counts[value] = (counts[value] || 0) + 1;
+        });
+        return counts;
+    }.bind(this);
+
+    return {
+        total: this.proxies.length,
+        updatedAt: this.updatedAt ? this.updatedAt.toISOString() : null,
+        startedAt: this.startedAt.toISOString(),
+        uptime: new Date().getTime() - this.startedAt.getTime(),
+        runs: this.runs.length,
+        lastRun: this.runs.length ? this.runs[this.runs.length - 1] : null,
+        protocols: count('protocol'),
+        countries: count('country'),
+        anonymity: count('anonymity')
+    };
+};
+
+/**
+ * Route a request
+ * @param req
+ * @param res
+ */
+Server.prototype.handle = function(req, res) {
+    var parsed = url.parse(req.url, true);
+    var query = parsed.query;
+    var text = query.format ? query.format === 'txt' :
+        /text\/plain/.test(req.headers.accept || '') && !/json/.test(req.headers.accept || '');
+    var send = function(status, json, txt) {
+        res.writeHead(status, {'Content-Type': text ? 'text/plain; charset=utf-8' : 'application/json'});
+        res.end(text ? txt + '\n' : JSON.stringify(json, null, 2));
+    };
+
+    if (req.method !== 'GET') {
+        return send(405, {error: 'Method not allowed'}, 'Method not allowed');
+    }
+
+    switch (parsed.pathname.replace(/\/+$/, '')) {
+        case '/proxies':
+            var proxies = this.filter(query);
+            return send(200, {total: proxies.length, proxies: proxies}, proxies.map(record.toString).join('\n'));
+
+        case '/proxy':
+            var matches = this.filter(query);
+            if (!matches.length) {
+                return send(404, {error: 'No proxies match'}, 'No proxies match');
+            }
+            var proxy;
+            if (query.strategy === 'roundrobin' || query.strategy === 'round-robin')
+                proxy = matches[this._roundRobin++ % matches.length];
+            else
+                proxy = matches[Math.floor(Math.random() * matches.length)];
+            return send(200, proxy, record.toString(proxy));
+
+        case '/stats':
+            var stats = this.stats();
+            return send(200, stats, Object.keys(stats).map(function(key) {
+                var value = stats[key];
+                return key + ': ' + (value && typeof value === 'object' ? JSON.stringify(value) : value);
+            }).join('\n'));
+
+        case '/metrics':
+            res.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'});
+            return res.end(this.fetch.metrics.render());
+
+        default:
+            return send(404, {error: 'Not found'}, 'Not found');
+    }
+};
+
+module.exports = Server;
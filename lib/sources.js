@@ -0,0 +1,346 @@
+/**
+ * sources.js - Turns source definitions into requests.
+ *
+ * A source is the normalised form of everything we need to crawl one proxy list:
+ *
+ *  {
+ *      name: 'incloak',                                // optional, defaults to the hostname
+ *      url: 'http://incloak.com/proxy-list/?start={page}',
+ *      method: 'GET',                                  // or POST
+ *      form: {start: '{page}'},                        // POST body, defaults to the url's query string
+ *      headers: {'X-Requested-With': 'XMLHttpRequest'},
+ *      pagination: {start: 0, step: 64, max: null, pad: 0},  // false for a single page
+ *      // pagination can also stop after maxPages pages, or follow a link instead of counting pages:
+ *      // pagination: {next: 'a.next-page', maxPages: 20}
+ *      selectors: {row: 'table tr', ip: 'td:nth-child(1)', port: 'td:nth-child(2)'}, // optional
+ *      extractor: 'incloak'                            // optional, force an extractor by name
+ *  }
+ *
+ * The old url strings ('POST:http://...{page:1/14}') are parsed into the same thing, so -u and
+ * --config files can be mixed. {page} can be used in the url, form values and header values.
+ *
+ * Any other {name} is a template variable, each source is expanded into one per combination of their values:
+ *
+ *  http://gatherproxy.com/proxylist/country/?Country={country:china|brazil}&Type={type}
+ *
+ * with vars {type: ['elite', 'anonymous']} is four sources. Values can be given inline as above, in the source's
+ * vars, the config file's vars or with --var, in that order of precedence. They're url encoded in the url.
+ *
+ * pagination.pages is a css selector for the page links, the highest number among them is taken as the page
+ * count once the first page has loaded. Extractors can do the same with a pages($, data) function.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+
+/**
+ * Parse the {page...} token found in legacy urls:
+ *  {page}       start on page 1 and increment by 1
+ *  {page:2}     start on page 2, {page:01} will zero pad the page to 2 digits
+ *  {page:0-64}  start on page 0 and increment by 64
+ *  {page:1/14}  start on page 1 and stop after page 14
+ * @param params the text after the colon, e.g. '0-64'
+ * @returns {{start: number, step: number, max: (number|null), pad: number}}
+ */
+function parsePageToken(params) {
+    var pagination = {start: 1, step: 1, max: null, pad: 0};
+    var start = '1';
+
+    if (params) {
+        if (params.indexOf('-') > -1) {
+            var step;
+            [start, step] = params.split('-');
+            pagination.step = parseInt(step);
+        }
+        else if (params.indexOf('/') > -1) {
+            var max;
+            [start, max] = params.split('/');
+            pagination.max = parseInt(max);
+        }
+        else {
+            start = params;
+        }
+    }
+    if (start[0] == '0' && start.length > 1)
+        pagination.pad = start.length;
+    pagination.start = parseInt(start);
+
+    return pagination;
+}
+
+// {name} or {name:a|b|c}, anything but {page}
+const VARIABLE = /{(?!page[:}])([a-zA-Z_]\w*)(?::([^}]*))?}/g;
+
+/**
+ * Turn vars into lists of values, 'a|b' strings are split and 'name=a|b' strings (from --var) are parsed
+ * @param vars an object of {name: values} or a list of 'name=a|b' strings
+ * @returns {Object} {name: ['a', 'b']}
+ */
+function parseVars(vars) {
+    var parsed = {};
+    if (!vars)
+        return parsed;
+
+    if (Array.isArray(vars) || typeof vars === 'string') {
+        [].concat(vars).forEach(function(str) {
+            var index = String(str).indexOf('=');
+            if (index < 1)
+                throw new Error('Invalid variable "' + str + '", expected name=value or name=a|b|c');
+            parsed[str.substr(0, index).trim()] = str.substr(index + 1).split('|');
+        });
+        return parsed;
+    }
+
+    Object.keys(vars).forEach(function(name) {
+        parsed[name] = Array.isArray(vars[name]) ? vars[name].map(String) : String(vars[name]).split('|');
+    });
+    return parsed;
+}
+
+/**
+ * Expand the template variables of a source into one source per combination of their values
+ * @param def a source definition or legacy url string
+ * @param vars (optional) values for variables not given inline, see parseVars
+ * @returns {Array} the definitions, just [def] if it has no variables
+ */
+function expand(def, vars) {
+    var isString = typeof def === 'string';
+    var sourceUrl = isString ? def : (def && def.url);
+    var values = {};
+    var names = [];
+
+    vars = Object.assign({}, parseVars(vars), parseVars(!isString && def && def.vars));
+
+    var find = function(str) {
+        String(str).replace(VARIABLE, function(token, name, inline) {
+            if (names.indexOf(name) < 0)
+                names.push(name);
+            if (inline !== undefined)
+                values[name] = inline.split('|');
+            return token;
+        });
+    };
+    var strings = function(obj) {
+        return obj ? Object.keys(obj).map(function(key) {
+            return obj[key];
+        }) : [];
+    };
+
+    find(sourceUrl || '');
+    if (!isString && def) {
+        strings(def.form).concat(strings(def.headers)).forEach(find);
+    }
+    if (!names.length)
+        return [def];
+
+    // the product of every variable's values
+    var combinations = [{}];
+    names.forEach(function(name) {
+        var list = values[name] || vars[name];
+        if (!list || !list.length)
+            throw new Error('Invalid source ' + sourceUrl + ': no values for {' + name + '}');
+
+        combinations = [].concat.apply([], combinations.map(function(combination) {
+            return list.map(function(value) {
+                var next = Object.assign({}, combination);
+                next[name] = value.trim();
+                return next;
+            });
+        }));
+    });
+
+    return combinations.map(function(combination) {
+        var fill = function(str, encode) {
+            return String(str).replace(VARIABLE, function(token, name) {
+                return encode ? encodeURIComponent(combination[name]) : combination[name];
+            });
+        };
+        var fillAll = function(obj) {
+            if (!obj)
+                return obj;
+            var ret = {};
+            Object.keys(obj).forEach(function(key) {
+                ret[key] = fill(obj[key]);
+            });
+            return ret;
+        };
+
+        if (isString)
+            return fill(def, true);
+        return Object.assign({}, def, {
+            url: fill(def.url, true),
+            form: fillAll(def.form),
+            headers: fillAll(def.headers),
+            vars: undefined
+        });
+    });
+}
+
+/**
+ * Expand every source, see expand
+ * @param defs
+ * @param vars (optional)
+ * @returns {Array}
+ */
+function expandAll(defs, vars) {
+    return [].concat.apply([], defs.map(function(def) {
+        return expand(def, vars);
+    }));
+}
+
+/**
+ * Convert a legacy url string into a source
+ * @param str e.g. 'POST:http://gatherproxy.com/proxylist/country/?Country=china&PageIdx:{page:1/24}'
+ * @returns {Object}
+ */
+function parseUrl(str) {
+    return parse({url: String(str).trim()});
+}
+
+/**
+ * Normalise a source definition, strings are treated as legacy urls
+ * @param def
+ * @returns {Object}
+ */
+function parse(def) {
+    if (typeof def === 'string')
+        return parseUrl(def);
+
+    if (!def || typeof def.url !== 'string' || !def.url) {
+        throw new Error('Invalid source ' + JSON.stringify(def) + ': missing url');
+    }
+
+    var sourceUrl = def.url;
+    var method = def.method || 'GET';
+    if (sourceUrl.substr(0,5) === 'POST:') {
+        sourceUrl = sourceUrl.substr(5, sourceUrl.length);
+        method = 'POST';
+    }
+
+    var source = {
+        name: def.name || url.parse(sourceUrl).hostname,
+        url: sourceUrl,
+        method: String(method).toUpperCase(),
+        form: def.form || null,
+        headers: def.headers || {},
+        pagination: false,
+        selectors: def.selectors || null,
+        extractor: def.extractor || null
+    };
+
+    if (sourceUrl.search(VARIABLE) > -1) {
+        throw new Error('Invalid source ' + sourceUrl + ': template variables need expanding first, see expand()');
+    }
+
+    if (['GET', 'POST'].indexOf(source.method) < 0) {
+        throw new Error('Invalid source ' + source.url + ': unsupported method ' + source.method);
+    }
+    if (source.selectors && !(source.selectors.row && source.selectors.ip)) {
+        throw new Error('Invalid source ' + source.url + ': selectors need at least a row and ip');
+    }
+    if (def.pagination && def.pagination.maxPages !== undefined && !(parseInt(def.pagination.maxPages) > 0)) {
+        throw new Error('Invalid source ' + source.url + ': maxPages must be a number above 0');
+    }
+
+    // an inline {page:...} token wins over nothing, an explicit pagination object wins over both
+    var parts = new RegExp(/{page(?::([^}]*))?}/).exec(source.url);
+    if (parts) {
+        source.url = source.url.replace(parts[0], '{page}');
+        source.pagination = parsePageToken(parts[1]);
+    }
+    if (def.pagination === false) {
+        source.pagination = false;
+    }
+    else if (def.pagination) {
+        source.pagination = Object.assign({start: 1, step: 1, max: null, pad: 0}, source.pagination, def.pagination);
+    }
+
+    return source;
+}
+
+/**
+ * Load sources from a JSON or YAML config file. The file can either be a list of sources
+ * or an object with a sources key, and optionally vars for their template variables.
+ * @param file
+ * @param vars (optional) variables that override the config file's, e.g. from --var
+ * @returns {Array}
+ */
+function load(file, vars) {
+    var contents = fs.readFileSync(file, 'utf8');
+    var config;
+
+    if (['.yml', '.yaml'].indexOf(path.extname(file).toLowerCase()) > -1)
+        config = require('js-yaml').load(contents);
+    else
+        config = JSON.parse(contents);
+
+    var defs = Array.isArray(config) ? config : (config && config.sources);
+    if (!Array.isArray(defs)) {
+        throw new Error('Invalid config ' + file + ': expected a list of sources');
+    }
+
+    vars = Object.assign(parseVars(config && config.vars), parseVars(vars));
+    return expandAll(defs, vars).map(parse);
+}
+
+/**
+ * Zero pad the page number if the source asks for it
+ * @param page
+ * @param pad
+ * @returns {string}
+ */
+function padPage(page, pad) {
+    var str = String(page);
+    while (str.length < pad)
+        str = '0' + str;
+    return str;
+}
+
+/**
+ * Build the request for a page of a source
+ * @param source
+ * @param page (optional) ignored for single page sources
+ * @returns {{method: string, url: string, headers: Object, form: (Object|undefined)}}
+ */
+function buildRequest(source, page) {
+    var pageStr = source.pagination ? padPage(page, source.pagination.pad) : '';
+    var fill = function(str) {
+        return String(str).replace(/{page}/g, pageStr);
+    };
+    var fillAll = function(obj) {
+        var ret = {};
+        Object.keys(obj).forEach(function(key) {
+            ret[key] = fill(obj[key]);
+        });
+        return ret;
+    };
+
+    var req = {
+        method: source.method,
+        url: fill(source.url),
+        headers: fillAll(source.headers)
+    };
+
+    if (source.form)
+        req.form = fillAll(source.form);
+    else if (source.method === 'POST')  // post the get params
+        req.form = url.parse(req.url, true).query;
+
+    return req;
+}
+
+module.exports = {
+    parse: parse,
+    parseUrl: parseUrl,
+    parseVars: parseVars,
+    expand: expand,
+    expandAll: expandAll,
+    load: load,
+    buildRequest: buildRequest
+};
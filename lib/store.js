@@ -0,0 +1,160 @@
+/**
+ * store.js - A persistent proxy database kept as a JSON-lines file, one proxy per line. For every proxy it
+ * remembers when it was first and last seen, how many runs have seen it and which sources listed it:
+ *
+ *  {"ip":"1.2.3.4","port":8080,"protocol":"http",...,"firstSeen":"2016-11-01T03:00:00.000Z",
+ *   "lastSeen":"2016-11-10T03:00:00.000Z","timesSeen":9,"sources":["www.us-proxy.org","gatherproxy.com"]}
+ *
+ * Proxies no source has listed for a while can be pruned, so a --retry loop keeps one self-cleaning pool.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const fs = require('fs');
+const url = require('url');
+
+const record = require('./record');
+const files = require('./files');
+
+const UNITS = {s: 1e3, m: 60e3, h: 3600e3, d: 86400e3, w: 604800e3};
+
+/**
+ * @param file path to the database, it's created on the first save
+ * @constructor
+ */
+function Store(file) {
+    this.file = file;
+    this.entries = {};
+}
+
+/**
+ * Convert a duration like 30m, 12h, 7d or 2w into milliseconds. Plain numbers are minutes like --retry
+ * @param str
+ * @returns {number}
+ */
+Store.parseDuration = function(str) {
+    var parts = /^\s*(\d+(?:\.\d+)?)\s*([smhdw]?)\s*$/i.exec(String(str));
+    if (!parts) {
+        throw new Error('Invalid duration ' + str + ', expected something like 30m, 12h or 7d');
+    }
+    return Math.round(parseFloat(parts[1]) * UNITS[(parts[2] || 'm').toLowerCase()]);
+};
+
+/**
+ * Read the database from disk, a missing file is an empty database
+ * @returns {Store}
+ */
+Store.prototype.load = function() {
+    var _this = this;
+    this.entries = {};
+
+    if (!fs.existsSync(this.file))
+        return this;
+
+    fs.readFileSync(this.file, 'utf8').split('\n').forEach(function(line, index) {
+        if (!line.trim())
+            return;
+        try {
+            var entry = record.from(JSON.parse(line));
+            _this.entries[record.key(entry)] = entry;
+        }
+        catch (e) {
+            throw new Error('Invalid database ' + _this.file + ' on line ' + (index + 1) + ': ' + e.message);
+        }
+    });
+    return this;
+};
+
+/**
+ * Record a run's proxies. Each proxy is counted once per update however many sources listed it
+ * @param records
+ * @param now (optional) Date
+ * @returns {{added: number, updated: number}}
+ */
+Store.prototype.update = function(records, now) {
+    var _this = this;
+    var stamp = (now || new Date()).toISOString();
+    var counts = {added: 0, updated: 0};
+    var touched = {};
+
+    records.forEach(function(proxy) {
+        var key = record.key(proxy);
+        var entry = _this.entries[key];
+        var sourceName = proxy.source ? (url.parse(proxy.source).hostname || proxy.source) : null;
+
+        if (!entry) {
+            entry = _this.entries[key] = Object.assign({}, proxy, {
+                firstSeen: stamp,
+                lastSeen: stamp,
+                timesSeen: 0,
+                sources: []
+            });
+            counts.added++;
+        }
+        else if (!touched[key]) {
+            counts.updated++;
+        }
+
+        // fresh information about the proxy beats what we had
+        record.FIELDS.forEach(function(field) {
+            if (proxy[field] !== null && proxy[field] !== undefined)
+                entry[field] = proxy[field];
+        });
+        entry.lastSeen = stamp;
+        if (!touched[key]) {
+            entry.timesSeen++;
+            touched[key] = true;
+        }
+        if (sourceName && entry.sources.indexOf(sourceName) < 0)
+            entry.sources.push(sourceName);
+    });
+
+    return counts;
+};
+
+/**
+ * Drop proxies that haven't been seen for maxAge milliseconds
+ * @param maxAge
+ * @param now (optional) Date
+ * @returns {Array} the pruned entries
+ */
+Store.prototype.prune = function(maxAge, now) {
+    var _this = this;
+    var cutoff = (now || new Date()).getTime() - maxAge;
+    var pruned = [];
+
+    Object.keys(this.entries).forEach(function(key) {
+        if (new Date(_this.entries[key].lastSeen).getTime() < cutoff) {
+            pruned.push(_this.entries[key]);
+            delete _this.entries[key];
+        }
+    });
+    return pruned;
+};
+
+/**
+ * @returns {Array} every proxy in the database, most recently seen first
+ */
+Store.prototype.records = function() {
+    var _this = this;
+    return Object.keys(this.entries).map(function(key) {
+        return _this.entries[key];
+    }).sort(function(a, b) {
+        return a.lastSeen < b.lastSeen ? 1 : (a.lastSeen > b.lastSeen ? -1 : 0);
+    });
+};
+
+/**
+ * Write the database to disk, via a temp file so a crash never leaves half a database behind
+ */
+Store.prototype.save = function() {
+    var lines = this.records().map(function(entry) {
+        return JSON.stringify(entry) + '\n';
+    }).join('');
+    files.writeAtomic(this.file, lines);
+};
+
+module.exports = Store;
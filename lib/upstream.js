@@ -0,0 +1,118 @@
+/**
+ * upstream.js - Picks the upstream proxy each source request is sent through, so sites that rate limit or block
+ * our ip can still be fetched.
+ *
+ * Upstreams are either a fixed list (--via http://1.2.3.4:8080,socks5://5.6.7.8:1080) or the pool of proxies
+ * earlier runs collected (--via-pool). Requests rotate through them, and a pool proxy that fails is dropped
+ * until the pool is refreshed. With an empty pool requests go direct.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const SocksProxyAgent = require('socks-proxy-agent').SocksProxyAgent;
+
+const record = require('./record');
+
+/**
+ * Turn ip:port or a record into the url to connect to the proxy with, http if no scheme is given. Sites that list
+ * https proxies mean http proxies that can CONNECT to https sites, so records of them are http:// too
+ * @param proxy
+ * @returns {string}
+ */
+function toUrl(proxy) {
+    if (proxy && typeof proxy === 'object')
+        return (proxy.protocol === 'https' ? 'http' : (proxy.protocol || 'http')) + '://' + record.key(proxy);
+    proxy = String(proxy).trim();
+    return /^[a-z0-9]+:\/\//i.test(proxy) ? proxy : 'http://' + proxy;
+}
+
+/**
+ * @param options {via: array of proxies, pool: true to rotate through the fetched pool}
+ * @constructor
+ */
+function Upstream(options) {
+    options = options || {};
+    this.fixed = [].concat(options.via || []).map(toUrl);
+    this.usePool = !!options.pool;
+    this.pool = [];
+    this._failed = {};
+    this._index = 0;
+}
+
+/**
+ * @returns {boolean} whether requests should go through an upstream at all
+ */
+Upstream.prototype.enabled = function() {
+    return this.fixed.length > 0 || this.usePool;
+};
+
+/**
+ * Replace the pool with freshly fetched proxies, which are shuffled so we don't hit the same ones first every time
+ * @param proxies records or ip:port strings
+ */
+Upstream.prototype.setPool = function(proxies) {
+    if (!this.usePool)
+        return;
+
+    var pool = proxies.map(toUrl);
+    for (var i = pool.length - 1; i > 0; i--) {
+        var j = Math.floor(Math.random() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    this.pool = pool;
+    this._failed = {};
+    this._index = 0;
+};
+
+/**
+ * @returns {Array} the upstreams still in rotation
+ */
+Upstream.prototype.available = function() {
+    var _this = this;
+    if (this.fixed.length)
+        return this.fixed;
+    return this.pool.filter(function(proxy) {
+        return !_this._failed[proxy];
+    });
+};
+
+/**
+ * The next upstream in the rotation
+ * @returns {string|null} null to go direct
+ */
+Upstream.prototype.next = function() {
+    var available = this.available();
+    if (!available.length)
+        return null;
+    return available[this._index++ % available.length];
+};
+
+/**
+ * An upstream failed or got blocked, pool proxies are taken out of the rotation. The fixed ones are all
+ * we've got so they stay in
+ * @param proxy
+ */
+Upstream.prototype.fail = function(proxy) {
+    if (proxy && this.fixed.indexOf(proxy) < 0)
+        this._failed[proxy] = true;
+};
+
+/**
+ * The request options needed to send a request through an upstream
+ * @param proxy a proxy url
+ * @returns {Object}
+ */
+Upstream.requestOptions = function(proxy) {
+    if (!proxy)
+        return {};
+    if (/^socks/i.test(proxy))
+        return {agent: new SocksProxyAgent(proxy)};
+    return {proxy: proxy};
+};
+
+Upstream.toUrl = toUrl;
+
+module.exports = Upstream;
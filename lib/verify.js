@@ -0,0 +1,212 @@
+/**
+ * verify.js - Checks proxies actually work by requesting a judge url through each of them.
+ *
+ * A judge is any page that echoes back the request headers it received, either as JSON
+ * ({"ip": "1.2.3.4", "headers": {...}} or just the headers object) or as text lines like azenv.net's
+ * "HTTP_X_FORWARDED_FOR = 1.2.3.4". Based on what the judge saw each proxy is classed as:
+ *
+ *  - transparent: our real ip was passed on to the judge
+ *  - anonymous:   our ip is hidden but the proxy announces itself (Via, X-Forwarded-For etc)
+ *  - elite:       the judge can't tell a proxy was used
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
+
+const request = require('request');
+
+const Scheduler = require('./scheduler');
+const Upstream = require('./upstream');
+
+// headers a proxy adds that give it away
+const PROXY_HEADERS = [
+    'via', 'forwarded', 'forwarded-for', 'x-forwarded', 'x-forwarded-for', 'x-forwarded-host', 'x-real-ip',
+    'client-ip', 'x-client-ip', 'cluster-client-ip', 'x-originating-ip', 'x-proxy-id', 'proxy-connection',
+    'proxy-agent', 'x-bluecoat-via'
+];
+// things judges echo that aren't set by the proxy, the host can legitimately contain an ip
+const IGNORED_FIELDS = ['ip', 'origin', 'remote-addr', 'remote-port', 'remote-host', 'request-time', 'host'];
+
+/**
+ * @param options {judgeUrl, concurrency: 20, timeout: 10000 (ms), realIp}
+ * @constructor
+ */
+function Verifier(options) {
+    options = options || {};
+    this.judgeUrl = options.judgeUrl || 'http://azenv.net/';
+    this.concurrency = parseInt(options.concurrency) || 20;
+    this.timeout = parseInt(options.timeout) || 10e3;
+    // our own ip, if it's not given we ask the judge
+    this.realIp = options.realIp || null;
+
+    EventEmitter.call(this);
+}
+
+util.inherits(Verifier, EventEmitter);
+
+/**
+ * Turn a judge response into {ip, headers} with lowercase, dash separated header names
+ * @param body
+ * @returns {{ip: (string|null), headers: Object}|null}
+ */
+Verifier.parseJudge = function(body) {
+    var fields = {};
+    var json;
+
+    try {
+        json = JSON.parse(body);
+    }
+    catch (e) {}
+
+    if (json && typeof json === 'object') {
+        Object.assign(fields, json.headers || json);
+        ['ip', 'origin', 'remote_addr', 'REMOTE_ADDR'].forEach(function(key) {
+            if (json[key])
+                fields.ip = json[key];
+        });
+    }
+    else {
+        String(body || '').replace(/<[^>]+>/g, '\n').split(/\r?\n/).forEach(function(line) {
+            var parts = /^\s*([A-Za-z0-9_-]+)\s*[=:]\s*(.*?)\s*$/.exec(line);
+            if (parts)
+                fields[parts[1]] = parts[2];
+        });
+    }
+
+    var headers = {};
+    Object.keys(fields).forEach(function(key) {
+        var name = key.toLowerCase().replace(/_/g, '-').replace(/^http-/, '');
+        headers[name] = String(fields[key]);
+    });
+
+    if (!Object.keys(headers).length)
+        return null;
+
+    return {
+        ip: headers.ip || headers['remote-addr'] || null,
+        headers: headers
+    };
+};
+
+/**
+ * Work out the anonymity level from what the judge saw
+ * @param judged result of parseJudge
+ * @param realIp
+ * @returns {string} transparent, anonymous or elite
+ */
+Verifier.classify = function(judged, realIp) {
+    var names = Object.keys(judged.headers).filter(function(name) {
+        return IGNORED_FIELDS.indexOf(name) < 0;
+    });
+
+    var leaked = realIp && names.some(function(name) {
+        return judged.headers[name].indexOf(realIp) > -1;
+    });
+    if (leaked)
+        return 'transparent';
+
+    var announced = names.some(function(name) {
+        return PROXY_HEADERS.indexOf(name) > -1;
+    });
+    return announced ? 'anonymous' : 'elite';
+};
+
+/**
+ * Ask the judge directly what our ip is
+ * @param callback function(err, ip)
+ */
+Verifier.prototype.detectIp = function(callback) {
+    var _this = this;
+
+    if (this.realIp)
+        return callback(null, this.realIp);
+
+    request({url: this.judgeUrl, timeout: this.timeout}, function(error, response, body) {
+        var judged = !error && response.statusCode === 200 ? Verifier.parseJudge(body) : null;
+
+        if (!judged || !judged.ip)
+            return callback(error || new Error('Unable to get our ip from the judge ' + _this.judgeUrl));
+
+        _this.realIp = judged.ip.replace(/^::ffff:/, '');
+        callback(null, _this.realIp);
+    });
+};
+
+/**
+ * Check a single proxy
+ * @param proxy ip:port or a proxy url like socks5://1.2.3.4:1080
+ * @param callback function(result) result is {proxy, alive, latency (ms), anonymity, error}
+ */
+Verifier.prototype.check = function(proxy, callback) {
+    var _this = this;
+    var startTime = new Date().getTime();
+
+    request(Object.assign({
+        url: this.judgeUrl,
+        timeout: this.timeout,
+        headers: {'Cache-Control': 'no-cache'}
+    }, Upstream.requestOptions(Upstream.toUrl(proxy))), function(error, response, body) {
+        var result = {proxy: proxy, alive: false, latency: new Date().getTime() - startTime, anonymity: null,
+            error: null};
+
+        if (error) {
+            result.error = error.code || error.message;
+        }
+        else if (response.statusCode !== 200) {
+            result.error = 'HTTP ' + response.statusCode;
+        }
+        else {
+            var judged = Verifier.parseJudge(body);
+            if (!judged) {
+                result.error = 'Unexpected response from the judge';
+            }
+            else {
+                result.alive = true;
+                result.anonymity = Verifier.classify(judged, _this.realIp);
+            }
+        }
+
+        callback(result);
+    });
+};
+
+/**
+ * Verify a list of proxies, at most concurrency at once. Emits 'result' as each proxy is checked.
+ * @param proxies array of ip:port or proxy urls
+ * @param callback function(err, results)
+ */
+Verifier.prototype.verify = function(proxies, callback) {
+    var _this = this;
+
+    this.detectIp(function(err) {
+        if (err)
+            return callback(err);
+
+        var results = [];
+        var remaining = proxies.length;
+        var scheduler = new Scheduler({concurrency: _this.concurrency});
+
+        if (!remaining)
+            return callback(null, results);
+
+        proxies.forEach(function(proxy, index) {
+            scheduler.schedule(proxy, function(done) {
+                _this.check(proxy, function(result) {
+                    done();
+                    results[index] = result;
+                    _this.emit('result', result);
+
+                    if (--remaining === 0)
+                        callback(null, results);
+                });
+            });
+        });
+    });
+};
+
+module.exports = Verifier;
@@ -0,0 +1,43 @@
+/**
+ * worker.js - What each --workers process runs, see lib/workers.js. It creates a Fetch from the options the primary
+ * forked it with, crawls the sources it's sent one at a time and sends back what each gave up:
+ *
+ *  primary -> worker   {type: 'crawl', source: {...}, pool: ['http://1.2.3.4:8080', ...] or null, wait: ms}
+ *  worker -> primary   {type: 'ready'}
+ *                      {type: 'result', result: {proxies: [...], stats: {...}, failure: {...} or null, rejected: {...}}}
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const Fetch = require('../fetch');
+
+var fetch = new Fetch(JSON.parse(process.env.FETCH_WORKER_OPTIONS || '{}'));
+
+fetch.watchPages();
+fetch.on('drain', function() {
+    var crawl = fetch._crawls[0];
+    process.send({type: 'result', result: {
+        proxies: fetch._proxies,
+        stats: crawl.stats,
+        failure: crawl.failure || null,
+        rejected: fetch._rejected
+    }});
+});
+
+process.on('message', function(message) {
+    if (message.type !== 'crawl')
+        return;
+
+    fetch.sources = [message.source];
+    if (message.pool)
+        fetch._upstream.setPool(message.pool);
+    // another worker was on this host last, give it the hostDelay it would have waited
+    setTimeout(function() {
+        fetch.crawl();
+    }, message.wait || 0);
+});
+
+process.send({type: 'ready'});
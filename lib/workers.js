@@ -0,0 +1,257 @@
+/**
+ * workers.js - Crawls the sources in worker processes for --workers. Parsing happens on whichever process fetched
+ * the page and cheerio (and the hidemyass style decoding in particular) can keep a single process busy on big pages.
+ *
+ * The primary hands each worker one source at a time. The worker fetches every page of it, extracts the proxies and
+ * sends them back with the source's stats, see lib/worker.js, then gets the next one. Everything else (dedupe,
+ * filtering, verifying and saving) stays on the primary. Workers are forked for each run and leave once there's
+ * nothing left for them to do.
+ *
+ * Each worker has its own scheduler so the per host limits are kept here: a source fetches its pages one at a time,
+ * so at most hostConcurrency sources of the same host are handed out at once. The worker that just finished one gets
+ * the host's next source, and any other worker is told to wait out hostDelay before starting on it.
+ *
+ * A worker that dies part way through a source has it handed to another, up to MAX_CRASHES times before we give up
+ * on the source.
+ *
+ * (c) jthatch http://github.com/jthatch
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const path = require('path');
+const url = require('url');
+const util = require('util');
+const cluster = require('cluster');
+const EventEmitter = require('events').EventEmitter;
+
+const WORKER = path.join(__dirname, 'worker.js');
+const MAX_CRASHES = 3;
+
+/**
+ * @param size the most workers to run at once
+ * @param options the options each worker creates its Fetch with, they have to survive JSON.
+ *  hostConcurrency and hostDelay are also kept across the workers
+ * @constructor
+ */
+function Workers(size, options) {
+    this.size = size;
+    this.options = options || {};
+    this.hostConcurrency = parseInt(this.options.hostConcurrency) || 1;
+    this.hostDelay = parseInt(this.options.hostDelay) || 0;
+    // {id: {worker, job, ready, host}} host is the one its last source was on
+    this._workers = {};
+    this._queue = [];
+    // {host: sources being crawled}, {host: when its last source finished}
+    this._hosts = {};
+    this._finished = {};
+    this._pending = 0;
+    this._failedStarts = 0;
+    this._stopped = false;
+
+    EventEmitter.call(this);
+}
+
+util.inherits(Workers, EventEmitter);
+
+/**
+ * Crawl each job's source, a job is {index, source, pool} with pool the upstream proxies to use if any.
+ * The callback is called once for each job, with an error if its source kept crashing the workers
+ * @param jobs
+ * @param callback function(err, job, result) result is {proxies, stats, failure, rejected}
+ */
+Workers.prototype.run = function(jobs, callback) {
+    this._queue = jobs.map(function(job) {
+        return Object.assign(job, {host: String(url.parse(job.source.url).hostname)});
+    });
+    this._pending = jobs.length;
+    this._callback = callback;
+    this._stopped = false;
+    this.dispatch();
+};
+
+/**
+ * How many of the queued jobs could start now without going over hostConcurrency
+ * @returns {number}
+ */
+Workers.prototype.startable = function() {
+    var _this = this;
+    var slots = {};
+    return this._queue.filter(function(job) {
+        if (slots[job.host] === undefined)
+            slots[job.host] = _this.hostConcurrency - (_this._hosts[job.host] || 0);
+        return slots[job.host]-- > 0;
+    }).length;
+};
+
+/**
+ * Take the next job whose host has a free slot, preferring one on the host given
+ * @param host (optional) the host the worker asking was last on
+ * @returns {Object|null}
+ */
+Workers.prototype.take = function(host) {
+    var _this = this;
+    var free = function(job) {
+        return (_this._hosts[job.host] || 0) < _this.hostConcurrency;
+    };
+
+    var index = this._queue.findIndex(function(job) {
+        return job.host === host && free(job);
+    });
+    if (index < 0)
+        index = this._queue.findIndex(free);
+    return index > -1 ? this._queue.splice(index, 1)[0] : null;
+};
+
+/**
+ * Give each ready worker without a job the next one it can start, let them go once there's nothing left,
+ * then fork enough workers for whatever else could start
+ */
+Workers.prototype.dispatch = function() {
+    var _this = this;
+
+    Object.keys(this._workers).forEach(function(id) {
+        var state = _this._workers[id];
+        if (!state.ready || state.job)
+            return;
+
+        var job = _this.take(state.host);
+        if (job)
+            _this.start(state, job);
+        else if (!_this._queue.length && state.worker.isConnected())
+            state.worker.disconnect();
+    });
+    this.fill();
+};
+
+/**
+ * Fork enough workers for the jobs that could start, without going over size
+ */
+Workers.prototype.fill = function() {
+    var _this = this;
+    var ids = Object.keys(this._workers);
+    var free = ids.filter(function(id) {
+        return !_this._workers[id].job;
+    }).length;
+    var startable = this.startable();
+
+    for (var live = ids.length; live < this.size && free < startable; live++, free++)
+        this.fork();
+};
+
+/**
+ * Start a worker, it says when it's ready for a job
+ * @returns {Worker}
+ */
+Workers.prototype.fork = function() {
+    var _this = this;
+
+    (cluster.setupPrimary || cluster.setupMaster).call(cluster, {exec: WORKER, args: []});
+    var worker = cluster.fork({FETCH_WORKER_OPTIONS: JSON.stringify(this.options)});
+    var state = this._workers[worker.id] = {worker: worker, job: null, ready: false, host: null};
+
+    worker.on('message', function(message) {
+        if (_this._stopped)
+            return;
+        if (message.type === 'ready') {
+            state.ready = true;
+            _this.dispatch();
+        }
+        else if (message.type === 'result' && state.job) {
+            var job = _this.release(state);
+            _this.settle(job, null, message.result);
+            // that was the last one and the workers have been stopped
+            if (!_this._stopped)
+                _this.dispatch();
+        }
+    });
+
+    // e.g. EPIPE sending to a worker that's just died, 'exit' deals with whatever it was doing
+    worker.on('error', function() {});
+
+    worker.on('exit', function(code, signal) {
+        delete _this._workers[worker.id];
+        if (_this._stopped)
+            return;
+
+        if (state.job) {
+            var job = _this.release(state);
+            job.crashes = (job.crashes || 0) + 1;
+            _this.emit('crash', job, code, signal);
+            if (job.crashes >= MAX_CRASHES)
+                _this.settle(job, new Error('Crashed ' + job.crashes + ' workers'));
+            else
+                _this._queue.unshift(job);
+        }
+        // every worker starts the same way, so if they keep dying before they're ready none of them ever will
+        else if (!state.ready && ++_this._failedStarts >= MAX_CRASHES) {
+            _this._queue.splice(0).forEach(function(waiting) {
+                _this.settle(waiting, new Error('Workers exit before starting (' + (signal || code) + ')'));
+            });
+        }
+        if (!_this._stopped)
+            _this.dispatch();
+    });
+
+    return worker;
+};
+
+/**
+ * Send a worker a job. A worker that wasn't the last on the host waits out hostDelay first, the last one's own
+ * scheduler already does
+ * @param state
+ * @param job
+ */
+Workers.prototype.start = function(state, job) {
+    var wait = 0;
+    if (state.host !== job.host && this._finished[job.host])
+        wait = Math.max(0, this._finished[job.host] + this.hostDelay - new Date().getTime());
+
+    state.job = job;
+    state.host = job.host;
+    this._hosts[job.host] = (this._hosts[job.host] || 0) + 1;
+    state.worker.send({type: 'crawl', source: job.source, pool: job.pool || null, wait: wait});
+};
+
+/**
+ * Take a worker's job back off it, freeing up its host
+ * @param state
+ * @returns {Object} the job
+ */
+Workers.prototype.release = function(state) {
+    var job = state.job;
+    state.job = null;
+    this._hosts[job.host]--;
+    this._finished[job.host] = new Date().getTime();
+    return job;
+};
+
+/**
+ * Call back with a job's result, once they all have any workers still starting up are stopped
+ * @param job
+ * @param err
+ * @param result
+ */
+Workers.prototype.settle = function(job, err, result) {
+    if (--this._pending === 0)
+        this.stop();
+    this._callback(err, job, result);
+};
+
+/**
+ * Kill every worker, their jobs are dropped without calling back
+ */
+Workers.prototype.stop = function() {
+    var _this = this;
+
+    this._stopped = true;
+    this._queue = [];
+    Object.keys(this._workers).forEach(function(id) {
+        _this._workers[id].worker.kill();
+    });
+};
+
+Workers.MAX_CRASHES = MAX_CRASHES;
+
+module.exports = Workers;
@@ -0,0 +1,235 @@
+/*jshint esversion: 8 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Fetch = require('../fetch');
+const servers = require('./helpers/servers');
+
+describe('module api', function() {
+    var server, baseUrl;
+    var hanging = [];
+    var pages = {
+        '/one': '1.2.3.4:8080\n5.6.7.8:3128\n',
+        '/two': '5.6.7.8:3128\n9.9.9.9:80\n',
+        // what a json api answers with once it's blocked us
+        '/blocked': '<html><body>Access denied</body></html>'
+    };
+
+    before(function(done) {
+        servers.listen(function(req, res) {
+            // never answers, for testing cancellation
+            if (req.url === '/hang')
+                return hanging.push(res);
+            res.end(pages[req.url] || '');
+        }, function(s, url) {
+            server = s;
+            baseUrl = url;
+            done();
+        });
+    });
+
+    after(function() {
+        hanging.forEach(function(res) {
+            res.end();
+        });
+        server.close();
+    });
+
+    function create(paths, options) {
+        return new Fetch(Object.assign({
+            urls: paths.map(function(path) {
+                return baseUrl + path;
+            }),
+            retries: 0,
+            quiet: true
+        }, options));
+    }
+
+    function keys(proxies) {
+        return proxies.map(function(proxy) {
+            return proxy.ip + ':' + proxy.port;
+        }).sort();
+    }
+
+    it('validates options when constructed', function() {
+        assert.throws(function() {
+            new Fetch({timout: 100});
+        }, /Unknown option timout/);
+        assert.throws(function() {
+            new Fetch({timeout: 'soon'});
+        }, /Invalid option timeout: expected a number/);
+        assert.throws(function() {
+            new Fetch({protocol: 'http,ftp'});
+        }, /Invalid option protocol: expected one of http, https, socks4, socks5, got "ftp"/);
+        assert.throws(function() {
+            new Fetch({urls: 'http://example.com/'.length});
+        }, TypeError);
+        assert.throws(function() {
+            new Fetch({signal: {}});
+        }, /expected an AbortSignal/);
+        assert.ok(new Fetch({timeout: '1000', retries: 0, protocol: ['SOCKS5'], serve: '127.0.0.1:8080'}));
+    });
+
+    it('resolves run() with the proxies without writing anything', function() {
+        var outputFile = path.join(os.tmpdir(), 'fetch-api-' + process.pid + '.txt');
+        var fetch = create(['/one', '/two'], {outputFile: outputFile});
+        var found = [];
+        fetch.on('proxy', function(proxy) {
+            found.push(proxy);
+        });
+
+        return fetch.run().then(function(proxies) {
+            assert.deepStrictEqual(keys(proxies), ['1.2.3.4:8080', '5.6.7.8:3128', '9.9.9.9:80']);
+            // each proxy only once, however many sources list it
+            assert.deepStrictEqual(keys(found), keys(proxies));
+            assert.strictEqual(fs.existsSync(outputFile), false);
+        });
+    });
+
+    it('can run again once a run has finished', function() {
+        var fetch = create(['/one']);
+        return fetch.run().then(function() {
+            return fetch.run();
+        }).then(function(proxies) {
+            assert.deepStrictEqual(keys(proxies), ['1.2.3.4:8080', '5.6.7.8:3128']);
+        });
+    });
+
+    it('streams proxies with an async iterator', async function() {
+        var proxies = [];
+        for await (const proxy of create(['/one', '/two']))
+            proxies.push(proxy);
+        assert.deepStrictEqual(keys(proxies), ['1.2.3.4:8080', '5.6.7.8:3128', '9.9.9.9:80']);
+    });
+
+    it('aborts the run when the loop is broken out of', async function() {
+        var fetch = create(['/one', '/hang']);
+        var aborted = false;
+        fetch.on('abort', function() {
+            aborted = true;
+        });
+        for await (const proxy of fetch.stream()) {
+            assert.ok(proxy.ip);
+            break;
+        }
+        assert.strictEqual(aborted, true);
+        assert.strictEqual(fetch._inflight.size, 0);
+
+        // nothing from the aborted run is left listening, the next one only finishes once
+        var reports = 0;
+        fetch.on('report', function() {
+            reports++;
+        });
+        assert.strictEqual(fetch.listenerCount('drain'), 0);
+        fetch.sources = create(['/one']).sources;
+        assert.deepStrictEqual(keys(await fetch.run()), ['1.2.3.4:8080', '5.6.7.8:3128']);
+        assert.strictEqual(reports, 1);
+    });
+
+    it('gives up on a source whose extractor throws and carries on with the rest', function() {
+        var fetch = new Fetch({quiet: true, retries: 0, sources: [
+            {name: 'nordvpn', url: baseUrl + '/blocked', extractor: 'nordvpn'},
+            {name: 'one', url: baseUrl + '/one'}
+        ]});
+
+        return fetch.run().then(function(proxies) {
+            assert.deepStrictEqual(keys(proxies), ['1.2.3.4:8080', '5.6.7.8:3128']);
+            var failure = fetch._report.sources[0].failure;
+            assert.strictEqual(failure.url, baseUrl + '/blocked');
+            assert.ok(/^nordvpn failed: Unexpected token/.test(failure.reason), failure.reason);
+            assert.strictEqual(fetch._report.sources[0].health, 'failed');
+            assert.strictEqual(fetch._report.sources[1].failure, null);
+        });
+    });
+
+    it('finishes a stream whose extractor throws and reports the source', async function() {
+        var fetch = create(['/one', '/two'], {extractors: [{name: 'broken', patterns: [/\/two$/], parse: function() {
+            throw new Error('markup changed');
+        }}]});
+        var report;
+        fetch.on('report', function(built) {
+            report = built;
+        });
+
+        var proxies = [];
+        for await (const proxy of fetch.stream())
+            proxies.push(proxy);
+        assert.deepStrictEqual(keys(proxies), ['1.2.3.4:8080', '5.6.7.8:3128']);
+        assert.strictEqual(report.sources[1].failure.reason, 'broken failed: markup changed');
+    });
+
+    it('rejects run() when abort() is called', function() {
+        var fetch = create(['/hang'], {timeout: 60e3});
+        setTimeout(function() {
+            fetch.abort();
+        }, 20);
+
+        return fetch.run().then(function() {
+            assert.fail('should have been aborted');
+        }, function(err) {
+            assert.strictEqual(err.name, 'AbortError');
+            assert.strictEqual(fetch._inflight.size, 0);
+            assert.strictEqual(fetch.listenerCount('drain'), 0);
+            assert.strictEqual(fetch.listenerCount('abort'), 0);
+        });
+    });
+
+    it('is cancelled by an AbortSignal', function() {
+        var controller = new AbortController();
+        var fetch = create(['/hang'], {timeout: 60e3});
+        setTimeout(function() {
+            controller.abort();
+        }, 20);
+
+        return fetch.run({signal: controller.signal}).then(function() {
+            assert.fail('should have been aborted');
+        }, function(err) {
+            assert.strictEqual(err.name, 'AbortError');
+            assert.strictEqual(fetch._inflight.size, 0);
+        });
+    });
+
+    it('rejects straight away if the signal is already aborted', function() {
+        var controller = new AbortController();
+        controller.abort();
+        return create(['/one'], {signal: controller.signal}).run().then(function() {
+            assert.fail('should have been aborted');
+        }, function(err) {
+            assert.strictEqual(err.name, 'AbortError');
+        });
+    });
+
+    it('logs nothing unless it is given a level', function() {
+        var log = console.log;
+        var logged = 0;
+        console.log = function() {
+            logged++;
+        };
+        return create(['/one'], {quiet: undefined}).run().then(function() {
+            console.log = log;
+            assert.strictEqual(logged, 0);
+        }, function(err) {
+            console.log = log;
+            throw err;
+        });
+    });
+
+    it('logs nothing when quiet', function() {
+        var log = console.log;
+        var logged = 0;
+        console.log = function() {
+            logged++;
+        };
+        return create(['/one'], {verbose: true}).run().then(function() {
+            console.log = log;
+            assert.strictEqual(logged, 0);
+        }, function(err) {
+            console.log = log;
+            throw err;
+        });
+    });
+});
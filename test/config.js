@@ -0,0 +1,135 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const querystring = require('querystring');
+
+const Fetch = require('../fetch');
+const sources = require('../lib/sources');
+const servers = require('./helpers/servers');
+
+// a table site with a header row, one page of proxies then an empty page
+function table(page) {
+    var rows = page > 1 ? [] : [
+        ['1.2.3.4', '8080', 'HTTPS', 'Germany'],
+        ['5.6.7.8', '1080', 'socks5', 'Brazil']
+    ];
+    return '<table class="list"><tr><th>IP</th><th>Port</th><th>Type</th><th>Country</th></tr>' +
+        rows.map(function(row) {
+            return '<tr>' + row.map(function(cell) {
+                return '<td>' + cell + '</td>';
+            }).join('') + '</tr>';
+        }).join('') + '</table>';
+}
+
+describe('--config', function() {
+    var server, baseUrl, dir;
+    var requests = [];
+
+    before(function(done) {
+        servers.listen(function(req, res) {
+            var body = '';
+            req.on('data', function(chunk) {
+                body += chunk;
+            });
+            req.on('end', function() {
+                requests.push({method: req.method, url: req.url, headers: req.headers, body: body});
+                var page = parseInt((/p=(\d+)/.exec(req.url + ' ' + body) || [])[1]) || 1;
+                res.end(table(page));
+            });
+        }, function(s, url) {
+            server = s;
+            baseUrl = url;
+            done();
+        });
+    });
+
+    after(function() {
+        server.close();
+    });
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-config-'));
+        requests = [];
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    function fields(proxies) {
+        return proxies.map(function(proxy) {
+            return [proxy.ip, proxy.port, proxy.protocol, proxy.country];
+        });
+    }
+
+    it('crawls table sources described in YAML with css selectors', function(done) {
+        var config = path.join(dir, 'sources.yml');
+        fs.writeFileSync(config, [
+            'sources:',
+            '  - name: table',
+            '    url: ' + baseUrl + '/table?p={page}',
+            '    headers: {X-Api-Key: secret}',
+            '    selectors:',
+            '      row: table.list tr',
+            '      ip: td:nth-child(1)',
+            '      port: td:nth-child(2)',
+            '      protocol: td:nth-child(3)',
+            '      country: td:nth-child(4)'
+        ].join('\n'));
+
+        new Fetch({quiet: true, retries: 0, config: config}).run().then(function(proxies) {
+            assert.deepStrictEqual(fields(proxies), [
+                ['1.2.3.4', 8080, 'https', 'Germany'],
+                ['5.6.7.8', 1080, 'socks5', 'Brazil']
+            ]);
+            assert.deepStrictEqual(requests.map(function(request) {
+                return request.url;
+            }), ['/table?p=1', '/table?p=2']);
+            assert.strictEqual(requests[0].method, 'GET');
+            assert.strictEqual(requests[0].headers['x-api-key'], 'secret');
+            done();
+        }).catch(done);
+    });
+
+    it('sends the method, headers and form body a JSON source asks for', function(done) {
+        var config = path.join(dir, 'sources.json');
+        fs.writeFileSync(config, JSON.stringify([{
+            name: 'posted',
+            url: baseUrl + '/search',
+            method: 'POST',
+            form: {country: 'all', p: '{page}'},
+            headers: {'X-Requested-With': 'XMLHttpRequest'},
+            pagination: {start: 1, maxPages: 1},
+            selectors: {row: 'table.list tr', ip: 'td:nth-child(1)', port: 'td:nth-child(2)'}
+        }]));
+
+        var defs = sources.load(config);
+        assert.strictEqual(defs[0].method, 'POST');
+
+        new Fetch({quiet: true, retries: 0, config: config}).run().then(function(proxies) {
+            assert.deepStrictEqual(fields(proxies), [
+                ['1.2.3.4', 8080, null, null],
+                ['5.6.7.8', 1080, null, null]
+            ]);
+            assert.strictEqual(requests.length, 1);
+            assert.strictEqual(requests[0].method, 'POST');
+            assert.strictEqual(requests[0].url, '/search');
+            assert.strictEqual(requests[0].headers['x-requested-with'], 'XMLHttpRequest');
+            assert.ok(/^application\/x-www-form-urlencoded/.test(requests[0].headers['content-type']));
+            assert.deepStrictEqual(Object.assign({}, querystring.parse(requests[0].body)), {country: 'all', p: '1'});
+            done();
+        }).catch(done);
+    });
+
+    it('rejects a config without a list of sources', function() {
+        var config = path.join(dir, 'sources.json');
+        fs.writeFileSync(config, JSON.stringify({urls: []}));
+        assert.throws(function() {
+            sources.load(config);
+        }, /expected a list of sources/);
+    });
+});
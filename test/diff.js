@@ -0,0 +1,221 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Fetch = require('../fetch');
+const diff = require('../lib/diff');
+const record = require('../lib/record');
+const servers = require('./helpers/servers');
+
+describe('diff', function() {
+    var server, baseUrl, dir;
+    var listed = [];
+    var hooks = [];
+    var hookStatus = 200;
+
+    before(function(done) {
+        servers.listen(function(req, res) {
+            if (req.url !== '/hook')
+                return res.end(listed.map(function(ip) { return '<p>' + ip + ':8080</p>'; }).join(''));
+
+            var body = '';
+            req.on('data', function(chunk) {
+                body += chunk;
+            });
+            req.on('end', function() {
+                hooks.push({headers: req.headers, body: JSON.parse(body)});
+                res.statusCode = hookStatus;
+                res.end();
+            });
+        }, function(s, url) {
+            server = s;
+            baseUrl = url;
+            done();
+        });
+    });
+
+    after(function() {
+        server.close();
+    });
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-diff-'));
+        hooks = [];
+        hookStatus = 200;
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    function fetchWith(options) {
+        return new Fetch(Object.assign({quiet: true, retries: 0, urls: [baseUrl + '/list'],
+            outputFile: path.join(dir, 'proxies.txt')}, options));
+    }
+
+    it('compares two runs', function() {
+        var changes = diff.compare(['1.2.3.4:80', '1.2.3.5:80'].map(record.from),
+            ['1.2.3.5:80', '1.2.3.6:80', '1.2.3.6:80'].map(record.from), 0, 3600e3);
+
+        assert.strictEqual(changes.from, '1970-01-01T00:00:00.000Z');
+        assert.strictEqual(changes.to, '1970-01-01T01:00:00.000Z');
+        assert.strictEqual(changes.total, 2);
+        assert.strictEqual(changes.unchanged, 1);
+        assert.deepStrictEqual(changes.added.map(record.key), ['1.2.3.6:80']);
+        assert.deepStrictEqual(changes.removed.map(record.key), ['1.2.3.4:80']);
+        assert.strictEqual(diff.serialize(changes, 'changes.txt'), '+1.2.3.6:80\n-1.2.3.4:80\n');
+        assert.deepStrictEqual(JSON.parse(diff.serialize(changes, 'changes.json')).added, [record.from('1.2.3.6:80')]);
+    });
+
+    it('emits what changed since the last run and saves it', function(done) {
+        var fetch = fetchWith({diffOut: path.join(dir, 'changes', 'diff.txt')});
+        var diffs = [];
+        fetch.on('diff', function(changes) {
+            diffs.push(changes);
+        });
+
+        listed = ['11.0.0.1', '11.0.0.2'];
+        fetch.run().then(function() {
+            // nothing to compare the first run with
+            assert.strictEqual(diffs.length, 0);
+            assert.ok(!fs.existsSync(path.join(dir, 'changes', 'diff.txt')));
+
+            listed = ['11.0.0.2', '11.0.0.3', '11.0.0.4'];
+            return fetch.run();
+        }).then(function() {
+            assert.strictEqual(diffs.length, 1);
+            assert.deepStrictEqual(diffs[0].added.map(record.key), ['11.0.0.3:8080', '11.0.0.4:8080']);
+            assert.deepStrictEqual(diffs[0].removed.map(record.key), ['11.0.0.1:8080']);
+            assert.strictEqual(diffs[0].unchanged, 1);
+            assert.strictEqual(fs.readFileSync(path.join(dir, 'changes', 'diff.txt'), 'utf8'),
+                '+11.0.0.3:8080\n+11.0.0.4:8080\n-11.0.0.1:8080\n');
+
+            listed = ['11.0.0.2', '11.0.0.3', '11.0.0.4'];
+            return fetch.run();
+        }).then(function() {
+            assert.strictEqual(diffs.length, 2);
+            assert.strictEqual(diffs[1].added.length + diffs[1].removed.length, 0);
+            assert.strictEqual(fs.readFileSync(path.join(dir, 'changes', 'diff.txt'), 'utf8'), '');
+            done();
+        }).catch(done);
+    });
+
+    it('compares with the run before it in another process', function(done) {
+        var diffOut = path.join(dir, 'changes', 'diff.json');
+
+        listed = ['11.0.0.1', '11.0.0.2'];
+        fetchWith({diffOut: diffOut}).run().then(function() {
+            assert.ok(fs.existsSync(diffOut + '.last-run.json'));
+
+            listed = ['11.0.0.2', '11.0.0.3'];
+            var fetch = fetchWith({diffOut: diffOut});
+            var diffs = [];
+            fetch.on('diff', function(changes) {
+                diffs.push(changes);
+            });
+            return fetch.run().then(function() {
+                assert.strictEqual(diffs.length, 1);
+                assert.deepStrictEqual(diffs[0].added.map(record.key), ['11.0.0.3:8080']);
+                assert.deepStrictEqual(diffs[0].removed.map(record.key), ['11.0.0.1:8080']);
+                assert.ok(diffs[0].from < diffs[0].to);
+                assert.deepStrictEqual(JSON.parse(fs.readFileSync(diffOut, 'utf8')).removed.map(record.key),
+                    ['11.0.0.1:8080']);
+                done();
+            });
+        }).catch(done);
+    });
+
+    it('keeps the last run beside the output file for the webhook', function(done) {
+        listed = ['11.0.0.1'];
+        fetchWith({webhook: baseUrl + '/hook'}).run().then(function() {
+            listed = ['11.0.0.1', '11.0.0.6'];
+            var fetch = fetchWith({webhook: baseUrl + '/hook'});
+            fetch.once('webhook', function(err) {
+                assert.ifError(err);
+                assert.ok(fs.existsSync(path.join(dir, 'proxies.txt.last-run.json')));
+                assert.deepStrictEqual(hooks[0].body.added.map(record.key), ['11.0.0.6:8080']);
+                done();
+            });
+            return fetch.run();
+        }).catch(done);
+    });
+
+    it('keeps the last run of each output in the same directory apart', function() {
+        var seen = {};
+        var run = function(name, ips) {
+            listed = ips;
+            var fetch = fetchWith({webhook: baseUrl + '/hook', outputFile: path.join(dir, name)});
+            fetch.on('diff', function(changes) {
+                seen[name] = changes.added.map(record.key);
+            });
+            return fetch.run();
+        };
+
+        return run('a.txt', ['11.0.0.1']).then(function() {
+            return run('b.txt', ['11.0.0.1', '11.0.0.2']);
+        }).then(function() {
+            // compared with a.txt's last run, not b.txt's
+            return run('a.txt', ['11.0.0.1', '11.0.0.2']);
+        }).then(function() {
+            assert.deepStrictEqual(seen['a.txt'], ['11.0.0.2:8080']);
+            assert.ok(fs.existsSync(path.join(dir, 'a.txt.last-run.json')));
+            assert.ok(fs.existsSync(path.join(dir, 'b.txt.last-run.json')));
+            assert.strictEqual(diff.stateFile(path.join(dir, 'diffs', '{date}.txt')),
+                path.join(dir, 'diffs', 'latest.txt.last-run.json'));
+        });
+    });
+
+    it('posts changes to the webhook', function(done) {
+        var fetch = fetchWith({webhook: baseUrl + '/hook'});
+
+        listed = ['11.0.0.1'];
+        fetch.run().then(function() {
+            listed = ['11.0.0.1', '11.0.0.5'];
+            fetch.once('webhook', function(err, status) {
+                assert.ifError(err);
+                assert.strictEqual(status, 200);
+                assert.strictEqual(hooks.length, 1);
+                assert.strictEqual(hooks[0].headers['content-type'], 'application/json');
+                assert.strictEqual(hooks[0].body.event, 'diff');
+                assert.deepStrictEqual(hooks[0].body.added.map(record.key), ['11.0.0.5:8080']);
+                assert.deepStrictEqual(hooks[0].body.removed, []);
+                assert.strictEqual(hooks[0].body.total, 2);
+
+                // no changes, no post
+                fetch.run().then(function() {
+                    setTimeout(function() {
+                        assert.strictEqual(hooks.length, 1);
+                        done();
+                    }, 50);
+                }).catch(done);
+            });
+            return fetch.run();
+        }).catch(done);
+    });
+
+    it('reports a webhook that fails', function(done) {
+        var fetch = fetchWith({webhook: baseUrl + '/hook'});
+        hookStatus = 500;
+
+        listed = ['11.0.0.1'];
+        fetch.run().then(function() {
+            listed = [];
+            fetch.once('webhook', function(err, status) {
+                assert.strictEqual(err.message, 'HTTP 500');
+                assert.strictEqual(status, 500);
+                done();
+            });
+            return fetch.run();
+        }).catch(done);
+    });
+
+    it('only takes http webhooks', function() {
+        assert.throws(function() {
+            new Fetch({webhook: 'ftp://example.com/'});
+        }, /Invalid option webhook/);
+    });
+});
@@ -0,0 +1,110 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const Fetch = require('../fetch');
+const exporters = require('../lib/exporters');
+const record = require('../lib/record');
+
+describe('exporters', function() {
+    var proxies = [
+        record.from({ip: '1.2.3.4', port: 8080, protocol: 'http', latency: 900}),
+        record.from({ip: '1.2.3.5', port: 3128, protocol: 'https', latency: 300}),
+        record.from({ip: '5.6.7.8', port: 1080, protocol: 'socks5'}),
+        record.from({ip: '5.6.7.9', port: 4145, protocol: 'socks4'}),
+        record.from({ip: '2001:4860::1', port: 80})
+    ];
+
+    function lines(str) {
+        return str.trim().split('\n').slice(1);
+    }
+
+    it('writes a proxychains list', function() {
+        assert.deepStrictEqual(lines(exporters.get('proxychains').serialize(proxies)), [
+            '[ProxyList]',
+            'http 1.2.3.4 8080',
+            'http 1.2.3.5 3128',
+            'socks5 5.6.7.8 1080',
+            'socks4 5.6.7.9 4145',
+            'http 2001:4860::1 80'
+        ]);
+    });
+
+    it('writes a pac file that fails over between proxies', function() {
+        var pac = exporters.get('pac').serialize(proxies);
+        var context = vm.createContext({});
+        vm.runInContext(pac, context);
+
+        var result = context.FindProxyForURL('http://example.com/', 'example.com').split('; ');
+        assert.strictEqual(result.length, 3);
+        // always the same proxies for the same host, in order round the list
+        assert.deepStrictEqual(context.FindProxyForURL('http://example.com/x', 'example.com').split('; '), result);
+        var all = ['PROXY 1.2.3.4:8080', 'PROXY 1.2.3.5:3128', 'SOCKS5 5.6.7.8:1080', 'SOCKS 5.6.7.9:4145',
+            'PROXY [2001:4860::1]:80'];
+        var start = all.indexOf(result[0]);
+        assert.ok(start > -1);
+        assert.deepStrictEqual(result, [all[start], all[(start + 1) % 5], all[(start + 2) % 5]]);
+
+        vm.runInContext(exporters.get('pac').serialize([]), context);
+        assert.strictEqual(context.FindProxyForURL('http://example.com/', 'example.com'), 'DIRECT');
+    });
+
+    it('writes squid cache_peers for the http and https proxies', function() {
+        assert.deepStrictEqual(lines(exporters.get('squid').serialize(proxies)), [
+            'cache_peer 1.2.3.4 parent 8080 0 no-query no-digest round-robin connect-fail-limit=2 name=fetch1',
+            'cache_peer 1.2.3.5 parent 3128 0 no-query no-digest round-robin connect-fail-limit=2 name=fetch2',
+            'cache_peer 2001:4860::1 parent 80 0 no-query no-digest round-robin connect-fail-limit=2 name=fetch3',
+            'never_direct allow all'
+        ]);
+    });
+
+    it('writes an env file with the fastest proxies', function() {
+        assert.deepStrictEqual(lines(exporters.get('env').serialize(proxies)), [
+            'HTTP_PROXY=http://1.2.3.5:3128',
+            'HTTPS_PROXY=http://1.2.3.5:3128',
+            'http_proxy=http://1.2.3.5:3128',
+            'https_proxy=http://1.2.3.5:3128',
+            'ALL_PROXY=socks5://5.6.7.8:1080',
+            'all_proxy=socks5://5.6.7.8:1080'
+        ]);
+        assert.deepStrictEqual(lines(exporters.get('env').serialize(proxies.slice(3, 4))), [
+            'ALL_PROXY=socks4://5.6.7.9:4145',
+            'all_proxy=socks4://5.6.7.9:4145'
+        ]);
+    });
+
+    it('parses --export', function() {
+        assert.deepStrictEqual(exporters.parse('PAC=proxies/proxy.pac'), {name: 'pac', file: 'proxies/proxy.pac'});
+        assert.throws(function() {
+            exporters.parse('pac');
+        }, /expected name=file/);
+        assert.throws(function() {
+            exporters.parse('wpad=proxy.pac');
+        }, /Unknown exporter wpad/);
+    });
+
+    it('exports every time the proxies are saved', function() {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-exporters-'));
+        var fetch = new Fetch({quiet: true, outputFile: path.join(dir, 'proxies.txt'),
+            exports: ['proxychains=' + path.join(dir, 'chains', 'proxies.conf'), 'env=' + path.join(dir, 'proxy.env')]});
+
+        fetch._proxies = proxies.slice(0, 1);
+        fetch.saveProxies();
+        assert.deepStrictEqual(lines(fs.readFileSync(path.join(dir, 'chains', 'proxies.conf'), 'utf8')),
+            ['[ProxyList]', 'http 1.2.3.4 8080']);
+
+        // the next run's proxies are merged with the output file, so are the exports
+        fetch._proxies = proxies.slice(2, 3);
+        fetch.saveProxies();
+        assert.deepStrictEqual(lines(fs.readFileSync(path.join(dir, 'chains', 'proxies.conf'), 'utf8')),
+            ['[ProxyList]', 'socks5 5.6.7.8 1080', 'http 1.2.3.4 8080']);
+        assert.ok(/ALL_PROXY=socks5:\/\/5.6.7.8:1080/.test(fs.readFileSync(path.join(dir, 'proxy.env'), 'utf8')));
+
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+});
@@ -0,0 +1,286 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Fetch = require('../fetch');
+const Recorder = require('../lib/recorder');
+const sources = require('../lib/sources');
+const servers = require('./helpers/servers');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * The pages in test/fixtures (recorded with --record) and exactly what each built-in extractor should make of them.
+ * To add one run ./fetch.js -u <url> --record test/fixtures and trim the .body down to a few rows
+ */
+const CASES = [
+    {
+        extractor: 'hidemyass',
+        url: 'http://proxylist.hidemyass.com/search-1292985/{page}', page: 1,
+        proxies: [
+            {ip: '185.112.32.14', port: 8080, protocol: 'http', country: 'Germany', anonymity: 'elite'},
+            {ip: '91.203.7.66', port: 3128, protocol: 'https', country: 'Russia', anonymity: 'transparent'}
+        ]
+    },
+    {
+        extractor: 'incloak',
+        url: 'http://incloak.com/proxy-list/?start={page:0-64}', page: 0,
+        proxies: [
+            {ip: '103.25.173.102', port: 8080, protocol: 'http', country: 'India', anonymity: 'elite'},
+            {ip: '200.68.27.100', port: 3128, protocol: 'http', country: 'Chile', anonymity: null}
+        ]
+    },
+    {
+        extractor: 'incloak',
+        url: 'http://incloak.com/proxy-list/?type=45&start={page:0-64}', page: 0,
+        proxies: [
+            {ip: '46.101.10.20', port: 1080, protocol: 'socks5', country: 'United Kingdom', anonymity: 'elite'},
+            {ip: '5.135.58.121', port: 9050, protocol: 'socks4', country: 'France', anonymity: 'elite'}
+        ]
+    },
+    {
+        extractor: 'nordvpn',
+        url: 'https://nordvpn.com/wp-admin/admin-ajax.php?searchParameters%5B0%5D%5Bname%5D=proxy-country&searchParameters%5B0%5D%5Bvalue%5D=&searchParameters%5B1%5D%5Bname%5D=proxy-ports&searchParameters%5B1%5D%5Bvalue%5D=&offset={page:0-1000}&limit=1000&action=getProxies', page: 0,
+        proxies: [
+            {ip: '94.177.216.109', port: 3128, protocol: 'http', country: 'Italy', anonymity: null},
+            {ip: '138.201.63.123', port: 31288, protocol: 'https', country: 'Germany', anonymity: null},
+            {ip: '77.94.144.162', port: 1080, protocol: 'socks5', country: 'Russia', anonymity: null}
+        ]
+    },
+    {
+        extractor: 'proxy-list',
+        url: 'http://proxy-list.org/english/index.php?p={page}', page: 1,
+        proxies: [
+            {ip: '182.253.121.137', port: 8080, protocol: 'http', country: 'Indonesia', anonymity: 'elite'},
+            {ip: '52.43.199.145', port: 3128, protocol: 'https', country: 'United States', anonymity: 'anonymous'}
+        ]
+    },
+    {
+        extractor: 'cool-proxy',
+        url: 'http://www.cool-proxy.net/proxies/http_proxy_list/page:{page}/sort:score/direction:desc', page: 1,
+        proxies: [
+            {ip: '120.199.224.78', port: 80, protocol: 'http', country: null, anonymity: null},
+            {ip: '41.75.201.146', port: 8080, protocol: 'http', country: null, anonymity: null}
+        ]
+    },
+    {
+        extractor: 'samair',
+        url: 'http://www.samair.ru/proxy/proxy-{page:01}.htm', page: 1,
+        proxies: [
+            {ip: '187.44.1.167', port: 8080, protocol: null, country: 'Brazil', anonymity: 'elite'},
+            {ip: '112.214.73.253', port: 3128, protocol: null, country: 'Korea, Republic of', anonymity: 'transparent'}
+        ]
+    },
+    {
+        extractor: 'rosinstrument',
+        url: 'http://rosinstrument.com/proxy/l{page}00.xml', page: 1,
+        proxies: [
+            {ip: '180.250.165.197', port: 8080, protocol: null, country: null, anonymity: null},
+            {ip: '202.29.215.78', port: 3128, protocol: null, country: null, anonymity: null}
+        ]
+    },
+    {
+        extractor: 'us-proxy',
+        url: 'http://www.us-proxy.org/',
+        proxies: [
+            {ip: '104.131.18.247', port: 8080, protocol: 'https', country: 'US', anonymity: 'elite'},
+            {ip: '47.89.241.103', port: 3128, protocol: 'http', country: 'US', anonymity: 'anonymous'}
+        ]
+    },
+    {
+        extractor: 'us-proxy',
+        url: 'http://www.us-proxy.org/uk-proxy.html',
+        proxies: [
+            {ip: '51.254.132.238', port: 80, protocol: 'http', country: 'GB', anonymity: 'transparent'}
+        ]
+    },
+    {
+        extractor: 'proxylistplus',
+        url: 'http://list.proxylistplus.com/Fresh-HTTP-Proxy-List-{page}', page: 1,
+        proxies: [
+            {ip: '190.248.153.162', port: 8080, protocol: 'https', country: 'Colombia', anonymity: 'anonymous'},
+            {ip: '122.193.14.102', port: 80, protocol: 'http', country: 'China', anonymity: 'transparent'}
+        ]
+    },
+    {
+        extractor: 'proxylistplus',
+        url: 'http://list.proxylistplus.com/Socks-List-{page}', page: 1,
+        proxies: [
+            {ip: '185.36.172.190', port: 1080, protocol: 'socks5', country: 'Poland', anonymity: null},
+            {ip: '94.232.57.231', port: 4145, protocol: 'socks4', country: 'Russia', anonymity: null}
+        ]
+    },
+    {
+        extractor: 'socks-proxy',
+        url: 'http://www.socks-proxy.net/',
+        proxies: [
+            {ip: '72.11.148.222', port: 56533, protocol: 'socks4', country: 'US', anonymity: 'anonymous'},
+            {ip: '113.53.61.38', port: 1080, protocol: 'socks5', country: 'TH', anonymity: 'anonymous'}
+        ]
+    },
+    {
+        extractor: 'gatherproxy',
+        url: 'POST:http://gatherproxy.com/proxylist/country/?Country=china&PageIdx:{page:1/24}', page: 1,
+        proxies: [
+            {ip: '119.29.103.13', port: 8080, protocol: 'http', country: 'china', anonymity: 'transparent'},
+            {ip: '58.67.159.50', port: 80, protocol: 'http', country: 'china', anonymity: 'elite'}
+        ]
+    },
+    {
+        extractor: 'gatherproxy',
+        url: 'http://www.gatherproxy.com/sockslist',
+        proxies: [
+            {ip: '178.62.59.71', port: 1080, protocol: 'socks5', country: 'Netherlands', anonymity: null},
+            {ip: '66.110.216.221', port: 27705, protocol: 'socks4', country: 'Canada', anonymity: null}
+        ]
+    },
+    {
+        extractor: 'httptunnel',
+        url: 'http://www.httptunnel.ge/ProxyListForFree.aspx',
+        proxies: [
+            {ip: '81.163.62.136', port: 41258, protocol: null, country: null, anonymity: null},
+            {ip: '195.208.172.70', port: 8080, protocol: null, country: null, anonymity: null}
+        ]
+    }
+];
+
+describe('extractors', function() {
+    var fetch = new Fetch({});
+    var recorder = new Recorder(FIXTURES);
+    fetch.log = function() {};
+
+    it('has a fixture for every built-in extractor', function() {
+        var tested = CASES.map(function(test) {
+            return test.extractor;
+        });
+        fetch.registry.extractors.forEach(function(extractor) {
+            assert.ok(tested.indexOf(extractor.name) > -1, 'no fixture for ' + extractor.name);
+        });
+    });
+
+    CASES.forEach(function(test) {
+        it(test.extractor + ' extracts ' + test.url, function() {
+            var source = sources.parse(test.url);
+            var req = sources.buildRequest(source, test.page);
+            var recorded = recorder.load(req);
+            assert.ok(recorded, 'no recording of ' + req.url);
+            assert.strictEqual(fetch.registry.find(req.url).name, test.extractor);
+
+            var proxies = fetch.extractProxies({url: req.url, source: source, body: recorded.body});
+            assert.deepStrictEqual(proxies.map(function(proxy) {
+                assert.strictEqual(proxy.source, req.url);
+                return {ip: proxy.ip, port: proxy.port, protocol: proxy.protocol, country: proxy.country,
+                    anonymity: proxy.anonymity};
+            }), test.proxies);
+        });
+    });
+});
+
+describe('record and replay', function() {
+    var server, baseUrl, dir;
+    var hits = 0;
+
+    before(function(done) {
+        servers.listen(function(req, res) {
+            hits++;
+            if (req.url === '/missing') {
+                res.writeHead(404);
+                return res.end('not here');
+            }
+            res.end('<table><tr><td>5.6.7.8</td><td>3128</td></tr><tr><td>1.2.3.4</td><td>8080</td></tr></table>');
+        }, function(s, url) {
+            server = s;
+            baseUrl = url;
+            done();
+        });
+    });
+
+    after(function() {
+        server.close();
+    });
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-record-'));
+    });
+
+    afterEach(function() {
+        fs.readdirSync(path.join(dir)).forEach(function(file) {
+            var target = path.join(dir, file);
+            if (fs.statSync(target).isDirectory()) {
+                fs.readdirSync(target).forEach(function(recording) {
+                    fs.unlinkSync(path.join(target, recording));
+                });
+                fs.rmdirSync(target);
+            }
+            else {
+                fs.unlinkSync(target);
+            }
+        });
+        fs.rmdirSync(dir);
+    });
+
+    function run(options, callback) {
+        var fetch = new Fetch(Object.assign({outputFile: path.join(dir, 'proxies.txt'), retries: 0}, options));
+        var failures;
+        fetch.log = function() {};
+        fetch.on('report', function(health) {
+            failures = health.sources.map(function(entry) {
+                return entry.failure && entry.failure.reason;
+            });
+        });
+        fetch.on('complete', function(outputFile, count, proxies) {
+            fs.unlinkSync(outputFile);
+            callback(proxies.map(function(proxy) {
+                return proxy.ip + ':' + proxy.port;
+            }).sort(), failures);
+        });
+        fetch.main();
+    }
+
+    it('keys recordings by method, url and form', function() {
+        var get = Recorder.key({url: 'http://example.com/list'});
+        assert.ok(/^example\.com-[0-9a-f]{12}$/.test(get), get);
+        assert.strictEqual(Recorder.key({method: 'get', url: 'http://example.com/list'}), get);
+        assert.notStrictEqual(Recorder.key({method: 'POST', url: 'http://example.com/list'}), get);
+        assert.notStrictEqual(Recorder.key({method: 'POST', url: 'http://example.com/list', form: {page: 2}}),
+            Recorder.key({method: 'POST', url: 'http://example.com/list', form: {page: 3}}));
+    });
+
+    it('replays what it recorded without touching the network', function(done) {
+        var recordings = path.join(dir, 'recordings');
+        var urls = [baseUrl + '/list', baseUrl + '/missing'];
+
+        run({urls: urls, record: recordings}, function(recorded) {
+            assert.deepStrictEqual(recorded, ['1.2.3.4:8080', '5.6.7.8:3128']);
+            assert.strictEqual(fs.readdirSync(recordings).length, 4);
+            var before = hits;
+
+            run({urls: urls, replay: recordings}, function(replayed, failures) {
+                assert.deepStrictEqual(replayed, recorded);
+                assert.deepStrictEqual(failures, [null, 'HTTP 404']);
+                assert.strictEqual(hits, before);
+                done();
+            });
+        });
+    });
+
+    it('fails a page that was never recorded', function(done) {
+        run({urls: [baseUrl + '/list'], replay: path.join(dir, 'empty')}, function(proxies, failures) {
+            assert.deepStrictEqual(proxies, []);
+            assert.deepStrictEqual(failures, ['ENOTRECORDED']);
+            done();
+        });
+    });
+
+    it('replays the checked in fixtures', function(done) {
+        run({urls: ['http://www.us-proxy.org/', 'http://www.socks-proxy.net/'], replay: FIXTURES}, function(proxies) {
+            assert.deepStrictEqual(proxies, ['104.131.18.247:8080', '113.53.61.38:1080', '47.89.241.103:3128',
+                '72.11.148.222:56533']);
+            done();
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Fetch = require('../fetch');
+const files = require('../lib/files');
+const record = require('../lib/record');
+
+describe('files', function() {
+    var dir;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-files-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    // the pid of a process that has already exited
+    function deadPid() {
+        return parseInt(childProcess.execFileSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))']));
+    }
+
+    it('writes via a temp file, creating missing directories', function() {
+        var file = path.join(dir, 'a', 'b', 'proxies.txt');
+        files.writeAtomic(file, '1.2.3.4:80\n');
+        files.writeAtomic(file, '5.6.7.8:80\n');
+
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), '5.6.7.8:80\n');
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['proxies.txt']);
+    });
+
+    it('locks a file and releases it', function() {
+        var file = path.join(dir, 'proxies.txt');
+        var release = files.lock(file);
+
+        assert.strictEqual(fs.readFileSync(file + '.lock', 'utf8'), process.pid + '\n');
+        release();
+        assert.ok(!fs.existsSync(file + '.lock'));
+
+        assert.strictEqual(files.withLock(file, 0, function() {
+            return fs.existsSync(file + '.lock');
+        }), true);
+        assert.ok(!fs.existsSync(file + '.lock'));
+    });
+
+    it('gives up with a clear error when the lock is held', function() {
+        var file = path.join(dir, 'proxies.txt');
+        var release = files.lock(file);
+        var started = Date.now();
+
+        assert.throws(function() {
+            files.lock(file, 200);
+        }, function(err) {
+            return err.code === 'ELOCKED' && err.file === file &&
+                err.message.indexOf('locked by pid ' + process.pid) > -1;
+        });
+        assert.ok(Date.now() - started >= 200);
+        release();
+    });
+
+    it('takes over a lock left by a process that has gone', function() {
+        var file = path.join(dir, 'proxies.txt');
+        fs.writeFileSync(file + '.lock', deadPid() + '\n');
+
+        var release = files.lock(file, 0);
+        assert.strictEqual(fs.readFileSync(file + '.lock', 'utf8'), process.pid + '\n');
+        release();
+    });
+
+    describe('saving', function() {
+        function fetchWith(options, proxies) {
+            var fetch = new Fetch(Object.assign({quiet: true}, options));
+            fetch._proxies = proxies.map(function(proxy) {
+                return record.from(proxy);
+            });
+            return fetch;
+        }
+
+        it('creates the output directory', function() {
+            var file = path.join(dir, 'proxies', 'fetched', 'proxies.txt');
+            fetchWith({outputFile: file}, ['1.2.3.4:80']).saveProxies();
+            assert.strictEqual(fs.readFileSync(file, 'utf8').trim(), '1.2.3.4:80');
+        });
+
+        it('fails to save while another run holds the file', function() {
+            var file = path.join(dir, 'proxies.txt');
+            var release = files.lock(file);
+
+            assert.throws(function() {
+                fetchWith({outputFile: file, lockTimeout: 50}, ['1.2.3.4:80']).saveProxies();
+            }, /Could not lock/);
+            assert.ok(!fs.existsSync(file));
+            release();
+        });
+
+        it('keeps every proxy when runs save at the same time', function(done) {
+            this.timeout(20000);
+            var file = path.join(dir, 'proxies.txt');
+            var script = 'var Fetch = require(' + JSON.stringify(path.join(__dirname, '..', 'fetch')) + ');' +
+                'var fetch = new Fetch({quiet: true, outputFile: process.argv[1]});' +
+                'fetch._proxies = [1, 2, 3, 4, 5].map(function(i) {' +
+                '    return require("../lib/record").from("11." + process.argv[2] + ".0." + i + ":80"); });' +
+                'fetch.saveProxies();';
+            var pending = 3;
+
+            [1, 2, 3].forEach(function(run) {
+                childProcess.execFile(process.execPath, ['-e', script, file, run], {cwd: __dirname}, function(err) {
+                    if (err)
+                        return done(err);
+                    if (--pending)
+                        return;
+                    var lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+                    assert.strictEqual(lines.length, 15);
+                    assert.ok(!fs.existsSync(file + '.lock'));
+                    done();
+                });
+            });
+        });
+    });
+});
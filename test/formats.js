@@ -0,0 +1,80 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Fetch = require('../fetch');
+const formats = require('../lib/formats');
+const record = require('../lib/record');
+
+describe('formats', function() {
+    var records = [
+        record.from({ip: '1.2.3.4', port: '8080', protocol: 'HTTPS', country: 'United States, "NY"',
+            anonymity: 'High Anonymous', source: 'http://example.com/', fetchedAt: '2016-11-10T12:00:00.000Z'}),
+        record.from('5.6.7.8:3128')
+    ];
+
+    formats.names.forEach(function(name) {
+        it('round trips ' + name, function() {
+            var format = formats.get(name);
+            var parsed = format.parse(format.serialize(records));
+
+            if (name === 'txt')
+                assert.deepStrictEqual(parsed.map(record.key), records.map(record.key));
+            else
+                assert.deepStrictEqual(parsed, records);
+        });
+    });
+
+    it('detects the format from the file extension', function() {
+        assert.strictEqual(formats.detect('proxies.csv'), 'csv');
+        assert.strictEqual(formats.detect('proxies.jsonl'), 'ndjson');
+        assert.strictEqual(formats.detect('proxies.txt'), 'txt');
+        assert.strictEqual(formats.detect('-'), 'txt');
+    });
+
+    it('throws on an unknown format', function() {
+        assert.throws(function() {
+            new Fetch({format: 'xml'});
+        }, /Unknown format xml/);
+    });
+
+    describe('saveProxies', function() {
+        var dir;
+
+        beforeEach(function() {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-formats-'));
+        });
+
+        afterEach(function() {
+            fs.readdirSync(dir).forEach(function(file) {
+                fs.unlinkSync(path.join(dir, file));
+            });
+            fs.rmdirSync(dir);
+        });
+
+        ['json', 'ndjson', 'csv'].forEach(function(name) {
+            it('merges and dedupes against an existing ' + name + ' file', function() {
+                var outputFile = path.join(dir, 'proxies.' + name);
+                fs.writeFileSync(outputFile, formats.get(name).serialize([
+                    record.from({ip: '5.6.7.8', port: 3128, country: 'DE'}),
+                    record.from('9.9.9.9:80')
+                ]));
+
+                var fetch = new Fetch({outputFile: outputFile});
+                fetch.log = function() {};
+                fetch._proxies = records.map(function(proxy) {
+                    return Object.assign({}, proxy);
+                });
+                fetch.saveProxies();
+
+                var saved = formats.get(name).parse(fs.readFileSync(outputFile, 'utf8'));
+                assert.deepStrictEqual(saved.map(record.key), ['1.2.3.4:8080', '5.6.7.8:3128', '9.9.9.9:80']);
+                assert.strictEqual(saved[1].country, 'DE');
+            });
+        });
+    });
+});
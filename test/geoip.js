@@ -0,0 +1,134 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Fetch = require('../fetch');
+const GeoIP = require('../lib/geoip');
+const record = require('../lib/record');
+const mmdb = require('./helpers/mmdb');
+
+describe('GeoIP', function() {
+    var dir, city, asn, csv;
+
+    before(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-geoip-'));
+        city = path.join(dir, 'city.mmdb');
+        asn = path.join(dir, 'asn.mmdb');
+        csv = path.join(dir, 'ranges.csv');
+
+        fs.writeFileSync(city, mmdb.build({
+            '1.0.0.0/24': {country: {iso_code: 'AU'}, city: {names: {en: 'Sydney'}}},
+            '5.6.0.0/16': {registered_country: {iso_code: 'DE'}}
+        }));
+        fs.writeFileSync(asn, mmdb.build({
+            '1.0.0.0/24': {autonomous_system_number: 13335, autonomous_system_organization: 'Cloudflare'},
+            '8.8.8.0/24': {autonomous_system_number: 15169, autonomous_system_organization: 'Google LLC'}
+        }));
+        fs.writeFileSync(csv, [
+            'network,country_code,city,asn,org',
+            '11.0.0.0/16,US,"Washington, DC",AS749,DoD',
+            '2a00:1450::/32,IE,Dublin,15169,Google',
+            '12.0.0.0/8,US,,7018,AT&T'
+        ].join('\n') + '\n');
+    });
+
+    after(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('looks addresses up in MaxMind databases', function() {
+        var geoip = new GeoIP(city + ',' + asn);
+        assert.deepStrictEqual(geoip.lookup('1.0.0.7'), {country: 'AU', city: 'Sydney', asn: 13335, org: 'Cloudflare'});
+        assert.deepStrictEqual(geoip.lookup('5.6.7.8'), {country: 'DE', city: null, asn: null, org: null});
+        assert.deepStrictEqual(geoip.lookup('8.8.8.8'), {country: null, city: null, asn: 15169, org: 'Google LLC'});
+        assert.strictEqual(geoip.lookup('9.9.9.9'), null);
+        assert.strictEqual(geoip.lookup('2a00:1450::1'), null);
+    });
+
+    it('looks addresses up in CSV range databases', function() {
+        var geoip = new GeoIP([csv]);
+        assert.deepStrictEqual(geoip.lookup('11.0.255.255'), {country: 'US', city: 'Washington, DC', asn: 749, org: 'DoD'});
+        assert.deepStrictEqual(geoip.lookup('12.34.56.78'), {country: 'US', city: null, asn: 7018, org: 'AT&T'});
+        assert.strictEqual(geoip.lookup('11.1.0.0'), null);
+        assert.strictEqual(geoip.lookup('2a00:1450:4009::200e').country, 'IE');
+        assert.strictEqual(geoip.lookup('2a01::1'), null);
+    });
+
+    it('reads start and end columns', function() {
+        var database = GeoIP.parseCsv('start_ip,end_ip,country\n1.2.3.0,1.2.3.127,FR\n1.2.3.128,1.2.4.255,BE\n');
+        assert.strictEqual(database.lookup('1.2.3.127').country, 'FR');
+        assert.strictEqual(database.lookup('1.2.4.1').country, 'BE');
+        assert.strictEqual(database.lookup('1.2.5.0'), null);
+    });
+
+    it('rejects CSV files it cannot use', function() {
+        assert.throws(function() {
+            GeoIP.parseCsv('ip,country\n1.2.3.4,FR\n', 'bad.csv');
+        }, /bad.csv: expected a network/);
+        assert.throws(function() {
+            GeoIP.parseCsv('network,country\n1.2.3.0/33,FR\n', 'bad.csv');
+        }, /bad.csv line 2: Invalid network/);
+    });
+
+    describe('Fetch', function() {
+        function filtered(options, proxies) {
+            var fetch = new Fetch(Object.assign({quiet: true}, options));
+            fetch._proxies = proxies.map(function(proxy) {
+                proxy = record.from(proxy);
+                return fetch.geoip ? fetch.geoip.enrich(proxy) : proxy;
+            });
+            fetch.filterProxies();
+            return fetch._proxies.map(record.key);
+        }
+
+        it('adds what the database knows to each extracted proxy', function() {
+            var fetch = new Fetch({quiet: true, geoip: [city, asn]});
+            var proxies = fetch.extractProxies({url: 'http://example.com/', source: {},
+                body: '<p>1.0.0.1:8080</p><p>9.9.9.9:3128</p>', crawl: fetch.createCrawl(fetch.sources[0])});
+
+            assert.strictEqual(proxies[0].country, 'AU');
+            assert.strictEqual(proxies[0].city, 'Sydney');
+            assert.strictEqual(proxies[0].asn, 13335);
+            assert.strictEqual(proxies[0].org, 'Cloudflare');
+            assert.strictEqual(proxies[1].country, null);
+            assert.strictEqual(proxies[1].asn, undefined);
+        });
+
+        it('filters by country', function() {
+            var proxies = ['1.0.0.1:80', '5.6.7.8:80', '9.9.9.9:80'];
+            assert.deepStrictEqual(filtered({geoip: city, country: 'au,DE'}, proxies.slice()),
+                ['1.0.0.1:80', '5.6.7.8:80']);
+            assert.deepStrictEqual(filtered({geoip: city, excludeCountry: ['AU']}, proxies.slice()),
+                ['5.6.7.8:80', '9.9.9.9:80']);
+            // without a database the countries the sites gave are used
+            assert.deepStrictEqual(filtered({country: 'china'}, [{ip: '1.2.3.4', port: 80, country: 'China'}]),
+                ['1.2.3.4:80']);
+        });
+
+        it('filters by ASN', function() {
+            assert.deepStrictEqual(filtered({geoip: asn, asn: 'AS15169'}, ['1.0.0.1:80', '8.8.8.8:80']),
+                ['8.8.8.8:80']);
+            assert.throws(function() {
+                new Fetch({asn: [13335]});
+            }, /needs a geoip database/);
+            assert.throws(function() {
+                new Fetch({geoip: asn, asn: 'cloudflare'});
+            }, /Invalid option asn/);
+        });
+
+        it('excludes CIDR ranges from a blocklist file', function() {
+            var blocklist = path.join(dir, 'blocklist.txt');
+            fs.writeFileSync(blocklist, '# datacenters\n8.8.8.0/24\n\n1.0.0.0/30  # cloudflare\n');
+
+            assert.deepStrictEqual(filtered({excludeCidr: [blocklist, '11.0.0.0/8']},
+                ['8.8.8.8:80', '1.0.0.2:80', '1.0.0.4:80', '11.1.1.1:80']), ['1.0.0.4:80']);
+            assert.throws(function() {
+                new Fetch({excludeCidr: 'nonsense'});
+            }, /Invalid CIDR range/);
+        });
+    });
+});
@@ -0,0 +1,114 @@
+/*jshint esversion: 6 */
+'use strict';
+
+/**
+ * Writes tiny IPv4 MaxMind DB files for the tests, just enough of the format (http://maxmind.github.io/MaxMind-DB/)
+ * for a reader to look up maps of strings and numbers
+ */
+
+function control(type, size) {
+    var bytes = [];
+    var first = type <= 7 ? type << 5 : 0;
+    if (size < 29) {
+        bytes.push(first | size);
+    }
+    else if (size < 285) {
+        bytes.push(first | 29, size - 29);
+    }
+    else {
+        bytes.push(first | 30, (size - 285) >> 8, (size - 285) & 255);
+    }
+    // extended types go in the byte after the control byte
+    if (type > 7)
+        bytes.splice(1, 0, type - 7);
+    return Buffer.from(bytes);
+}
+
+function encode(value) {
+    if (typeof value === 'string') {
+        var str = Buffer.from(value, 'utf8');
+        return Buffer.concat([control(2, str.length), str]);
+    }
+    if (typeof value === 'number') {
+        var bytes = [];
+        for (var n = value; n > 0; n = Math.floor(n / 256))
+            bytes.unshift(n % 256);
+        return Buffer.concat([control(6, bytes.length), Buffer.from(bytes)]);
+    }
+    if (Array.isArray(value)) {
+        return Buffer.concat([control(11, value.length)].concat(value.map(encode)));
+    }
+    var keys = Object.keys(value);
+    return Buffer.concat([control(7, keys.length)].concat([].concat.apply([], keys.map(function(key) {
+        return [encode(key), encode(value[key])];
+    }))));
+}
+
+/**
+ * @param networks {'1.0.0.0/24': {country: {iso_code: 'AU'}}, ...} the networks mustn't overlap
+ * @returns {Buffer}
+ */
+function build(networks) {
+    var root = {};
+    var data = [];
+    var offset = 0;
+
+    Object.keys(networks).forEach(function(network) {
+        var parts = network.split('/');
+        var ip = parts[0].split('.').reduce(function(num, octet) {
+            return num * 256 + parseInt(octet, 10);
+        }, 0);
+        var prefix = parseInt(parts[1], 10);
+        var encoded = encode(networks[network]);
+
+        var node = root;
+        for (var bit = 0; bit < prefix; bit++) {
+            var side = Math.floor(ip / Math.pow(2, 31 - bit)) % 2 ? 'right' : 'left';
+            if (bit === prefix - 1)
+                node[side] = {data: offset};
+            else
+                node = node[side] = node[side] || {};
+        }
+        data.push(encoded);
+        offset += encoded.length;
+    });
+
+    // number the nodes breadth first, the root is 0
+    var nodes = [root];
+    for (var i = 0; i < nodes.length; i++) {
+        ['left', 'right'].forEach(function(side) {
+            var child = nodes[i][side];
+            if (child && child.data === undefined)
+                nodes.push(child);
+        });
+    }
+
+    var tree = Buffer.alloc(nodes.length * 6);
+    nodes.forEach(function(node, index) {
+        ['left', 'right'].forEach(function(side, s) {
+            var child = node[side];
+            var value = !child ? nodes.length :
+                (child.data !== undefined ? nodes.length + 16 + child.data : nodes.indexOf(child));
+            tree.writeUIntBE(value, index * 6 + s * 3, 3);
+        });
+    });
+
+    var metadata = encode({
+        node_count: nodes.length,
+        record_size: 24,
+        ip_version: 4,
+        database_type: 'fetch-test',
+        languages: ['en'],
+        binary_format_major_version: 2,
+        binary_format_minor_version: 0,
+        build_epoch: 1478779200,
+        description: {en: 'fetch.js test database'}
+    });
+
+    return Buffer.concat([tree, Buffer.alloc(16)].concat(data, [Buffer.from('abcdef4d61784d696e642e636f6d', 'hex'),
+        metadata]));
+}
+
+module.exports = {
+    build: build
+};
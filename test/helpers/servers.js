@@ -0,0 +1,113 @@
+/**
+ * Local stand-ins for the things fetch.js talks to over the network so the tests never leave the machine.
+ */
+
+/*jshint esversion: 6 */
+'use strict';
+
+const http = require('http');
+const net = require('net');
+const url = require('url');
+
+/**
+ * Start an http server on a random port
+ * @param handler
+ * @param callback function(server, baseUrl)
+ */
+function listen(handler, callback) {
+    var server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', function() {
+        callback(server, 'http://127.0.0.1:' + server.address().port);
+    });
+}
+
+/**
+ * A judge that echoes back the ip and headers it sees as JSON
+ * @param callback function(server, baseUrl)
+ */
+function judge(callback) {
+    listen(function(req, res) {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ip: req.socket.remoteAddress, headers: req.headers}));
+    }, callback);
+}
+
+/**
+ * A forwarding http proxy, addHeaders(req) returns any extra headers it should pass on
+ * @param addHeaders (optional)
+ * @param callback function(server, proxy) proxy is ip:port
+ */
+function proxy(addHeaders, callback) {
+    if (typeof addHeaders === 'function' && !callback) {
+        callback = addHeaders;
+        addHeaders = null;
+    }
+
+    listen(function(req, res) {
+        var target = url.parse(req.url);
+        var headers = Object.assign({}, req.headers, addHeaders ? addHeaders(req) : {});
+        delete headers['proxy-connection'];
+
+        var upstream = http.request({
+            hostname: target.hostname,
+            port: target.port,
+            path: target.path,
+            method: req.method,
+            headers: headers
+        }, function(upstreamRes) {
+            res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+            upstreamRes.pipe(res);
+        });
+        upstream.on('error', function() {
+            res.writeHead(502);
+            res.end();
+        });
+        req.pipe(upstream);
+    }, function(server, baseUrl) {
+        callback(server, baseUrl.replace('http://', ''));
+    });
+}
+
+/**
+ * A bare bones socks5 proxy, no auth and CONNECT only, which is all the socks agent needs
+ * @param callback function(server, proxy) proxy is ip:port
+ */
+function socks5(callback) {
+    var server = net.createServer(function(client) {
+        client.once('data', function(greeting) {
+            // no authentication
+            client.write(Buffer.from([5, 0]));
+            client.once('data', function(req) {
+                var host, offset;
+                if (req[3] === 1) {
+                    host = Array.prototype.slice.call(req, 4, 8).join('.');
+                    offset = 8;
+                }
+                else {
+                    host = req.slice(5, 5 + req[4]).toString();
+                    offset = 5 + req[4];
+                }
+                var port = req.readUInt16BE(offset);
+                var upstream = net.connect(port, host, function() {
+                    client.write(Buffer.from([5, 0, 0, 1, 0, 0, 0, 0, 0, 0]));
+                    upstream.pipe(client);
+                    client.pipe(upstream);
+                });
+                upstream.on('error', function() {
+                    client.end(Buffer.from([5, 1, 0, 1, 0, 0, 0, 0, 0, 0]));
+                });
+            });
+        });
+        client.on('error', function() {});
+    });
+    server.listen(0, '127.0.0.1', function() {
+        callback(server, '127.0.0.1:' + server.address().port);
+    });
+}
+
+module.exports = {
+    listen: listen,
+    judge: judge,
+    proxy: proxy,
+    socks5: socks5
+};
@@ -0,0 +1,67 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+
+const Fetch = require('../fetch');
+
+describe('heuristic extractor', function() {
+    var fetch;
+
+    before(function() {
+        fetch = new Fetch();
+        fetch.log = function() {};
+    });
+
+    function extract(body) {
+        return fetch.extractProxies({url: 'http://unknown.example.com/list', body: body});
+    }
+
+    function keys(proxies) {
+        return proxies.map(function(proxy) {
+            return proxy.ip + ':' + proxy.port;
+        });
+    }
+
+    it('reads plain text lists', function() {
+        var proxies = extract('1.2.3.4:8080\r\n5.6.7.8:3128\n# comment\n999.1.1.1:80\n');
+        assert.deepStrictEqual(keys(proxies), ['1.2.3.4:8080', '5.6.7.8:3128']);
+        assert.strictEqual(proxies[0].heuristic, true);
+        assert.strictEqual(proxies[0].source, 'http://unknown.example.com/list');
+    });
+
+    it('finds ip:port pairs in the visible text', function() {
+        var proxies = extract('<html><head><script>var x = "9.9.9.9:99";</script></head><body>' +
+            '<p>Fresh today: 1.2.3.4:8080, and <b>5.6.7.8</b>:<i>3128</i></p></body></html>');
+        assert.deepStrictEqual(keys(proxies), ['1.2.3.4:8080', '5.6.7.8:3128']);
+    });
+
+    it('reads tables by their headers', function() {
+        var proxies = extract('<table><tr><th>Country</th><th>IP Address</th><th>Port</th></tr>' +
+            '<tr><td>US</td><td>1.2.3.4</td><td>8080</td></tr>' +
+            '<tr><td>DE</td><td>5.6.7.8</td><td>3128</td></tr></table>');
+        assert.deepStrictEqual(keys(proxies), ['1.2.3.4:8080', '5.6.7.8:3128']);
+    });
+
+    it('reads tables without headers by their contents', function() {
+        var proxies = extract('<table><tr><td>1</td><td>1.2.3.4</td><td>8080</td><td>elite</td></tr>' +
+            '<tr><td>2</td><td>5.6.7.8</td><td>3128</td><td>anonymous</td></tr></table>');
+        assert.deepStrictEqual(keys(proxies), ['1.2.3.4:8080', '5.6.7.8:3128']);
+    });
+
+    it('walks json for ip and port fields', function() {
+        var proxies = extract(JSON.stringify({data: {list: [
+            {IP: '1.2.3.4', Port: 8080, type: 'HTTPS', country_code: 'US'},
+            {proxy: '5.6.7.8:3128'},
+            {host: 'not an ip', port: 80}
+        ]}}));
+        assert.deepStrictEqual(keys(proxies), ['1.2.3.4:8080', '5.6.7.8:3128']);
+        assert.strictEqual(proxies[0].protocol, 'https');
+        assert.strictEqual(proxies[0].country, 'US');
+    });
+
+    it('leaves urls with an extractor alone', function() {
+        var proxies = fetch.extractProxies({url: 'http://www.us-proxy.org/', body: '1.2.3.4:8080'});
+        assert.deepStrictEqual(proxies, []);
+    });
+});
@@ -0,0 +1,77 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+
+const Fetch = require('../fetch');
+
+describe('logging', function() {
+    var logged, original;
+
+    beforeEach(function() {
+        logged = [];
+        original = console.log;
+        console.log = function(line) {
+            logged.push(line);
+        };
+    });
+
+    afterEach(function() {
+        console.log = original;
+    });
+
+    it('writes one JSON object per event', function() {
+        var fetch = new Fetch({logLevel: 'info', logFormat: 'json'});
+        fetch.log({event: 'saved', file: 'proxies.txt', count: 12}, "c:cyan", "Saved ", "c:cyan bold", 12,
+            "c:cyan", " unique proxies to ", "c:cyan bold", "proxies.txt");
+        fetch.log("c:red", "Gave up on ", "c:red bold", "example.com");
+        fetch.log();
+
+        assert.strictEqual(logged.length, 2);
+        var saved = JSON.parse(logged[0]);
+        assert.ok(!isNaN(new Date(saved.time).getTime()));
+        assert.deepStrictEqual(Object.assign(saved, {time: null}), {time: null, level: 'info', event: 'saved',
+            file: 'proxies.txt', count: 12, message: 'Saved 12 unique proxies to proxies.txt'});
+        var error = JSON.parse(logged[1]);
+        assert.strictEqual(error.level, 'error');
+        assert.strictEqual(error.event, 'log');
+        assert.strictEqual(error.message, 'Gave up on example.com');
+    });
+
+    it('leaves the event fields out of text', function() {
+        var fetch = new Fetch({logLevel: 'info'});
+        fetch.log({event: 'saved', count: 12}, "Saved ", 12);
+        assert.strictEqual(logged.length, 1);
+        assert.ok(/> +Saved 12$/.test(logged[0].replace(/\u001b\[\d+m/g, '')));
+    });
+
+    it('only logs warnings and errors at their levels', function() {
+        var fetch = new Fetch({logLevel: 'error', logFormat: 'json'});
+        fetch.log("Saved ", 12);
+        fetch.log("c:yellow", "Retrying");
+        fetch.log({level: 'error', event: 'error'}, "Could not save");
+        fetch.log("c:bgRed bold", "Unable to verify");
+        assert.deepStrictEqual(logged.map(function(line) {
+            return JSON.parse(line).message;
+        }), ['Could not save', 'Unable to verify']);
+
+        logged = [];
+        fetch = new Fetch({logLevel: 'warn'});
+        fetch.log("Saved ", 12);
+        fetch.log("c:yellow", "Retrying");
+        assert.strictEqual(logged.length, 1);
+
+        logged = [];
+        new Fetch({quiet: true}).log("c:red", "Gave up");
+        assert.strictEqual(logged.length, 0);
+    });
+
+    it('rejects unknown levels and formats', function() {
+        assert.throws(function() {
+            new Fetch({logLevel: 'debug'});
+        }, /Invalid option logLevel/);
+        assert.throws(function() {
+            new Fetch({logFormat: 'xml'});
+        }, /Invalid option logFormat/);
+    });
+});
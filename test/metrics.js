@@ -0,0 +1,110 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const Fetch = require('../fetch');
+const Metrics = require('../lib/metrics');
+const Server = require('../lib/server');
+const servers = require('./helpers/servers');
+
+describe('Metrics', function() {
+    var server, baseUrl, dir;
+
+    before(function(done) {
+        servers.listen(function(req, res) {
+            if (req.url === '/down') {
+                res.statusCode = 503;
+                return res.end('down');
+            }
+            // one page of proxies, the second is empty
+            res.end(/p=1/.test(req.url) ? '<p>11.0.0.1:8080</p><p>11.0.0.2:8080</p>' : '<p>nothing</p>');
+        }, function(s, url) {
+            server = s;
+            baseUrl = url;
+            done();
+        });
+    });
+
+    after(function() {
+        server.close();
+    });
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-metrics-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    function fetchWith(options) {
+        return new Fetch(Object.assign({quiet: true, retries: 1, retryDelay: 1, sources: [
+            {name: 'good', url: baseUrl + '/list?p={page}'},
+            {name: 'bad "one"', url: baseUrl + '/down'}
+        ]}, options));
+    }
+
+    it('counts requests, errors and proxies found by source', function(done) {
+        var fetch = fetchWith({});
+        fetch.run().then(function() {
+            return fetch.run();
+        }).then(function() {
+            var json = fetch.metrics.toJSON();
+            assert.deepStrictEqual(json.fetch_requests_total, {good: 4, 'bad "one"': 4});
+            assert.deepStrictEqual(json.fetch_request_errors_total, {'bad "one"': 4});
+            assert.deepStrictEqual(json.fetch_pages_total, {good: 4, 'bad "one"': 0});
+            assert.deepStrictEqual(json.fetch_proxies_found_total, {good: 4, 'bad "one"': 0});
+            assert.strictEqual(json.fetch_runs_total, 2);
+            assert.ok(json.fetch_run_duration_seconds >= 0);
+            assert.strictEqual(json.fetch_proxies, null);
+
+            var text = fetch.metrics.render();
+            assert.ok(text.indexOf('# TYPE fetch_requests_total counter\n') > -1);
+            assert.ok(text.indexOf('fetch_requests_total{source="good"} 4\n') > -1);
+            assert.ok(text.indexOf('fetch_request_errors_total{source="bad \\"one\\""} 4\n') > -1);
+            assert.ok(text.indexOf('fetch_runs_total 2\n') > -1);
+            done();
+        }).catch(done);
+    });
+
+    it('starts with no runs', function() {
+        var metrics = new Metrics(new Fetch({quiet: true}));
+        assert.ok(/\nfetch_runs_total 0\n/.test(metrics.render()));
+        assert.ok(!/fetch_proxies \d/.test(metrics.render()));
+    });
+
+    it('writes the metrics file after every run', function(done) {
+        var fetch = fetchWith({outputFile: path.join(dir, 'proxies.txt'), metrics: path.join(dir, 'metrics.json')});
+        fetch.on('idle', function() {
+            var json = JSON.parse(fs.readFileSync(path.join(dir, 'metrics.json'), 'utf8'));
+            assert.strictEqual(json.fetch_runs_total, 1);
+            assert.strictEqual(json.fetch_proxies, 2);
+            assert.strictEqual(json.fetch_requests_total.good, 2);
+            done();
+        });
+        fetch.main();
+    });
+
+    it('is served on /metrics', function(done) {
+        var fetch = new Fetch({quiet: true});
+        var api = new Server(fetch).listen(0, '127.0.0.1', function() {
+            http.get({host: '127.0.0.1', port: api.port(), path: '/metrics'}, function(res) {
+                var body = '';
+                res.on('data', function(chunk) {
+                    body += chunk;
+                });
+                res.on('end', function() {
+                    assert.strictEqual(res.statusCode, 200);
+                    assert.ok(/^text\/plain; version=0.0.4/.test(res.headers['content-type']));
+                    assert.strictEqual(body, fetch.metrics.render());
+                    api.close(done);
+                });
+            });
+        });
+    });
+});
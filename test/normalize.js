@@ -0,0 +1,95 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+
+const Fetch = require('../fetch');
+const normalize = require('../lib/normalize');
+const record = require('../lib/record');
+
+describe('normalize', function() {
+    it('checks IPv4 addresses and strips leading zeros', function() {
+        assert.strictEqual(normalize.ip('001.002.003.004'), '1.2.3.4');
+        assert.strictEqual(normalize.ip(' 8.8.8.8 '), '8.8.8.8');
+        ['1.2.3.4x', 'x1.2.3.4', '1.2.3', '1.2.3.256', '1.2.3.4.5', 'undefined', '', undefined].forEach(function(ip) {
+            assert.strictEqual(normalize.ip(ip), null, ip);
+        });
+    });
+
+    it('writes IPv6 addresses in their short form', function() {
+        assert.strictEqual(normalize.ip('2A00:1450:4001:0000:0000:0000:0000:0068'), '2a00:1450:4001::68');
+        assert.strictEqual(normalize.ip('[2a00:1450::1:0:0:0:1]'), '2a00:1450:0:1::1');
+        assert.strictEqual(normalize.ip('::ffff:8.8.8.8'), '8.8.8.8');
+        assert.strictEqual(normalize.ip('2a00::1::2'), null);
+    });
+
+    it('only accepts decimal ports 1-65535', function() {
+        assert.strictEqual(normalize.port('08080'), 8080);
+        assert.strictEqual(normalize.port(3128), 3128);
+        [0, 65536, '0x1F90', '80a', '', null, undefined].forEach(function(port) {
+            assert.strictEqual(normalize.port(port), null, port);
+        });
+    });
+
+    it('knows the ranges no public proxy lives in', function() {
+        var ranges = {
+            '10.1.2.3': 'private', '172.16.0.1': 'private', '192.168.1.1': 'private', 'fd00::1': 'private',
+            '127.0.0.1': 'loopback', '::1': 'loopback',
+            '169.254.1.1': 'link-local', 'fe80::1': 'link-local',
+            '224.0.0.1': 'multicast', 'ff02::1': 'multicast',
+            '0.0.0.0': 'reserved', '192.0.2.1': 'reserved', '255.255.255.255': 'reserved', '2001:db8::1': 'reserved',
+            '172.32.0.1': null, '8.8.8.8': null, '2a00:1450:4001::68': null
+        };
+        Object.keys(ranges).forEach(function(ip) {
+            assert.strictEqual(normalize.range(ip), ranges[ip], ip);
+        });
+    });
+
+    it('matches CIDR ranges', function() {
+        assert.ok(normalize.cidr('1.2.3.0/24')('1.2.3.200'));
+        assert.ok(!normalize.cidr('1.2.3.0/24')('1.2.4.1'));
+        assert.ok(normalize.cidr('1.2.3.4')('1.2.3.4'));
+        assert.ok(normalize.cidr('2a00::/12')('2a0f::1'));
+        assert.ok(!normalize.cidr('2a00::/12')('2a10::1'));
+        assert.ok(!normalize.cidr('0.0.0.0/0')('::1'));
+        assert.throws(function() {
+            normalize.cidr('1.2.3.0/33');
+        }, /Invalid CIDR range/);
+    });
+
+    it('brackets IPv6 addresses in keys', function() {
+        var proxy = record.from('socks5://[2a00:1450:4001::68]:1080');
+        assert.strictEqual(proxy.ip, '2a00:1450:4001::68');
+        assert.strictEqual(record.key(proxy), '[2a00:1450:4001::68]:1080');
+        assert.strictEqual(record.toUrl(proxy), 'socks5://[2a00:1450:4001::68]:1080');
+    });
+
+    it('drops and counts what extractors get wrong', function() {
+        var fetch = new Fetch({quiet: true});
+        var crawl = fetch.createCrawl(fetch.sources[0]);
+        var proxies = fetch.extractProxies({url: 'https://nordvpn.com/', crawl: crawl, body: JSON.stringify([
+            {ip: '008.008.004.004', port: '08080', type: 'HTTP'},
+            {ip: '[2a00:1450:4001::68]', port: 3128, type: 'HTTPS'},
+            {ip: 'undefined', port: 80},
+            {ip: '1.2.3.4x', port: 80},
+            {ip: '5.6.7.8', port: '0x1F90'},
+            {ip: '5.6.7.8', port: 70000},
+            {ip: '192.168.1.1', port: 80},
+            {ip: '127.0.0.1', port: 80}
+        ])});
+
+        assert.deepStrictEqual(proxies.map(record.key), ['8.8.4.4:8080', '[2a00:1450:4001::68]:3128']);
+        assert.deepStrictEqual(fetch._rejected, {'invalid ip': 2, 'invalid port': 2, private: 1, loopback: 1});
+        assert.strictEqual(crawl.stats.invalid, 6);
+        assert.deepStrictEqual(crawl.stats.rejected, fetch._rejected);
+
+        var logged = [];
+        fetch.quiet = false;
+        fetch.log = function() {
+            logged.push(Array.prototype.join.call(arguments, ''));
+        };
+        fetch.logRejected();
+        assert.strictEqual(logged.length, 1);
+        assert.ok(/6.* proxies: 2 invalid ip, 2 invalid port, 1 private, 1 loopback$/.test(logged[0]), logged[0]);
+    });
+});
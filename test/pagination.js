@@ -0,0 +1,117 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const url = require('url');
+
+const Fetch = require('../fetch');
+const sources = require('../lib/sources');
+const servers = require('./helpers/servers');
+
+describe('pagination', function() {
+    var server, baseUrl;
+    var requested = [];
+    // /next/a links to b, b to c and c nowhere. /loop/x and /loop/y link to each other
+    var links = {'/next/a': 'b', '/next/b': '/next/c', '/loop/x': 'y', '/loop/y': 'x'};
+
+    before(function(done) {
+        servers.listen(function(req, res) {
+            var parsed = url.parse(req.url, true);
+            requested.push(req.url);
+
+            if (parsed.pathname === '/numbered') {
+                // anything past page 3 gets page 3 again
+                var page = Math.min(parseInt(parsed.query.p, 10), 3);
+                return res.end('<p>11.0.0.' + page + ':8080</p><p>11.0.1.' + page + ':8080</p>');
+            }
+
+            var link = links[parsed.pathname];
+            res.end('<p>11.0.2.' + requested.length + ':3128</p>' +
+                (link ? '<a class="next" href="' + link + '">next</a>' : ''));
+        }, function(s, url) {
+            server = s;
+            baseUrl = url;
+            done();
+        });
+    });
+
+    after(function() {
+        server.close();
+    });
+
+    beforeEach(function() {
+        requested = [];
+    });
+
+    function run(options, callback) {
+        new Fetch(Object.assign({quiet: true, retries: 0}, options)).run().then(function(proxies) {
+            callback(proxies.length);
+        }).catch(callback);
+    }
+
+    it('zero pads pages to any width', function() {
+        var source = sources.parse('http://example.com/?p={page:0001}');
+        assert.strictEqual(sources.buildRequest(source, 12).url, 'http://example.com/?p=0012');
+        assert.strictEqual(sources.buildRequest(source, 12345).url, 'http://example.com/?p=12345');
+
+        source = sources.parse('http://example.com/?p={page:000-25}');
+        assert.deepStrictEqual(source.pagination, {start: 0, step: 25, max: null, pad: 3});
+        assert.strictEqual(sources.buildRequest(source, 75).url, 'http://example.com/?p=075');
+
+        source = sources.parse({url: 'http://example.com/{page}.html', pagination: {pad: 6}});
+        assert.strictEqual(sources.buildRequest(source, 7).url, 'http://example.com/000007.html');
+    });
+
+    it('stops when a page repeats the last one', function(done) {
+        run({urls: [baseUrl + '/numbered?p={page:001}']}, function(count) {
+            assert.strictEqual(count, 6);
+            assert.deepStrictEqual(requested, ['/numbered?p=001', '/numbered?p=002', '/numbered?p=003',
+                '/numbered?p=004']);
+            done();
+        });
+    });
+
+    it('stops after maxPages, globally or per source', function(done) {
+        run({urls: [baseUrl + '/numbered?p={page}'], maxPages: 2}, function(count) {
+            assert.strictEqual(count, 4);
+            assert.deepStrictEqual(requested, ['/numbered?p=1', '/numbered?p=2']);
+
+            requested = [];
+            run({sources: [{url: baseUrl + '/numbered?p={page}', pagination: {maxPages: 1}}], maxPages: 2}, function(count) {
+                assert.strictEqual(count, 2);
+                assert.deepStrictEqual(requested, ['/numbered?p=1']);
+                done();
+            });
+        });
+    });
+
+    it('rejects a bad maxPages', function() {
+        assert.throws(function() {
+            sources.parse({url: 'http://example.com/{page}', pagination: {maxPages: 'lots'}});
+        }, /maxPages must be a number above 0/);
+    });
+
+    it('follows next links until there are none', function(done) {
+        run({sources: [{url: baseUrl + '/next/a', pagination: {next: 'a.next'}}]}, function(count) {
+            assert.strictEqual(count, 3);
+            assert.deepStrictEqual(requested, ['/next/a', '/next/b', '/next/c']);
+            done();
+        });
+    });
+
+    it('does not follow next links round in circles', function(done) {
+        run({sources: [{url: baseUrl + '/loop/x', pagination: {next: 'a.next'}}]}, function(count) {
+            assert.strictEqual(count, 2);
+            assert.deepStrictEqual(requested, ['/loop/x', '/loop/y']);
+            done();
+        });
+    });
+
+    it('stops following next links at maxPages', function(done) {
+        run({sources: [{url: baseUrl + '/next/a', pagination: {next: 'a.next', maxPages: 2}}]}, function(count) {
+            assert.strictEqual(count, 2);
+            assert.deepStrictEqual(requested, ['/next/a', '/next/b']);
+            done();
+        });
+    });
+});
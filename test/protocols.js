@@ -0,0 +1,112 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Fetch = require('../fetch');
+const Verifier = require('../lib/verify');
+const record = require('../lib/record');
+const servers = require('./helpers/servers');
+
+describe('protocols', function() {
+    var dir;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-protocols-'));
+    });
+
+    afterEach(function() {
+        fs.readdirSync(dir).forEach(function(file) {
+            fs.unlinkSync(path.join(dir, file));
+        });
+        fs.rmdirSync(dir);
+    });
+
+    function records() {
+        return [
+            record.from({ip: '1.2.3.4', port: 8080}),
+            record.from({ip: '1.2.3.5', port: 443, protocol: 'HTTPS'}),
+            record.from({ip: '1.2.3.6', port: 1080, protocol: 'SOCKS5'}),
+            record.from({ip: '1.2.3.7', port: 1080, protocol: 'socks4'})
+        ];
+    }
+
+    it('keeps every proxy type from nordvpn', function() {
+        var fetch = new Fetch();
+        fetch.log = function() {};
+        var proxies = fetch.extractProxies({url: 'https://nordvpn.com/wp-admin/admin-ajax.php', body: JSON.stringify([
+            {ip: '1.2.3.4', port: 80, type: 'HTTP'},
+            {ip: '1.2.3.5', port: 1080, type: 'SOCKS5'}
+        ])});
+        assert.deepStrictEqual(proxies.map(record.toUrl), ['http://1.2.3.4:80', 'socks5://1.2.3.5:1080']);
+    });
+
+    it('parses scheme prefixed proxies', function() {
+        var proxy = record.from('socks4://1.2.3.4:1080');
+        assert.strictEqual(proxy.protocol, 'socks4');
+        assert.strictEqual(record.key(proxy), '1.2.3.4:1080');
+    });
+
+    it('filters by protocol, treating unknown as http', function() {
+        var fetch = new Fetch({protocol: 'socks5,http'});
+        fetch._proxies = records();
+        fetch.filterProxies();
+        assert.deepStrictEqual(fetch._proxies.map(record.key), ['1.2.3.4:8080', '1.2.3.6:1080']);
+    });
+
+    it('saves scheme prefixed txt output', function() {
+        var outputFile = path.join(dir, 'proxies.txt');
+        var fetch = new Fetch({outputFile: outputFile, scheme: true});
+        fetch.log = function() {};
+        fetch._proxies = records();
+        fetch.saveProxies();
+
+        assert.strictEqual(fs.readFileSync(outputFile, 'utf8'),
+            'http://1.2.3.4:8080\nhttps://1.2.3.5:443\nsocks5://1.2.3.6:1080\nsocks4://1.2.3.7:1080');
+    });
+
+    it('saves each protocol to its own file', function() {
+        var outputFile = path.join(dir, 'proxies.txt');
+        fs.writeFileSync(path.join(dir, 'proxies_socks5.txt'), '9.9.9.9:1080');
+
+        var fetch = new Fetch({outputFile: outputFile, splitProtocols: true});
+        var files;
+        fetch.log = function() {};
+        fetch.on('complete', function(outputFiles) {
+            files = outputFiles;
+        });
+        fetch._proxies = records();
+        fetch.saveProxies();
+
+        assert.deepStrictEqual(files, ['http', 'https', 'socks4', 'socks5'].map(function(protocol) {
+            return path.join(dir, 'proxies_' + protocol + '.txt');
+        }));
+        assert.strictEqual(fs.readFileSync(path.join(dir, 'proxies_socks5.txt'), 'utf8'), '1.2.3.6:1080\n9.9.9.9:1080');
+        assert.strictEqual(fetch._proxies.filter(function(proxy) {
+            return proxy.ip === '9.9.9.9';
+        })[0].protocol, 'socks5');
+    });
+
+    it('places the protocol where {protocol} is in the output file', function() {
+        var fetch = new Fetch();
+        assert.strictEqual(fetch.protocolFile('/tmp/{protocol}/list.txt', 'socks4'), '/tmp/socks4/list.txt');
+    });
+
+    it('verifies socks proxies through a socks agent', function(done) {
+        servers.judge(function(judge, judgeUrl) {
+            servers.socks5(function(socks, proxy) {
+                new Verifier({judgeUrl: judgeUrl + '/', timeout: 2e3}).verify(['socks5://' + proxy], function(err, results) {
+                    judge.close();
+                    socks.close();
+                    assert.ifError(err);
+                    assert.strictEqual(results[0].alive, true);
+                    assert.strictEqual(results[0].anonymity, 'elite');
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,78 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Fetch = require('../fetch');
+const Registry = require('../lib/registry');
+
+describe('Registry', function() {
+    var dir;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-registry-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    function extractor(name, fields) {
+        return Object.assign({name: name, parse: function() {
+            return [];
+        }}, fields);
+    }
+
+    it('finds the extractor for a host, its subdomains or a url pattern', function() {
+        var registry = new Registry()
+            .register(extractor('example', {hosts: ['example.com']}))
+            .register(extractor('lists', {patterns: [/example\.org\/lists\//]}));
+
+        assert.strictEqual(registry.find('http://example.com/proxies').name, 'example');
+        assert.strictEqual(registry.find('http://www.EXAMPLE.com/proxies').name, 'example');
+        assert.strictEqual(registry.find('http://notexample.com/'), null);
+        assert.strictEqual(registry.find('http://example.org/lists/1').name, 'lists');
+        assert.strictEqual(registry.find('http://example.org/other'), null);
+        assert.strictEqual(registry.get('lists').name, 'lists');
+        assert.strictEqual(registry.get('missing'), null);
+    });
+
+    it('prefers the extractors registered last', function() {
+        var registry = new Registry()
+            .register(extractor('built-in', {hosts: ['example.com']}))
+            .register(extractor('mine', {hosts: ['example.com']}));
+        assert.strictEqual(registry.find('http://example.com/').name, 'mine');
+    });
+
+    it('rejects extractors without a name, parse function or hosts', function() {
+        assert.throws(function() {
+            new Registry().register({name: 'nothing', hosts: ['example.com']});
+        }, /missing parse function/);
+        assert.throws(function() {
+            new Registry().register({hosts: ['example.com'], parse: function() {}}, 'mine.js');
+        }, /Invalid extractor mine.js: missing name/);
+        assert.throws(function() {
+            new Registry().register(extractor('anywhere'));
+        }, /must declare hosts or patterns/);
+    });
+
+    it('loads the built-in extractors and your own from a directory', function() {
+        fs.writeFileSync(path.join(dir, 'mine.js'), "module.exports = [" +
+            "{name: 'one', hosts: ['one.example'], parse: function() { return ['1.2.3.4:8080']; }}," +
+            "{name: 'two', hosts: ['two.example'], parse: function() { return []; }}];");
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'not an extractor');
+
+        var fetch = new Fetch({quiet: true, extractors: [dir, extractor('three', {hosts: ['three.example']})]});
+        ['hidemyass', 'incloak', 'cool-proxy', 'samair', 'gatherproxy', 'one', 'two', 'three'].forEach(function(name) {
+            assert.ok(fetch.registry.get(name), name);
+        });
+
+        var proxies = fetch.extractProxies({url: 'http://www.one.example/', body: '<html></html>'});
+        assert.deepStrictEqual(proxies.map(function(proxy) {
+            return proxy.ip + ':' + proxy.port;
+        }), ['1.2.3.4:8080']);
+    });
+});
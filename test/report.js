@@ -0,0 +1,136 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Fetch = require('../fetch');
+const report = require('../lib/report');
+const servers = require('./helpers/servers');
+
+describe('health report', function() {
+    var server, baseUrl, dir;
+    var listed = [];
+
+    // hands back whatever the test put in listed, as is
+    var raw = {
+        name: 'raw',
+        hosts: ['127.0.0.1'],
+        parse: function($, data) {
+            return JSON.parse(data.body);
+        }
+    };
+
+    before(function(done) {
+        servers.listen(function(req, res) {
+            res.end(JSON.stringify(listed));
+        }, function(s, url) {
+            server = s;
+            baseUrl = url;
+            done();
+        });
+    });
+
+    after(function() {
+        server.close();
+    });
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-report-'));
+    });
+
+    afterEach(function() {
+        fs.readdirSync(dir).forEach(function(file) {
+            fs.unlinkSync(path.join(dir, file));
+        });
+        fs.rmdirSync(dir);
+    });
+
+    function proxies(count) {
+        var list = [];
+        for (var i = 0; i < count; i++)
+            list.push({ip: '11.0.' + Math.floor(i / 250) + '.' + (i % 250 + 1), port: 8080});
+        return list;
+    }
+
+    /**
+     * Run once against the local server, calling back with the report and any broken sources
+     */
+    function run(callback) {
+        var fetch = new Fetch({
+            urls: [baseUrl + '/list'],
+            extractors: [raw],
+            outputFile: path.join(dir, 'proxies.txt'),
+            report: path.join(dir, 'report.json'),
+            retries: 0
+        });
+        var broken = [];
+        fetch.log = function() {};
+        fetch.on('sourceBroken', function(entry) {
+            broken.push(entry);
+        });
+        fetch.on('complete', function() {
+            callback(JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8')), broken);
+        });
+        fetch.main();
+    }
+
+    it('takes the median of the history', function() {
+        assert.strictEqual(report.median([]), 0);
+        assert.strictEqual(report.median([300, 5, 200]), 200);
+        assert.strictEqual(report.median([100, 300, 0, 200]), 150);
+    });
+
+    it('tells a broken source from a failed, degraded or new one', function() {
+        var entry = function(found, extra) {
+            return Object.assign({extracted: found, invalid: 0, duplicate: 0, found: found, failure: null}, extra);
+        };
+        assert.strictEqual(report.verdict(entry(250), [300, 280]).health, 'ok');
+        assert.strictEqual(report.verdict(entry(0), [300, 280]).health, 'broken');
+        assert.strictEqual(report.verdict(entry(40), [300, 280]).health, 'degraded');
+        assert.strictEqual(report.verdict(entry(0), []).health, 'empty');
+        assert.strictEqual(report.verdict(entry(0), [3]).health, 'empty');
+        assert.strictEqual(report.verdict(entry(10, {extracted: 100, invalid: 90}), []).health, 'broken');
+        assert.deepStrictEqual(report.verdict(entry(0, {failure: {reason: 'HTTP 503', attempts: 4}}), [300]),
+            {health: 'failed', reason: 'HTTP 503 after 4 attempts'});
+    });
+
+    it('records pages, statuses, invalid and duplicate proxies for each source', function(done) {
+        listed = proxies(5).concat({ip: '11.0.0.1', port: 8080}, {ip: '999.1.2.3', port: 80}, {ip: '1.2.3.4', port: 0});
+        run(function(health, broken) {
+            var entry = health.sources[0];
+            assert.strictEqual(entry.url, baseUrl + '/list');
+            assert.strictEqual(entry.pages, 1);
+            assert.deepStrictEqual(entry.statuses, {200: 1});
+            assert.strictEqual(entry.extracted, 8);
+            assert.strictEqual(entry.invalid, 2);
+            assert.deepStrictEqual(entry.rejected, {'invalid ip': 1, 'invalid port': 1});
+            assert.strictEqual(entry.duplicate, 1);
+            assert.strictEqual(entry.found, 5);
+            assert.strictEqual(entry.health, 'ok');
+            assert.deepStrictEqual(entry.history, [5]);
+            assert.strictEqual(health.found, 5);
+            assert.deepStrictEqual(broken, []);
+            done();
+        });
+    });
+
+    it('flags a source that suddenly returns nothing', function(done) {
+        listed = proxies(300);
+        run(function(first) {
+            assert.strictEqual(first.sources[0].health, 'ok');
+
+            listed = [];
+            run(function(second, broken) {
+                assert.strictEqual(second.sources[0].health, 'broken');
+                assert.deepStrictEqual(second.sources[0].history, [300, 0]);
+                assert.deepStrictEqual(second.broken, [baseUrl + '/list']);
+                assert.strictEqual(broken.length, 1);
+                assert.strictEqual(broken[0].reason, 'no proxies found, usually 300');
+                done();
+            });
+        });
+    });
+});
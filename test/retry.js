@@ -0,0 +1,109 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+
+const Fetch = require('../fetch');
+const retry = require('../lib/retry');
+const servers = require('./helpers/servers');
+
+describe('retries', function() {
+    var server, baseUrl;
+    var hits = {};
+    // each path answers with the statuses listed in turn, then 200
+    var plans = {
+        '/flaky': [500, 502],
+        '/limited': [429],
+        '/down': [503, 503, 503, 503, 503],
+        '/missing': [404]
+    };
+
+    before(function(done) {
+        servers.listen(function(req, res) {
+            var hit = hits[req.url] = (hits[req.url] || 0) + 1;
+            var status = (plans[req.url] || [])[hit - 1] || 200;
+            if (status === 429)
+                res.setHeader('Retry-After', '0');
+            res.writeHead(status);
+            res.end('ok');
+        }, function(s, url) {
+            server = s;
+            baseUrl = url;
+            done();
+        });
+    });
+
+    after(function() {
+        server.close();
+    });
+
+    /**
+     * Fetch a single page source and hand back the 'fetchPage' data
+     */
+    function fetchOne(path, callback) {
+        var fetch = new Fetch({urls: [baseUrl + path], retries: 3, retryDelay: 5});
+        fetch.log = function() {};
+        var crawl = fetch.createCrawl(fetch.sources[0]);
+        fetch.once('fetchPage', function(data) {
+            callback(data, crawl);
+        });
+        fetch.fetchPage(crawl);
+    }
+
+    it('backs off exponentially with jitter', function() {
+        for (var i = 0; i < 20; i++) {
+            var wait = retry.delay(3, 100, 1e4);
+            assert.ok(wait >= 200 && wait <= 400, wait);
+        }
+        assert.ok(retry.delay(10, 100, 1e3) <= 1e3);
+    });
+
+    it('honours Retry-After on 429 and 503', function() {
+        assert.strictEqual(retry.delay(1, 100, 200e3, {statusCode: 429, headers: {'retry-after': '120'}}), 120e3);
+        assert.strictEqual(retry.delay(1, 100, 1e3, {statusCode: 503, headers: {'retry-after': 'garbage'}}) <= 100, true);
+        assert.ok(retry.retryAfter(new Date(new Date().getTime() + 5e3).toUTCString()) > 3e3);
+    });
+
+    it('waits no longer than the maximum however long Retry-After asks for', function() {
+        assert.strictEqual(retry.delay(1, 100, 30e3, {statusCode: 429, headers: {'retry-after': '86400'}}), 30e3);
+        assert.strictEqual(retry.delay(1, 100, 30e3, {statusCode: 503,
+            headers: {'retry-after': new Date(new Date().getTime() + 864e5).toUTCString()}}), 30e3);
+    });
+
+    it('retries a page until it succeeds', function(done) {
+        fetchOne('/flaky', function(data, crawl) {
+            assert.strictEqual(data.response.statusCode, 200);
+            assert.strictEqual(data.attempts, 3);
+            assert.strictEqual(crawl.failure, undefined);
+            done();
+        });
+    });
+
+    it('retries a 429 after Retry-After', function(done) {
+        fetchOne('/limited', function(data) {
+            assert.strictEqual(data.response.statusCode, 200);
+            assert.strictEqual(data.attempts, 2);
+            done();
+        });
+    });
+
+    it('records why a source was abandoned once the retries run out', function(done) {
+        fetchOne('/down', function(data, crawl) {
+            assert.strictEqual(data.response.statusCode, 503);
+            assert.deepStrictEqual(crawl.failure, {url: baseUrl + '/down', reason: 'HTTP 503', attempts: 4, via: null});
+            done();
+        });
+    });
+
+    it('does not retry errors that will not go away', function(done) {
+        fetchOne('/missing', function(data, crawl) {
+            assert.strictEqual(crawl.failure.attempts, 1);
+            assert.strictEqual(crawl.failure.reason, 'HTTP 404');
+            done();
+        });
+    });
+
+    it('takes the request timeout from the options', function() {
+        assert.strictEqual(new Fetch({timeout: '1500'})._requestTimeout, 1500);
+    });
+});
@@ -0,0 +1,197 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Fetch = require('../fetch');
+const Cron = require('../lib/cron');
+const servers = require('./helpers/servers');
+
+describe('Cron', function() {
+    function next(expression, from) {
+        return new Cron(expression).next(from).toString();
+    }
+
+    it('finds the next time an expression fires', function() {
+        var from = new Date(2016, 10, 10, 14, 5); // thursday 10th november 14:05
+        assert.strictEqual(next('0 3 * * *', from), new Date(2016, 10, 11, 3, 0).toString());
+        assert.strictEqual(next('*/15 * * * *', from), new Date(2016, 10, 10, 14, 15).toString());
+        assert.strictEqual(next('30 9-17/4 * * mon-fri', from), new Date(2016, 10, 10, 17, 30).toString());
+        assert.strictEqual(next('0 0 * * 0', from), new Date(2016, 10, 13, 0, 0).toString());
+        assert.strictEqual(next('0 0 * * 7', from), new Date(2016, 10, 13, 0, 0).toString());
+        assert.strictEqual(next('@monthly', from), new Date(2016, 11, 1, 0, 0).toString());
+        assert.strictEqual(next('0 12 29 feb *', from), new Date(2020, 1, 29, 12, 0).toString());
+        // strictly after, never the time given
+        assert.strictEqual(next('5 14 * * *', from), new Date(2016, 10, 11, 14, 5).toString());
+    });
+
+    it('matches either day field when both are restricted', function() {
+        var from = new Date(2016, 10, 10, 14, 5);
+        assert.strictEqual(next('0 0 13 * fri', from), new Date(2016, 10, 11, 0, 0).toString());
+        assert.strictEqual(next('0 0 13 * *', from), new Date(2016, 10, 13, 0, 0).toString());
+    });
+
+    it('returns null for times that never come', function() {
+        assert.strictEqual(new Cron('0 0 30 2 *').next(new Date(2016, 10, 10)), null);
+    });
+
+    it('rejects invalid expressions', function() {
+        ['* * * *', '60 * * * *', '* 24 * * *', '*/0 * * * *', '5-1 * * * *', '* * * foo *'].forEach(function(expr) {
+            assert.throws(function() {
+                new Cron(expr);
+            }, /cron expression/, expr);
+        });
+        assert.throws(function() {
+            new Fetch({schedule: 'every day'});
+        }, /Invalid cron expression/);
+    });
+});
+
+describe('daemon mode', function() {
+    var server, baseUrl, dir;
+    var hits = 0;
+    var delay = 0;
+
+    before(function(done) {
+        servers.listen(function(req, res) {
+            // a different proxy every time so we can tell the runs apart
+            var hit = ++hits;
+            setTimeout(function() {
+                res.end('11.0.0.' + hit + ':8080\n');
+            }, delay);
+        }, function(s, url) {
+            server = s;
+            baseUrl = url;
+            done();
+        });
+    });
+
+    after(function() {
+        server.close();
+    });
+
+    beforeEach(function() {
+        hits = 0;
+        delay = 0;
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-schedule-'));
+    });
+
+    afterEach(function() {
+        fs.readdirSync(dir).forEach(function(file) {
+            fs.unlinkSync(path.join(dir, file));
+        });
+        fs.rmdirSync(dir);
+    });
+
+    /**
+     * A fetch whose schedule fires every few ms rather than on the minute
+     */
+    function create(every) {
+        var fetch = new Fetch({
+            urls: [baseUrl + '/list'],
+            outputFile: path.join(dir, 'proxies.ndjson'),
+            schedule: '* * * * *',
+            pidFile: path.join(dir, 'fetch.pid'),
+            statusFile: path.join(dir, 'status.json'),
+            retries: 0,
+            quiet: true
+        });
+        fetch._schedule.next = function() {
+            return new Date(new Date().getTime() + every);
+        };
+        return fetch;
+    }
+
+    function status() {
+        return JSON.parse(fs.readFileSync(path.join(dir, 'status.json'), 'utf8'));
+    }
+
+    it('counts --retry from the start of the last run', function() {
+        var fetch = new Fetch({retry: 30, quiet: true});
+        var now = new Date().getTime();
+        fetch._runStartTime = now - 10 * 60e3;
+        assert.ok(Math.abs(fetch.nextRun().getTime() - (now + 20 * 60e3)) < 1e3);
+        fetch._runStartTime = now - 60 * 60e3;
+        assert.ok(fetch.nextRun().getTime() - now < 1e3);
+    });
+
+    it('runs on the schedule with a clean slate each time', function(done) {
+        var fetch = create(10);
+        var runs = [];
+        fetch.on('complete', function(outputFile, count, proxies) {
+            runs.push(proxies.map(function(proxy) {
+                return proxy.ip;
+            }));
+            if (runs.length < 2)
+                return;
+
+            fetch.shutdown(function() {
+                // the output file merges, but each run only found its own proxy
+                assert.deepStrictEqual(fetch._seen, {'11.0.0.2:8080': true});
+                assert.deepStrictEqual(runs[0], ['11.0.0.1']);
+                done();
+            });
+        });
+        fetch.main();
+        assert.strictEqual(fs.readFileSync(path.join(dir, 'fetch.pid'), 'utf8'), process.pid + '\n');
+        assert.strictEqual(status().state, 'idle');
+        assert.ok(status().nextRun);
+    });
+
+    it('never overlaps runs', function(done) {
+        var fetch = create(5);
+        var crawl = fetch.crawl;
+        var started = 0;
+        delay = 60;
+        fetch.crawl = function() {
+            assert.strictEqual(fetch._running, false, 'started a run while one was going');
+            started++;
+            crawl.apply(fetch, arguments);
+        };
+        fetch.on('idle', function() {
+            if (started < 2)
+                return;
+            fetch.shutdown(function() {
+                assert.strictEqual(hits, started);
+                done();
+            });
+        });
+        fetch.main();
+    });
+
+    it('records the last and next runs and cleans up when shut down', function(done) {
+        var fetch = create(10);
+        fetch.once('idle', function() {
+            var current = status();
+            assert.strictEqual(current.pid, process.pid);
+            assert.strictEqual(current.state, 'idle');
+            assert.strictEqual(current.schedule, '* * * * *');
+            assert.strictEqual(current.lastRun.proxies, 1);
+            assert.strictEqual(current.lastRun.failedSources, 0);
+            assert.ok(new Date(current.nextRun) > new Date(current.lastRun.finishedAt));
+
+            fetch.shutdown(function() {
+                assert.strictEqual(status().state, 'stopped');
+                assert.strictEqual(status().nextRun, null);
+                assert.strictEqual(fs.existsSync(path.join(dir, 'fetch.pid')), false);
+                done();
+            });
+        });
+        fetch.main();
+    });
+
+    it('refuses to start if the pidfile belongs to a running process', function() {
+        var fetch = create(10);
+        // our parent is certainly still running
+        fs.writeFileSync(path.join(dir, 'fetch.pid'), process.ppid + '\n');
+        assert.throws(function() {
+            fetch.main();
+        }, /Already running as pid/);
+        fs.writeFileSync(path.join(dir, 'fetch.pid'), '999999999\n');
+        fetch.writePidFile();
+        assert.strictEqual(fs.readFileSync(path.join(dir, 'fetch.pid'), 'utf8'), process.pid + '\n');
+    });
+});
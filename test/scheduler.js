@@ -0,0 +1,132 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+
+const Fetch = require('../fetch');
+const Scheduler = require('../lib/scheduler');
+const servers = require('./helpers/servers');
+
+describe('Scheduler', function() {
+    var server, baseUrl;
+    // requests in flight overall and for each ?host=, the most seen at once and when each one started
+    var active, activeByHost, most, mostByHost, started;
+
+    before(function(done) {
+        servers.listen(function(req, res) {
+            var host = /host=([^&]*)/.exec(req.url)[1];
+            active++;
+            activeByHost[host] = (activeByHost[host] || 0) + 1;
+            most = Math.max(most, active);
+            mostByHost[host] = Math.max(mostByHost[host] || 0, activeByHost[host]);
+            started.push({host: host, url: req.url, at: new Date().getTime()});
+
+            setTimeout(function() {
+                active--;
+                activeByHost[host]--;
+                var page = /p=(\d+)/.exec(req.url);
+                res.end(page && page[1] < 4 ? '<p>11.0.0.' + page[1] + ':8080</p>' : '<p>nothing</p>');
+            }, 30);
+        }, function(s, url) {
+            server = s;
+            baseUrl = url;
+            done();
+        });
+    });
+
+    after(function() {
+        server.close();
+    });
+
+    beforeEach(function() {
+        active = 0;
+        activeByHost = {};
+        most = 0;
+        mostByHost = {};
+        started = [];
+    });
+
+    // schedule a request to the local server for each host, calling back once they've all answered
+    function requestAll(scheduler, hosts, callback) {
+        var remaining = hosts.length;
+        hosts.forEach(function(host) {
+            scheduler.schedule(host, function(done) {
+                http.get(baseUrl + '/?host=' + host, function(res) {
+                    res.resume();
+                    res.on('end', function() {
+                        done();
+                        if (--remaining === 0)
+                            callback();
+                    });
+                });
+            });
+        });
+    }
+
+    it('runs at most concurrency tasks at once', function(done) {
+        var scheduler = new Scheduler({concurrency: 2, hostConcurrency: 5});
+        requestAll(scheduler, ['a', 'b', 'c', 'd', 'e', 'f'], function() {
+            assert.strictEqual(started.length, 6);
+            assert.strictEqual(most, 2);
+            done();
+        });
+    });
+
+    it('runs at most hostConcurrency tasks for each host', function(done) {
+        var scheduler = new Scheduler({concurrency: 10, hostConcurrency: 2});
+        requestAll(scheduler, ['a', 'a', 'a', 'a', 'a', 'b', 'b', 'b'], function() {
+            assert.strictEqual(mostByHost.a, 2);
+            assert.strictEqual(mostByHost.b, 2);
+            assert.strictEqual(most, 4);
+            done();
+        });
+    });
+
+    it('waits hostDelay between tasks for the same host', function(done) {
+        var scheduler = new Scheduler({concurrency: 10, hostConcurrency: 5, hostDelay: 100});
+        requestAll(scheduler, ['a', 'a', 'a', 'b'], function() {
+            var a = started.filter(function(request) {
+                return request.host === 'a';
+            });
+            var b = started.filter(function(request) {
+                return request.host === 'b';
+            });
+            // 10ms of slack for timers firing early
+            assert.ok(a[1].at - a[0].at >= 90, 'second request after ' + (a[1].at - a[0].at) + 'ms');
+            assert.ok(a[2].at - a[1].at >= 90, 'third request after ' + (a[2].at - a[1].at) + 'ms');
+            // another host isn't held up
+            assert.ok(b[0].at - a[0].at < 90);
+            done();
+        });
+    });
+
+    it('starts tasks in the order they were scheduled', function(done) {
+        var scheduler = new Scheduler({concurrency: 1});
+        var order = [];
+        [1, 2, 3, 4].forEach(function(n) {
+            scheduler.schedule('a', function(finish) {
+                order.push(n);
+                setTimeout(finish, 5);
+            });
+        });
+        setTimeout(function() {
+            assert.deepStrictEqual(order, [1, 2, 3, 4]);
+            done();
+        }, 100);
+    });
+
+    it('fetches the pages of a source one after another and in order', function(done) {
+        var fetch = new Fetch({quiet: true, retries: 0, concurrency: 5, hostConcurrency: 5,
+            sources: [{name: 'paged', url: baseUrl + '/list?host=paged&p={page}'}]});
+
+        fetch.run().then(function(proxies) {
+            assert.strictEqual(proxies.length, 3);
+            assert.deepStrictEqual(started.map(function(request) {
+                return /p=(\d+)/.exec(request.url)[1];
+            }), ['1', '2', '3', '4']);
+            assert.strictEqual(mostByHost.paged, 1);
+            done();
+        }).catch(done);
+    });
+});
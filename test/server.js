@@ -0,0 +1,112 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+
+const Fetch = require('../fetch');
+const Server = require('../lib/server');
+const record = require('../lib/record');
+
+/**
+ * GET a path from the server, callback(res, body)
+ */
+function get(server, path, headers, callback) {
+    if (!callback) {
+        callback = headers;
+        headers = {};
+    }
+    http.get({host: '127.0.0.1', port: server.port(), path: path, headers: headers}, function(res) {
+        var body = '';
+        res.on('data', function(chunk) {
+            body += chunk;
+        });
+        res.on('end', function() {
+            callback(res, body);
+        });
+    });
+}
+
+describe('Server', function() {
+    var fetch, server;
+
+    before(function(done) {
+        fetch = new Fetch();
+        fetch.log = function() {};
+        server = new Server(fetch, [record.from('9.9.9.9:80')]).listen(0, '127.0.0.1', done);
+    });
+
+    after(function(done) {
+        server.close(done);
+    });
+
+    it('serves the initial pool', function(done) {
+        get(server, '/proxies?format=txt', function(res, body) {
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(body, '9.9.9.9:80\n');
+            done();
+        });
+    });
+
+    it('swaps the pool when fetch completes', function(done) {
+        fetch.emit('complete', 'proxies.txt', 3, [
+            record.from({ip: '1.2.3.4', port: 8080, protocol: 'https', country: 'US', source: 'http://www.us-proxy.org/'}),
+            record.from({ip: '5.6.7.8', port: 1080, protocol: 'socks5', country: 'CN', source: 'http://gatherproxy.com/'}),
+            record.from({ip: '5.6.7.9', port: 8080, country: 'US', source: 'http://gatherproxy.com/'})
+        ]);
+
+        get(server, '/proxies', function(res, body) {
+            var json = JSON.parse(body);
+            assert.strictEqual(res.headers['content-type'], 'application/json');
+            assert.strictEqual(json.total, 3);
+            assert.strictEqual(json.proxies[0].ip, '1.2.3.4');
+            done();
+        });
+    });
+
+    it('filters by protocol, country, port and source', function(done) {
+        get(server, '/proxies?protocol=http,https&country=us&port=8080&source=gatherproxy', {Accept: 'text/plain'},
+            function(res, body) {
+                assert.strictEqual(body, '5.6.7.9:8080\n');
+                done();
+            });
+    });
+
+    it('hands out proxies round robin', function(done) {
+        get(server, '/proxy?strategy=roundrobin&country=US&format=txt', function(res, first) {
+            get(server, '/proxy?strategy=roundrobin&country=US&format=txt', function(res, second) {
+                assert.notStrictEqual(first, second);
+                assert.deepStrictEqual([first, second].sort(), ['1.2.3.4:8080\n', '5.6.7.9:8080\n']);
+                done();
+            });
+        });
+    });
+
+    it('returns a random proxy as json', function(done) {
+        get(server, '/proxy?protocol=socks5', function(res, body) {
+            assert.strictEqual(JSON.parse(body).port, 1080);
+            done();
+        });
+    });
+
+    it('404s when nothing matches', function(done) {
+        get(server, '/proxy?country=xx', function(res) {
+            assert.strictEqual(res.statusCode, 404);
+            done();
+        });
+    });
+
+    it('shows stats', function(done) {
+        get(server, '/stats', function(res, body) {
+            var stats = JSON.parse(body);
+            assert.strictEqual(stats.total, 3);
+            assert.strictEqual(stats.runs, 1);
+            assert.strictEqual(stats.protocols.socks5, 1);
+            assert.strictEqual(stats.lastRun.total, 3);
+            get(server, '/stats?format=txt', function(res, body) {
+                assert.ok(/^total: 3$/m.test(body));
+                done();
+            });
+        });
+    });
+});
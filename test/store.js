@@ -0,0 +1,87 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Fetch = require('../fetch');
+const Store = require('../lib/store');
+const record = require('../lib/record');
+
+describe('Store', function() {
+    var dir, db;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-store-'));
+        db = path.join(dir, 'proxies.db');
+    });
+
+    afterEach(function() {
+        fs.readdirSync(dir).forEach(function(file) {
+            fs.unlinkSync(path.join(dir, file));
+        });
+        fs.rmdirSync(dir);
+    });
+
+    it('parses durations', function() {
+        assert.strictEqual(Store.parseDuration('90'), 90 * 60e3);
+        assert.strictEqual(Store.parseDuration('12h'), 12 * 3600e3);
+        assert.strictEqual(Store.parseDuration('7d'), 7 * 86400e3);
+        assert.throws(function() {
+            Store.parseDuration('soon');
+        }, /Invalid duration/);
+    });
+
+    it('tracks first seen, last seen, times seen and sources across runs', function() {
+        var first = new Date('2016-11-01T03:00:00Z');
+        var second = new Date('2016-11-02T03:00:00Z');
+
+        var store = new Store(db).load();
+        var counts = store.update([
+            record.from('1.2.3.4:80', {source: 'http://www.us-proxy.org/'}),
+            record.from('1.2.3.4:80', {source: 'http://gatherproxy.com/proxylist/country/?Country=china'}),
+            record.from('5.6.7.8:3128', {source: 'http://www.us-proxy.org/'})
+        ], first);
+        assert.deepStrictEqual(counts, {added: 2, updated: 0});
+        store.save();
+
+        store = new Store(db).load();
+        counts = store.update([record.from('1.2.3.4:80', {source: 'http://www.us-proxy.org/', country: 'US'})], second);
+        assert.deepStrictEqual(counts, {added: 0, updated: 1});
+        store.save();
+
+        var entry = new Store(db).load().entries['1.2.3.4:80'];
+        assert.strictEqual(entry.firstSeen, first.toISOString());
+        assert.strictEqual(entry.lastSeen, second.toISOString());
+        assert.strictEqual(entry.timesSeen, 2);
+        assert.strictEqual(entry.country, 'US');
+        assert.deepStrictEqual(entry.sources, ['www.us-proxy.org', 'gatherproxy.com']);
+    });
+
+    it('prunes proxies that have not been seen recently', function() {
+        var store = new Store(db);
+        store.update([record.from('1.2.3.4:80')], new Date('2016-11-01T03:00:00Z'));
+        store.update([record.from('5.6.7.8:3128')], new Date('2016-11-09T03:00:00Z'));
+
+        var pruned = store.prune(Store.parseDuration('7d'), new Date('2016-11-10T03:00:00Z'));
+        assert.deepStrictEqual(pruned.map(record.key), ['1.2.3.4:80']);
+        assert.deepStrictEqual(store.records().map(record.key), ['5.6.7.8:3128']);
+    });
+
+    it('saves the whole pool when fetch uses a database', function() {
+        var outputFile = path.join(dir, 'proxies.txt');
+        fs.writeFileSync(outputFile, '9.9.9.9:80');
+
+        var fetch = new Fetch({db: db, outputFile: outputFile, pruneOlderThan: '7d'});
+        fetch.log = function() {};
+        fetch._proxies = [record.from('1.2.3.4:80')];
+        fetch.saveProxies();
+        fetch._proxies = [record.from('5.6.7.8:3128')];
+        fetch.saveProxies();
+
+        assert.deepStrictEqual(fs.readFileSync(outputFile, 'utf8').split('\n').sort(), ['1.2.3.4:80', '5.6.7.8:3128']);
+        assert.strictEqual(new Store(db).load().entries['1.2.3.4:80'].timesSeen, 1);
+    });
+});
@@ -0,0 +1,146 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const url = require('url');
+const cheerio = require('cheerio');
+
+const Fetch = require('../fetch');
+const sources = require('../lib/sources');
+const gatherproxy = require('../extractors/gatherproxy');
+const servers = require('./helpers/servers');
+
+describe('templates', function() {
+
+    it('expands inline lists into one source per value', function() {
+        var defs = sources.expand('http://example.com/?country={country:united states|china}&p={page}');
+        assert.deepStrictEqual(defs, [
+            'http://example.com/?country=united%20states&p={page}',
+            'http://example.com/?country=china&p={page}'
+        ]);
+    });
+
+    it('expands every combination of several variables', function() {
+        var defs = sources.expand({url: 'http://example.com/{type}/?c={country}', vars: {type: 'http|socks'}},
+            {country: ['cn', 'br', 'us']});
+        assert.strictEqual(defs.length, 6);
+        assert.deepStrictEqual(defs.map(function(def) { return def.url; }), [
+            'http://example.com/http/?c=cn', 'http://example.com/http/?c=br', 'http://example.com/http/?c=us',
+            'http://example.com/socks/?c=cn', 'http://example.com/socks/?c=br', 'http://example.com/socks/?c=us'
+        ]);
+    });
+
+    it('fills form and header values without encoding them', function() {
+        var defs = sources.expand({url: 'http://example.com/', method: 'POST', form: {Country: '{country}'},
+            headers: {'X-Country': '{country}'}}, ['country=united kingdom|china']);
+        assert.deepStrictEqual(defs[0].form, {Country: 'united kingdom'});
+        assert.deepStrictEqual(defs[1].headers, {'X-Country': 'china'});
+        assert.strictEqual(defs[0].url, 'http://example.com/');
+    });
+
+    it('prefers the source\'s own values over the global ones', function() {
+        var defs = sources.expand({url: 'http://example.com/?c={country}', vars: {country: 'cn'}}, {country: 'us|br'});
+        assert.deepStrictEqual(defs.map(function(def) { return def.url; }), ['http://example.com/?c=cn']);
+    });
+
+    it('leaves sources without variables alone', function() {
+        var def = {url: 'http://example.com/?p={page:0-64}'};
+        assert.strictEqual(sources.expand(def)[0], def);
+    });
+
+    it('throws for variables without values', function() {
+        assert.throws(function() {
+            sources.expand('http://example.com/?c={country}');
+        }, /no values for {country}/);
+        assert.throws(function() {
+            sources.parse('http://example.com/?c={country}');
+        }, /template variables need expanding/);
+        assert.throws(function() {
+            sources.parseVars(['country']);
+        }, /expected name=value/);
+    });
+
+    it('reads vars from the config file, --var wins', function() {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-templates-'));
+        var file = path.join(dir, 'sources.json');
+        fs.writeFileSync(file, JSON.stringify({
+            vars: {country: ['cn', 'br'], type: 'elite'},
+            sources: ['http://example.com/?c={country}&t={type}']
+        }));
+
+        assert.deepStrictEqual(sources.load(file).map(function(source) { return source.url; }),
+            ['http://example.com/?c=cn&t=elite', 'http://example.com/?c=br&t=elite']);
+        assert.deepStrictEqual(sources.load(file, ['type=anonymous']).map(function(source) { return source.url; }),
+            ['http://example.com/?c=cn&t=anonymous', 'http://example.com/?c=br&t=anonymous']);
+        fs.unlinkSync(file);
+        fs.rmdirSync(dir);
+    });
+
+    it('expands the default gatherproxy urls', function() {
+        var fetch = new Fetch({quiet: true});
+        var countries = fetch.sources.filter(function(source) {
+            return /proxylist\/country/.test(source.url);
+        }).map(function(source) {
+            return sources.buildRequest(source, 1).form.Country;
+        });
+        assert.strictEqual(countries.length, 10);
+        assert.strictEqual(countries[0], 'united states');
+        assert.strictEqual(countries[9], 'united kingdom');
+    });
+
+    it('reads the page count from gatherproxy\'s page links', function() {
+        var body = fs.readFileSync(path.join(__dirname, 'fixtures', 'gatherproxy.com-6df130c96ad4.body'), 'utf8');
+        assert.strictEqual(gatherproxy.pages(cheerio.load(body)), 24);
+        assert.strictEqual(gatherproxy.pages(cheerio.load('<table id="tblproxy"></table>')), null);
+    });
+
+    describe('page discovery', function() {
+        var server, baseUrl;
+        var requested = [];
+
+        before(function(done) {
+            servers.listen(function(req, res) {
+                var parsed = url.parse(req.url, true);
+                var page = parseInt(parsed.query.p, 10);
+                requested.push(parsed.query.c + page);
+                // every page has proxies, only the page links say when to stop
+                res.end('<p>11.0.' + page + '.1:8080</p><p>11.0.' + page + '.2:8080</p>' +
+                    '<div class="pages"><a>1</a><a>2</a><a>3</a><a>Next</a></div>');
+            }, function(s, url) {
+                server = s;
+                baseUrl = url;
+                done();
+            });
+        });
+
+        after(function() {
+            server.close();
+        });
+
+        it('stops after the last page listed on the first', function(done) {
+            requested = [];
+            new Fetch({quiet: true, retries: 0, vars: ['c=a|b'], sources: [{
+                url: baseUrl + '/?c={c}&p={page}',
+                pagination: {pages: '.pages a'}
+            }]}).run().then(function(proxies) {
+                assert.deepStrictEqual(requested.sort(), ['a1', 'a2', 'a3', 'b1', 'b2', 'b3']);
+                assert.strictEqual(proxies.length, 6);
+                done();
+            }).catch(done);
+        });
+
+        it('keeps to an explicit max', function(done) {
+            requested = [];
+            new Fetch({quiet: true, retries: 0, sources: [{
+                url: baseUrl + '/?c=a&p={page:1/2}',
+                pagination: {pages: '.pages a'}
+            }]}).run().then(function() {
+                assert.deepStrictEqual(requested, ['a1', 'a2']);
+                done();
+            }).catch(done);
+        });
+    });
+});
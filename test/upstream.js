@@ -0,0 +1,145 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+
+const Fetch = require('../fetch');
+const Upstream = require('../lib/upstream');
+const record = require('../lib/record');
+const servers = require('./helpers/servers');
+
+describe('upstream proxies', function() {
+    var site, siteUrl;
+    var forwarder, blocker, socks;
+    var deadProxy;
+
+    // the site answers with the via header it was given so we can tell which upstream was used
+    before(function(done) {
+        servers.listen(function(req, res) {
+            res.end(req.headers.via || 'direct');
+        }, function(server, baseUrl) {
+            site = server;
+            siteUrl = baseUrl + '/list';
+            done();
+        });
+    });
+
+    before(function(done) {
+        servers.proxy(function() {
+            return {via: '1.1 forwarder'};
+        }, function(server, proxy) {
+            forwarder = {server: server, proxy: proxy};
+            done();
+        });
+    });
+
+    before(function(done) {
+        servers.listen(function(req, res) {
+            res.writeHead(403);
+            res.end('blocked');
+        }, function(server, baseUrl) {
+            blocker = {server: server, proxy: baseUrl.replace('http://', '')};
+            done();
+        });
+    });
+
+    before(function(done) {
+        servers.socks5(function(server, proxy) {
+            socks = {server: server, proxy: proxy};
+            done();
+        });
+    });
+
+    before(function(done) {
+        var server = net.createServer().listen(0, '127.0.0.1', function() {
+            deadProxy = '127.0.0.1:' + server.address().port;
+            server.close(done);
+        });
+    });
+
+    after(function() {
+        [site, forwarder.server, blocker.server, socks.server].forEach(function(server) {
+            server.close();
+        });
+    });
+
+    /**
+     * Fetch the site's single page through the given options and hand back the 'fetchPage' data
+     */
+    function fetchOne(options, callback) {
+        var fetch = new Fetch(Object.assign({urls: [siteUrl], retries: 3, retryDelay: 5}, options));
+        fetch.log = function() {};
+        fetch.once('fetchPage', function(data) {
+            callback(data, fetch);
+        });
+        fetch.fetchPage(fetch.createCrawl(fetch.sources[0]));
+        return fetch;
+    }
+
+    it('turns proxies and records into urls', function() {
+        assert.strictEqual(Upstream.toUrl('1.2.3.4:8080'), 'http://1.2.3.4:8080');
+        assert.strictEqual(Upstream.toUrl('socks5://1.2.3.4:1080'), 'socks5://1.2.3.4:1080');
+        assert.strictEqual(Upstream.toUrl(record.from({ip: '1.2.3.4', port: 1080, protocol: 'socks4'})),
+            'socks4://1.2.3.4:1080');
+        assert.strictEqual(Upstream.toUrl(record.from({ip: '1.2.3.4', port: 443, protocol: 'https'})),
+            'http://1.2.3.4:443');
+    });
+
+    it('goes direct without an upstream', function(done) {
+        fetchOne({}, function(data) {
+            assert.strictEqual(data.body, 'direct');
+            assert.strictEqual(data.via, null);
+            done();
+        });
+    });
+
+    it('fetches through a fixed http upstream', function(done) {
+        fetchOne({via: forwarder.proxy}, function(data) {
+            assert.strictEqual(data.body, '1.1 forwarder');
+            assert.strictEqual(data.via, 'http://' + forwarder.proxy);
+            done();
+        });
+    });
+
+    it('fetches through a socks5 upstream', function(done) {
+        fetchOne({via: 'socks5://' + socks.proxy}, function(data) {
+            assert.strictEqual(data.response.statusCode, 200);
+            assert.strictEqual(data.body, 'direct');
+            assert.strictEqual(data.via, 'socks5://' + socks.proxy);
+            done();
+        });
+    });
+
+    it('fails over to the next upstream when blocked', function(done) {
+        fetchOne({via: [blocker.proxy, forwarder.proxy].join(',')}, function(data) {
+            assert.strictEqual(data.response.statusCode, 200);
+            assert.strictEqual(data.attempts, 2);
+            assert.strictEqual(data.via, 'http://' + forwarder.proxy);
+            done();
+        });
+    });
+
+    it('rotates through the fetched pool, dropping the ones that fail', function(done) {
+        var fetch = new Fetch({urls: [siteUrl], viaPool: true, retries: 3, retryDelay: 5});
+        fetch.log = function() {};
+        fetch._upstream.setPool([record.from(deadProxy), record.from(forwarder.proxy)]);
+        // undo the shuffle so the dead proxy is tried first
+        fetch._upstream.pool = ['http://' + deadProxy, 'http://' + forwarder.proxy];
+
+        fetch.once('fetchPage', function(data) {
+            assert.strictEqual(data.body, '1.1 forwarder');
+            assert.strictEqual(data.attempts, 2);
+            assert.deepStrictEqual(fetch._upstream.available(), ['http://' + forwarder.proxy]);
+            done();
+        });
+        fetch.fetchPage(fetch.createCrawl(fetch.sources[0]));
+    });
+
+    it('goes direct once the pool is used up', function() {
+        var upstream = new Upstream({pool: true});
+        upstream.setPool(['1.2.3.4:80']);
+        upstream.fail(upstream.next());
+        assert.strictEqual(upstream.next(), null);
+    });
+});
@@ -0,0 +1,144 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+
+const Fetch = require('../fetch');
+const Verifier = require('../lib/verify');
+const record = require('../lib/record');
+const servers = require('./helpers/servers');
+
+describe('Verifier', function() {
+    var judgeServer, judgeUrl;
+    var proxies = {};
+    var deadProxy;
+
+    before(function(done) {
+        servers.judge(function(server, baseUrl) {
+            judgeServer = server;
+            judgeUrl = baseUrl + '/';
+            done();
+        });
+    });
+
+    before(function(done) {
+        servers.proxy(function(req) {
+            return {'x-forwarded-for': req.socket.remoteAddress, 'via': '1.1 transparent'};
+        }, function(server, proxy) {
+            proxies.transparent = {server: server, proxy: proxy};
+            done();
+        });
+    });
+
+    before(function(done) {
+        servers.proxy(function(req) {
+            return {'via': '1.1 anonymous'};
+        }, function(server, proxy) {
+            proxies.anonymous = {server: server, proxy: proxy};
+            done();
+        });
+    });
+
+    before(function(done) {
+        servers.proxy(function(server, proxy) {
+            proxies.elite = {server: server, proxy: proxy};
+            done();
+        });
+    });
+
+    // grab a free port then close it so nothing is listening
+    before(function(done) {
+        var server = net.createServer().listen(0, '127.0.0.1', function() {
+            deadProxy = '127.0.0.1:' + server.address().port;
+            server.close(done);
+        });
+    });
+
+    after(function() {
+        judgeServer.close();
+        Object.keys(proxies).forEach(function(type) {
+            proxies[type].server.close();
+        });
+    });
+
+    describe('parseJudge', function() {
+        it('parses azenv style text', function() {
+            var judged = Verifier.parseJudge('<pre>\nREMOTE_ADDR = 1.2.3.4\nHTTP_X_FORWARDED_FOR = 5.6.7.8\n</pre>');
+            assert.strictEqual(judged.ip, '1.2.3.4');
+            assert.strictEqual(judged.headers['x-forwarded-for'], '5.6.7.8');
+        });
+
+        it('parses json', function() {
+            var judged = Verifier.parseJudge(JSON.stringify({origin: '1.2.3.4', headers: {Via: '1.1 proxy'}}));
+            assert.strictEqual(judged.ip, '1.2.3.4');
+            assert.strictEqual(judged.headers.via, '1.1 proxy');
+        });
+
+        it('returns null for pages that are not a judge', function() {
+            assert.strictEqual(Verifier.parseJudge(''), null);
+        });
+    });
+
+    describe('verify', function() {
+        it('classifies proxies by what the judge sees', function(done) {
+            var verifier = new Verifier({judgeUrl: judgeUrl, timeout: 2e3});
+            var list = [proxies.transparent.proxy, proxies.anonymous.proxy, proxies.elite.proxy, deadProxy];
+
+            verifier.verify(list, function(err, results) {
+                assert.ifError(err);
+                assert.deepStrictEqual(results.map(function(result) {
+                    return result.alive ? result.anonymity : 'dead';
+                }), ['transparent', 'anonymous', 'elite', 'dead']);
+                assert.ok(results[0].latency >= 0);
+                assert.ok(results[3].error);
+                done();
+            });
+        });
+
+        it('errors when the judge is unreachable', function(done) {
+            var verifier = new Verifier({judgeUrl: 'http://' + deadProxy + '/', timeout: 2e3});
+            verifier.verify([proxies.elite.proxy], function(err) {
+                assert.ok(err);
+                done();
+            });
+        });
+    });
+
+    describe('Fetch --verify', function() {
+        it('only keeps proxies that pass unless keepUnverified is set', function(done) {
+            var fetch = new Fetch({verify: true, judgeUrl: judgeUrl, verifyTimeout: 2e3});
+            fetch.log = function() {};
+            fetch._proxies = [proxies.elite.proxy, deadProxy].map(function(proxy) {
+                return record.from(proxy, {anonymity: 'transparent'});
+            });
+
+            fetch.verifyProxies(function() {
+                assert.deepStrictEqual(fetch._proxies.map(record.key), [proxies.elite.proxy]);
+                assert.strictEqual(fetch._proxies[0].anonymity, 'elite');
+                assert.strictEqual(fetch._verified[deadProxy].alive, false);
+
+                var keep = new Fetch({verify: true, judgeUrl: judgeUrl, verifyTimeout: 2e3, keepUnverified: true});
+                keep.log = function() {};
+                keep._proxies = [record.from(proxies.elite.proxy), record.from(deadProxy)];
+                keep.verifyProxies(function() {
+                    assert.deepStrictEqual(keep._proxies.map(record.key), [proxies.elite.proxy, deadProxy]);
+                    done();
+                });
+            });
+        });
+
+        it('talks plain http to proxies listed as https', function(done) {
+            var fetch = new Fetch({verify: true, judgeUrl: judgeUrl, verifyTimeout: 2e3});
+            fetch.log = function() {};
+            fetch._proxies = [record.from(proxies.elite.proxy, {protocol: 'https'})];
+
+            fetch.verifyProxies(function() {
+                assert.strictEqual(fetch._verified[proxies.elite.proxy].alive, true);
+                assert.deepStrictEqual(fetch._proxies.map(record.key), [proxies.elite.proxy]);
+                assert.strictEqual(fetch._proxies[0].protocol, 'https');
+                done();
+            });
+        });
+    });
+});
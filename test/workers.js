@@ -0,0 +1,179 @@
+/*jshint esversion: 6 */
+'use strict';
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Fetch = require('../fetch');
+const servers = require('./helpers/servers');
+
+describe('workers', function() {
+    this.timeout(20e3);
+
+    var server, baseUrl, dir, extractor;
+    // requests in flight for each Host header, the most seen at once and when each one started
+    var active = {}, most = {}, started = [];
+
+    before(function(done) {
+        servers.listen(function(req, res) {
+            var host = req.headers.host.split(':')[0];
+            active[host] = (active[host] || 0) + 1;
+            most[host] = Math.max(most[host] || 0, active[host]);
+            started.push({host: host, at: new Date().getTime()});
+
+            setTimeout(function() {
+                active[host]--;
+                var n = /\/(\d+)/.exec(req.url)[1];
+                // one page of proxies, the second is empty
+                res.end(/p=1/.test(req.url) ? '<p>11.0.' + n + '.1:8080</p><p>11.0.' + n + '.2:8080</p>' :
+                    '<p>nothing</p>');
+            }, 20);
+        }, function(s, url) {
+            server = s;
+            baseUrl = url;
+            done();
+        });
+    });
+
+    after(function() {
+        server.close();
+    });
+
+    beforeEach(function() {
+        active = {};
+        most = {};
+        started = [];
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-workers-'));
+        // says which process parsed each proxy, crashes on /crash and the first time it sees /flaky
+        extractor = path.join(dir, 'extractor.js');
+        fs.writeFileSync(extractor, [
+            "const fs = require('fs');",
+            "module.exports = {name: 'workers', patterns: [/./], parse: function($, data) {",
+            "    if (/crash/.test(data.url)) process.exit(1);",
+            "    var marker = " + JSON.stringify(path.join(dir, 'crashed')) + ";",
+            "    if (/flaky/.test(data.url) && !fs.existsSync(marker)) { fs.writeFileSync(marker, ''); process.exit(1); }",
+            "    return $('p').map(function() { return {ip: $(this).text().split(':')[0], port: 8080, pid: process.pid}; }).get();",
+            "}};"
+        ].join('\n'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    function fetchWith(paths, options) {
+        return new Fetch(Object.assign({quiet: true, retries: 0, workers: 2, extractors: [extractor],
+            sources: paths.map(function(p) {
+                return {name: p, url: (/^http/.test(p) ? '' : baseUrl) + p + '?p={page}', extractor: 'workers'};
+            })}, options));
+    }
+
+    it('crawls and parses the sources in worker processes', function(done) {
+        var fetch = fetchWith(['/list/1', '/list/2', '/list/3']);
+        var found = [];
+        fetch.on('proxy', function(proxy) {
+            found.push(proxy);
+        });
+
+        fetch.run().then(function(proxies) {
+            assert.strictEqual(proxies.length, 6);
+            assert.strictEqual(found.length, 6);
+            proxies.forEach(function(proxy) {
+                assert.ok(proxy.pid && proxy.pid !== process.pid);
+            });
+            fetch._report.sources.forEach(function(entry) {
+                assert.strictEqual(entry.pages, 2);
+                assert.strictEqual(entry.found, 2);
+                assert.strictEqual(entry.failure, null);
+            });
+            done();
+        }).catch(done);
+    });
+
+    it('runs again and again', function(done) {
+        var fetch = fetchWith(['/list/1', '/list/2']);
+        var runs = 0;
+
+        var again = function() {
+            return fetch.run().then(function(proxies) {
+                assert.strictEqual(proxies.length, 4);
+                if (++runs < 3)
+                    return again();
+            });
+        };
+        again().then(function() {
+            done();
+        }).catch(done);
+    });
+
+    it('keeps their logging off stdout when the proxies are written there', function(done) {
+        childProcess.execFile(process.execPath, [path.join(__dirname, '..', 'fetch.js'), '--workers', '2', '-o', '-',
+            '--retries', '0', '-u', baseUrl + '/list/1?p=1,' + baseUrl + '/list/2?p=1'], function(err, stdout, stderr) {
+            assert.ifError(err);
+            assert.deepStrictEqual(stdout.trim().split('\n').sort(),
+                ['11.0.1.1:8080', '11.0.1.2:8080', '11.0.2.1:8080', '11.0.2.2:8080']);
+            assert.ok(/Found/.test(stderr));
+            done();
+        });
+    });
+
+    it('keeps to the host limits across the workers', function(done) {
+        var other = baseUrl.replace('127.0.0.1', 'localhost');
+        var fetch = fetchWith(['/list/1', '/list/2', '/list/3', other + '/list/4'], {workers: 3, hostDelay: 100});
+
+        fetch.run().then(function(proxies) {
+            assert.strictEqual(proxies.length, 8);
+            assert.strictEqual(most['127.0.0.1'], 1);
+            // the other host isn't held up by it
+            assert.strictEqual(most.localhost, 1);
+            var starts = started.filter(function(request) {
+                return request.host === '127.0.0.1';
+            });
+            assert.strictEqual(starts.length, 6);
+            // timed as the server sees them, so slack for connecting and timers firing early
+            for (var i = 1; i < starts.length; i++)
+                assert.ok(starts[i].at - starts[i - 1].at >= 70, 'request ' + i + ' after ' +
+                    (starts[i].at - starts[i - 1].at) + 'ms');
+            assert.ok(started.filter(function(request) {
+                return request.host === 'localhost';
+            })[0].at - starts[0].at < 70);
+            done();
+        }).catch(done);
+    });
+
+    it('hands the source of a worker that died to another', function(done) {
+        var fetch = fetchWith(['/flaky/1', '/list/2']);
+
+        fetch.run().then(function(proxies) {
+            assert.ok(fs.existsSync(path.join(dir, 'crashed')));
+            assert.deepStrictEqual(proxies.map(function(proxy) {
+                return proxy.ip;
+            }).sort(), ['11.0.1.1', '11.0.1.2', '11.0.2.1', '11.0.2.2']);
+            assert.strictEqual(fetch._crawls[0].failure, undefined);
+            done();
+        }).catch(done);
+    });
+
+    it('gives up on a source that keeps crashing them', function(done) {
+        var fetch = fetchWith(['/crash/1', '/list/2']);
+
+        fetch.run().then(function(proxies) {
+            assert.strictEqual(proxies.length, 2);
+            assert.strictEqual(fetch._crawls[0].failure.reason, 'Crashed 3 workers');
+            assert.strictEqual(fetch._report.sources[0].failure.reason, 'Crashed 3 workers');
+            done();
+        }).catch(done);
+    });
+
+    it('only loads extractors from a path', function() {
+        assert.throws(function() {
+            new Fetch({workers: 2, extractors: [{name: 'mine', hosts: ['example.com'], parse: function() {}}]});
+        }, /Workers can only load extractors from a path/);
+        assert.throws(function() {
+            new Fetch({workers: 'lots'});
+        }, /Invalid option workers/);
+    });
+});